@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import Navigation from '@/components/Navigation';
+import NeoButton from '@/components/NeoButton';
+import NeoSelect from '@/components/NeoSelect';
+import { listExecutions, listWorkflows } from '@/lib/api';
+import { formatElapsed } from '@/lib/executionOverlay';
+import {
+  ANALYTICS_WINDOWS,
+  MAX_ANALYZED_EXECUTIONS,
+  getWindowStart,
+  isInWindow,
+  buildExecutionAnalytics,
+} from '@/lib/executionAnalytics';
+
+const PAGE_SIZE = 100;
+
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+const formatDuration = (ms) => (ms === null ? '—' : formatElapsed(ms));
+
+const getRateColor = (rate) => {
+  if (rate === null) return 'bg-white';
+  if (rate >= 0.9) return 'bg-[#90EE90]';
+  if (rate >= 0.6) return 'bg-[#FFD700]';
+  return 'bg-[#FFB6C1]';
+};
+
+/**
+ * Fetch the executions created since `createdAfter`, page by page, up to MAX_ANALYZED_EXECUTIONS.
+ * Executions are filtered again here in case the backend ignores `created_after`.
+ */
+async function loadWindowExecutions(createdAfter) {
+  const executions = [];
+  let fetched = 0;
+  let total = Infinity;
+  while (executions.length < Math.min(total, MAX_ANALYZED_EXECUTIONS)) {
+    const { data, error } = await listExecutions(fetched, PAGE_SIZE, null, null, { createdAfter });
+    if (error) return { executions, total: executions.length, error };
+    const page = data?.executions || [];
+    const inWindow = page.filter(execution => isInWindow(execution, createdAfter));
+    fetched += page.length;
+    total = data?.total ?? page.length;
+    executions.push(...inWindow);
+    // Executions come newest first: once one falls outside the window, the rest do too
+    if (inWindow.length < page.length) {
+      total = executions.length;
+      break;
+    }
+    if (page.length < PAGE_SIZE) break;
+  }
+  return { executions: executions.slice(0, MAX_ANALYZED_EXECUTIONS), total, error: null };
+}
+
+function StatCard({ label, value, className = 'bg-white' }) {
+  return (
+    <div className={`border-4 border-black p-4 shadow-[4px_4px_0px_0px_#000000] ${className}`}>
+      <p className="text-sm font-bold text-black">{label}</p>
+      <p className="text-3xl font-black text-black">{value}</p>
+    </div>
+  );
+}
+
+export default function AnalyticsPage() {
+  const [windowValue, setWindowValue] = useState(ANALYTICS_WINDOWS[1].value);
+  const [executions, setExecutions] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped by the refresh button
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      const [{ data: workflowData }, result] = await Promise.all([
+        listWorkflows(0, 1000),
+        loadWindowExecutions(getWindowStart(windowValue, Date.now())),
+      ]);
+      if (cancelled) return;
+      setWorkflows(workflowData?.workflows || []);
+      setExecutions(result.executions);
+      setTotal(result.total);
+      setError(result.error);
+      setLoading(false);
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [windowValue, reloadKey]);
+
+  const analytics = buildExecutionAnalytics(executions, workflows);
+  const { totals } = analytics;
+
+  return (
+    <div className="min-h-screen bg-[#FFF8DC]">
+      <Navigation />
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="neo-card-colored bg-[#87CEEB] mb-6 flex justify-between items-center flex-wrap gap-4">
+          <h1 className="text-4xl font-black text-black">📈 Execution Analytics</h1>
+          <div className="flex gap-2 items-end">
+            <NeoSelect
+              value={windowValue}
+              onChange={(e) => setWindowValue(e.target.value)}
+              options={ANALYTICS_WINDOWS}
+            />
+            <NeoButton variant="primary" onClick={() => setReloadKey(key => key + 1)} disabled={loading} className="mb-4">
+              {loading ? 'Loading...' : '🔄 Refresh'}
+            </NeoButton>
+          </div>
+        </div>
+
+        {error && (
+          <div className="neo-card-colored bg-[#FFB6C1] mb-6">
+            <p className="font-bold text-black">❌ Error: {error}</p>
+          </div>
+        )}
+
+        {total > executions.length && (
+          <div className="neo-card-colored bg-[#FFD700] mb-6">
+            <p className="font-bold text-black">
+              ⚠️ Showing the latest {executions.length} of {total} executions in this window.
+            </p>
+          </div>
+        )}
+
+        {loading && executions.length === 0 ? (
+          <div className="neo-card">
+            <p className="font-bold text-black text-center">Loading executions...</p>
+          </div>
+        ) : executions.length === 0 ? (
+          <div className="neo-card">
+            <p className="font-bold text-black text-center">No executions in this time window.</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <StatCard label="Executions" value={totals.executions} />
+              <StatCard label="Success rate" value={formatRate(totals.successRate)} className={getRateColor(totals.successRate)} />
+              <StatCard label="Failed" value={totals.failed} className={totals.failed > 0 ? 'bg-[#FFB6C1]' : 'bg-white'} />
+              <StatCard label="p50 duration" value={formatDuration(totals.p50)} />
+              <StatCard label="p95 duration" value={formatDuration(totals.p95)} />
+            </div>
+
+            <div className="neo-card">
+              <h2 className="text-2xl font-black text-black mb-4">Workflows</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border-4 border-black">
+                  <thead className="bg-[#90EE90]">
+                    <tr className="text-left">
+                      <th className="p-2 border-2 border-black font-black text-black">Workflow</th>
+                      <th className="p-2 border-2 border-black font-black text-black">Runs</th>
+                      <th className="p-2 border-2 border-black font-black text-black">Completed</th>
+                      <th className="p-2 border-2 border-black font-black text-black">Failed</th>
+                      <th className="p-2 border-2 border-black font-black text-black">Cancelled</th>
+                      <th className="p-2 border-2 border-black font-black text-black">Success rate</th>
+                      <th className="p-2 border-2 border-black font-black text-black">p50</th>
+                      <th className="p-2 border-2 border-black font-black text-black">p95</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.workflows.map(workflow => (
+                      <tr key={workflow.workflowId} className="bg-white">
+                        <td className="p-2 border-2 border-black font-bold text-black">
+                          <Link
+                            href={`/workflows/executions?workflow=${encodeURIComponent(workflow.workflowId)}`}
+                            className="underline"
+                          >
+                            {workflow.name}
+                          </Link>
+                        </td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{workflow.total}</td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{workflow.completed}</td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{workflow.failed}</td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{workflow.cancelled}</td>
+                        <td className={`p-2 border-2 border-black font-black text-black ${getRateColor(workflow.successRate)}`}>
+                          {formatRate(workflow.successRate)}
+                        </td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{formatDuration(workflow.p50)}</td>
+                        <td className="p-2 border-2 border-black font-semibold text-black">{formatDuration(workflow.p95)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="neo-card">
+                <h2 className="text-2xl font-black text-black mb-4">Top Errors</h2>
+                {analytics.errors.length === 0 ? (
+                  <p className="font-semibold text-black">No errors in this time window. 🎉</p>
+                ) : (
+                  <div className="space-y-2">
+                    {analytics.errors.map(group => (
+                      <div key={group.signature} className="border-2 border-black p-3 bg-[#FFB6C1]">
+                        <div className="flex justify-between items-start gap-2">
+                          <p className="text-sm font-bold text-black break-words">{group.example}</p>
+                          <span className="px-2 py-0.5 border-2 border-black bg-white text-xs font-black text-black flex-shrink-0">
+                            ×{group.count}
+                          </span>
+                        </div>
+                        <p className="text-xs font-semibold text-black mt-1">
+                          In {group.workflowIds.length} workflow(s) · pattern: <code>{group.signature}</code>
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="neo-card">
+                <h2 className="text-2xl font-black text-black mb-4">Step Failures by Agent</h2>
+                {analytics.agents.length === 0 ? (
+                  <p className="font-semibold text-black">No step results in this time window.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {analytics.agents.map(agent => (
+                      <div key={agent.agent} className="border-2 border-black p-2 bg-white">
+                        <div className="flex justify-between text-sm font-bold text-black mb-1">
+                          <span>{agent.agent}</span>
+                          <span>{agent.failed} / {agent.steps} failed</span>
+                        </div>
+                        <div className="h-3 border-2 border-black bg-[#90EE90]">
+                          <div className="h-full bg-[#FFB6C1] border-r-2 border-black" style={{ width: `${agent.failureRate * 100}%` }} />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,8 +4,18 @@ import { useState, useEffect, Suspense } from 'react';
 import { useSearchParams } from 'next/navigation';
 import Navigation from '@/components/Navigation';
 import NeoSelect from '@/components/NeoSelect';
+import NeoButton from '@/components/NeoButton';
 import ChatBot from '@/components/ChatBot';
+import ChatHistorySidebar from '@/components/ChatHistorySidebar';
+import AgentComparison from '@/components/AgentComparison';
 import { listAgents, executeAgent } from '@/lib/api';
+import {
+  listConversations,
+  getConversationKey,
+  renameConversation,
+  deleteConversation,
+  exportConversation,
+} from '@/lib/chatHistory';
 import { FRAMEWORKS } from '@/lib/constants';
 
 function ExecutePageContent() {
@@ -15,8 +25,17 @@ function ExecutePageContent() {
   const [selectedAgent, setSelectedAgent] = useState(null);
   const [frameworkOverride, setFrameworkOverride] = useState('');
   const [sessionId, setSessionId] = useState('');
+  // Typed session ID, applied on blur or Enter so the chat does not switch conversations on every keystroke
+  const [sessionDraft, setSessionDraft] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [chatKey, setChatKey] = useState(0); // Bumped to reload the chat from history
+  const [compareMode, setCompareMode] = useState(() => searchParams.get('mode') === 'compare');
+
+  useEffect(() => {
+    setConversations(listConversations());
+  }, []);
 
   useEffect(() => {
     loadAgents();
@@ -40,6 +59,47 @@ function ExecutePageContent() {
     }
   };
 
+  const refreshConversations = () => {
+    setConversations(listConversations());
+  };
+
+  const activeConversationKey = selectedAgentId ? getConversationKey(selectedAgentId, sessionId) : null;
+
+  const applySessionId = (id) => {
+    setSessionDraft(id);
+    setSessionId(id);
+  };
+
+  const handleOpenConversation = (conversation) => {
+    setSelectedAgentId(conversation.agentId);
+    applySessionId(conversation.sessionId);
+  };
+
+  const handleRenameConversation = (conversation) => {
+    const title = prompt('Conversation title (leave empty to use the first message):', conversation.title);
+    if (title === null) {
+      return;
+    }
+    renameConversation(conversation.key, title);
+    refreshConversations();
+  };
+
+  const handleDeleteConversation = (conversation) => {
+    if (!confirm(`Delete the conversation "${conversation.title}"?`)) {
+      return;
+    }
+    deleteConversation(conversation.key);
+    refreshConversations();
+    if (conversation.key === activeConversationKey) {
+      setChatKey(prev => prev + 1);
+    }
+  };
+
+  const handleExportConversation = (conversation) => {
+    const agent = agents.find(a => a.id === conversation.agentId);
+    exportConversation(conversation, agent?.name);
+  };
+
   const handleSendMessage = async (message) => {
     if (!selectedAgentId || !message.trim()) {
       throw new Error('Please select an agent and enter a message');
@@ -78,104 +138,144 @@ function ExecutePageContent() {
       <Navigation />
       
       <div className="container mx-auto px-4 py-8">
-        <div className="neo-card-colored bg-[#FFD700] mb-6">
-          <h1 className="text-4xl font-black text-black">💬 Chat with Agent</h1>
-        </div>
-
-        {/* Agent and Framework Selection */}
-        <div className="neo-card mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <NeoSelect
-              label="Select Agent"
-              value={selectedAgentId}
-              onChange={(e) => setSelectedAgentId(e.target.value)}
-              options={[
-                { value: '', label: '-- Select an agent --' },
-                ...agents.map(agent => ({ value: agent.id, label: `${agent.name} (${agent.framework})` }))
-              ]}
-              required
-            />
-
-            <NeoSelect
-              label="Framework Override (Optional)"
-              value={frameworkOverride}
-              onChange={(e) => setFrameworkOverride(e.target.value)}
-              options={[
-                { value: '', label: 'Use agent default' },
-                ...FRAMEWORKS.map(f => ({ value: f, label: f }))
-              ]}
-            />
+        <div className="neo-card-colored bg-[#FFD700] mb-6 flex justify-between items-center flex-wrap gap-2">
+          <h1 className="text-4xl font-black text-black">
+            {compareMode ? '⚖️ Compare Agents' : '💬 Chat with Agent'}
+          </h1>
+          <div className="flex gap-2">
+            <NeoButton variant={compareMode ? 'secondary' : 'primary'} onClick={() => setCompareMode(false)}>
+              💬 Chat
+            </NeoButton>
+            <NeoButton variant={compareMode ? 'primary' : 'secondary'} onClick={() => setCompareMode(true)}>
+              ⚖️ Compare
+            </NeoButton>
           </div>
+        </div>
 
-          <div className="mt-4">
-            <div className="flex items-center gap-2">
-              <input
-                type="text"
-                value={sessionId}
-                onChange={(e) => setSessionId(e.target.value)}
-                placeholder="Session ID (optional - for conversation state persistence)"
-                className="flex-1 px-4 py-2 border-4 border-black bg-[#FFF8DC] text-black font-semibold focus:outline-none focus:ring-4 focus:ring-[#87CEEB]"
+        {compareMode ? (
+          <AgentComparison agents={agents} initialAgentId={selectedAgentId} />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            <div className="lg:col-span-1">
+              <ChatHistorySidebar
+                conversations={conversations}
+                agents={agents}
+                activeKey={activeConversationKey}
+                onOpen={handleOpenConversation}
+                onRename={handleRenameConversation}
+                onDelete={handleDeleteConversation}
+                onExport={handleExportConversation}
               />
-              <button
-                type="button"
-                onClick={() => {
-                  // Generate a new session ID
-                  const newSessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                  setSessionId(newSessionId);
-                }}
-                className="px-4 py-2 border-4 border-black bg-[#90EE90] text-black font-bold hover:bg-[#7ED87E] transition-colors"
-              >
-                🆔 Generate
-              </button>
-              {sessionId && (
-                <button
-                  type="button"
-                  onClick={() => setSessionId('')}
-                  className="px-4 py-2 border-4 border-black bg-[#FFB6C1] text-black font-bold hover:bg-[#FF9BB0] transition-colors"
-                >
-                  🗑️ Clear
-                </button>
-              )}
             </div>
-            <p className="text-xs text-black mt-2 font-semibold">
-              💡 Session ID maintains conversation state across multiple messages. Leave empty for stateless conversations.
-            </p>
-          </div>
 
-          {selectedAgent && (
-            <div className="neo-card-colored bg-[#90EE90] mt-4 p-4">
-              <p className="font-bold text-black mb-2">📋 Selected Agent Info:</p>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-                <p className="text-black font-semibold">Framework: {selectedAgent.framework}</p>
-                <p className="text-black font-semibold">Model: {selectedAgent.llm_config?.model || 'N/A'}</p>
-                {selectedAgent.description && (
-                  <p className="text-black font-semibold col-span-2">
-                    Description: {selectedAgent.description}
+            <div className="lg:col-span-3">
+              {/* Agent and Framework Selection */}
+              <div className="neo-card mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <NeoSelect
+                    label="Select Agent"
+                    value={selectedAgentId}
+                    onChange={(e) => setSelectedAgentId(e.target.value)}
+                    options={[
+                      { value: '', label: '-- Select an agent --' },
+                      ...agents.map(agent => ({ value: agent.id, label: `${agent.name} (${agent.framework})` }))
+                    ]}
+                    required
+                  />
+
+                  <NeoSelect
+                    label="Framework Override (Optional)"
+                    value={frameworkOverride}
+                    onChange={(e) => setFrameworkOverride(e.target.value)}
+                    options={[
+                      { value: '', label: 'Use agent default' },
+                      ...FRAMEWORKS.map(f => ({ value: f, label: f }))
+                    ]}
+                  />
+                </div>
+
+                <div className="mt-4">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={sessionDraft}
+                      onChange={(e) => setSessionDraft(e.target.value)}
+                      onBlur={() => applySessionId(sessionDraft.trim())}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          applySessionId(sessionDraft.trim());
+                        }
+                      }}
+                      placeholder="Session ID (optional - for conversation state persistence)"
+                      className="flex-1 px-4 py-2 border-4 border-black bg-[#FFF8DC] text-black font-semibold focus:outline-none focus:ring-4 focus:ring-[#87CEEB]"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => {
+                        // Generate a new session ID
+                        const newSessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                        applySessionId(newSessionId);
+                      }}
+                      className="px-4 py-2 border-4 border-black bg-[#90EE90] text-black font-bold hover:bg-[#7ED87E] transition-colors"
+                    >
+                      🆔 Generate
+                    </button>
+                    {sessionId && (
+                      <button
+                        type="button"
+                        onClick={() => applySessionId('')}
+                        className="px-4 py-2 border-4 border-black bg-[#FFB6C1] text-black font-bold hover:bg-[#FF9BB0] transition-colors"
+                      >
+                        🗑️ Clear
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-black mt-2 font-semibold">
+                    💡 Session ID maintains conversation state across multiple messages. Press Enter or leave the field to switch to it. Leave empty for stateless conversations.
                   </p>
+                </div>
+
+                {selectedAgent && (
+                  <div className="neo-card-colored bg-[#90EE90] mt-4 p-4">
+                    <p className="font-bold text-black mb-2">📋 Selected Agent Info:</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      <p className="text-black font-semibold">Framework: {selectedAgent.framework}</p>
+                      <p className="text-black font-semibold">Model: {selectedAgent.llm_config?.model || 'N/A'}</p>
+                      {selectedAgent.description && (
+                        <p className="text-black font-semibold col-span-2">
+                          Description: {selectedAgent.description}
+                        </p>
+                      )}
+                    </div>
+                  </div>
                 )}
               </div>
-            </div>
-          )}
-        </div>
 
-        {error && (
-          <div className="neo-card-colored bg-[#FFB6C1] mb-6">
-            <h2 className="text-2xl font-black text-black mb-2">Error</h2>
-            <p className="font-bold text-black">{error}</p>
+              {error && (
+                <div className="neo-card-colored bg-[#FFB6C1] mb-6">
+                  <h2 className="text-2xl font-black text-black mb-2">Error</h2>
+                  <p className="font-bold text-black">{error}</p>
+                </div>
+              )}
+
+              {/* ChatBot Component */}
+              <div className="neo-card" style={{ minHeight: '600px' }}>
+                <ChatBot
+                  key={chatKey}
+                  agentId={selectedAgentId}
+                  capabilities={selectedAgent?.capabilities || []}
+                  frameworkOverride={frameworkOverride}
+                  sessionId={sessionId}
+                  onSendMessage={handleSendMessage}
+                  onHistoryChange={refreshConversations}
+                  loading={loading}
+                  useStreaming={true}
+                />
+              </div>
+            </div>
           </div>
         )}
-
-        {/* ChatBot Component */}
-        <div className="neo-card" style={{ minHeight: '600px' }}>
-          <ChatBot
-            agentId={selectedAgentId}
-            frameworkOverride={frameworkOverride}
-            sessionId={sessionId}
-            onSendMessage={handleSendMessage}
-            loading={loading}
-            useStreaming={true}
-          />
-        </div>
       </div>
     </div>
   );
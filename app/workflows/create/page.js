@@ -1,7 +1,8 @@
 'use client';
 
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
 import ReactFlow, {
   Background,
   Controls,
@@ -15,30 +16,64 @@ import 'reactflow/dist/style.css';
 
 import Navigation from '@/components/Navigation';
 import AgentNode from '@/components/AgentNode';
+import ComponentNode from '@/components/ComponentNode';
 import WorkflowSidebar from '@/components/WorkflowSidebar';
 import NeoButton from '@/components/NeoButton';
 import NeoInput from '@/components/NeoInput';
 import NeoTextarea from '@/components/NeoTextarea';
 import NeoSelect from '@/components/NeoSelect';
-import { listAgents, createWorkflow, updateWorkflow, getWorkflow, createExecution, getExecution, executeWorkflowWithSSE, updateAgent, listTools, cancelExecution } from '@/lib/api';
+import EdgeConditionEditor from '@/components/EdgeConditionEditor';
+import ExportMenuButton from '@/components/ExportMenuButton';
+import WorkflowValidationPanel from '@/components/WorkflowValidationPanel';
+import WorkflowInputsEditor from '@/components/WorkflowInputsEditor';
+import WorkflowRunDialog from '@/components/WorkflowRunDialog';
+import StepEventsPanel from '@/components/StepEventsPanel';
+import { listAgents, listComponents, createWorkflow, updateWorkflow, getWorkflow, createExecution, getExecution, executeWorkflowWithSSE, updateAgent, listTools, cancelExecution } from '@/lib/api';
 import { WORKFLOW_PATTERNS, FRAMEWORKS, CAPABILITIES } from '@/lib/constants';
+import { applyEdgeCondition, buildStepCondition } from '@/lib/workflowConditions';
+import { getComponentNodeType, getComponentNodeTypes, isComponentNode, getNodeDisplayName, getNodeColor } from '@/lib/workflowNodes';
+import useUndoRedo from '@/lib/useUndoRedo';
+import { validateWorkflowGraph, indexValidationIssues } from '@/lib/workflowValidation';
+import { layoutWorkflow, buildCanvasFromSteps } from '@/lib/workflowLayout';
+import { validateTemplateReferences, getTemplateSuggestions, rewriteStepReferences, DEFAULT_CONTEXT_KEYS } from '@/lib/workflowTemplates';
+import { getWorkflowInputs } from '@/lib/workflowInputs';
+import { getExecutionPath } from '@/lib/executions';
+import { createExecutionOverlay, getStepNodeIds, applyExecutionEvent, applyStepResults, isEdgeFlowing } from '@/lib/executionOverlay';
+import { EXPORT_FORMATS, buildWorkflowExport, downloadWorkflowExport, readWorkflowExportFile, remapWorkflowAgents, describeUnresolvedAgents } from '@/lib/workflowTransfer';
 
 const nodeTypes = {
   agent: AgentNode,
+  // One node type per component type (component_init, component_api, ...)
+  ...Object.fromEntries(getComponentNodeTypes().map(type => [type, ComponentNode])),
 };
 
 let id = 0;
 const getId = () => `node_${id++}`;
 
+// Keep generated IDs clear of the IDs of nodes loaded onto the canvas
+const syncIdCounter = (loadedNodes) => {
+  loadedNodes.forEach((node) => {
+    const match = /^node_(\d+)$/.exec(node.id);
+    if (match) {
+      id = Math.max(id, Number(match[1]) + 1);
+    }
+  });
+};
+
 export default function CreateWorkflowPage() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const reactFlowWrapper = useRef(null);
+  const importInputRef = useRef(null);
+  // Set by the execute=true deep link; the run starts once the workflow is on the canvas
+  const autoExecuteRef = useRef(searchParams.get('execute') === 'true');
   const [reactFlowInstance, setReactFlowInstance] = useState(null);
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
+  const { takeSnapshot, undo, redo, resetHistory, canUndo, canRedo } = useUndoRedo(nodes, edges);
   
   const [agents, setAgents] = useState([]);
+  const [components, setComponents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [executing, setExecuting] = useState(false);
@@ -49,14 +84,21 @@ export default function CreateWorkflowPage() {
   const [workflowDescription, setWorkflowDescription] = useState('');
   const [workflowPattern, setWorkflowPattern] = useState('sequential');
   const [workflowId, setWorkflowId] = useState(null);
+  const [inputSchema, setInputSchema] = useState([]); // Inputs collected on Execute and sent as context
+  const [showInputsEditor, setShowInputsEditor] = useState(false);
+  const [runDialogWorkflowId, setRunDialogWorkflowId] = useState(null); // Saved workflow waiting for input values
   const [executionId, setExecutionId] = useState(null);
   const [executionStatus, setExecutionStatus] = useState(null);
   const [executionResults, setExecutionResults] = useState(null);
   const [enableSSE, setEnableSSE] = useState(false); // Toggle for SSE execution (default to /executions)
   const [executionEvents, setExecutionEvents] = useState([]); // Real-time execution events
   const [sessionId, setSessionId] = useState(''); // Session ID for maintaining conversation state
+  const [executionOverlay, setExecutionOverlay] = useState(null); // Per-node run state of the current execution
+  const [inspectedNodeId, setInspectedNodeId] = useState(null); // Node whose step events are open
   
   const [searchTerm, setSearchTerm] = useState('');
+  const [editingEdgeId, setEditingEdgeId] = useState(null); // Edge whose condition is being edited
+  const [showValidation, setShowValidation] = useState(false); // Highlight graph problems after a blocked Save/Execute
   
   // Agent editing state
   const [editingAgent, setEditingAgent] = useState(null);
@@ -81,6 +123,7 @@ export default function CreateWorkflowPage() {
 
   useEffect(() => {
     loadAgents();
+    loadComponents();
     loadTools();
     
     // Load workflow from URL if workflowId is provided
@@ -92,12 +135,26 @@ export default function CreateWorkflowPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  useEffect(() => {
+    if (!autoExecuteRef.current || loading || !workflowId || nodes.length === 0) {
+      return;
+    }
+    autoExecuteRef.current = false;
+    // Drop execute=true so reloading the page does not start another run
+    router.replace(`/workflows/create?workflowId=${workflowId}`);
+    handleExecute();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loading, workflowId, nodes.length]);
+
   useEffect(() => {
     if (executionId) {
       const interval = setInterval(async () => {
         const { data, error: apiError } = await getExecution(executionId);
         if (!apiError && data) {
           setExecutionStatus(data.status);
+          if (data.step_results) {
+            setExecutionOverlay(prev => prev && applyStepResults(prev, data.step_results));
+          }
           if (data.results) {
             setExecutionResults(data);
           }
@@ -123,6 +180,13 @@ export default function CreateWorkflowPage() {
     setLoading(false);
   };
 
+  const loadComponents = async () => {
+    const { data, error: apiError } = await listComponents(0, 100);
+    if (!apiError) {
+      setComponents(Array.isArray(data) ? data : []);
+    }
+  };
+
   const loadTools = async () => {
     setToolsLoading(true);
     const { data, error } = await listTools(0, 100);
@@ -133,8 +197,57 @@ export default function CreateWorkflowPage() {
     setToolsLoading(false);
   };
 
+  // Context keys tasks can reference: the ones always sent plus the workflow inputs
+  const contextKeys = useMemo(
+    () => [...DEFAULT_CONTEXT_KEYS, ...inputSchema.map(input => input.name)],
+    [inputSchema]
+  );
+
+  // Graph and task reference problems, kept current while the user fixes them
+  const validationIssues = useMemo(
+    () => [
+      ...validateWorkflowGraph(nodes, edges, workflowPattern),
+      ...validateTemplateReferences(nodes, edges, contextKeys),
+    ],
+    [nodes, edges, workflowPattern, contextKeys]
+  );
+
+  // Nodes and edges as rendered, decorated with template suggestions, validation highlights and run state
+  const displayNodes = useMemo(() => {
+    const hasIssues = showValidation && validationIssues.length > 0;
+    const { nodes: nodeIssues } = indexValidationIssues(hasIssues ? validationIssues : []);
+    return nodes.map((node) => {
+      const execution = executionOverlay?.steps[node.id];
+      return {
+        ...node,
+        data: {
+          ...node.data,
+          templateSuggestions: getTemplateSuggestions(node.id, nodes, edges, contextKeys),
+          ...(nodeIssues.has(node.id) ? { validationErrors: nodeIssues.get(node.id) } : {}),
+          ...(execution ? { execution } : {}),
+        },
+      };
+    });
+  }, [nodes, edges, contextKeys, showValidation, validationIssues, executionOverlay]);
+
+  const displayEdges = useMemo(() => {
+    const hasIssues = showValidation && validationIssues.length > 0;
+    if (!hasIssues && !executionOverlay) return edges;
+    const { edges: edgeIssues } = indexValidationIssues(hasIssues ? validationIssues : []);
+    return edges.map((edge) => {
+      // While a run is shown, only edges carrying data into a running step animate
+      const animated = executionOverlay ? isEdgeFlowing(executionOverlay, edge) : edge.animated;
+      if (edgeIssues.has(edge.id)) {
+        return { ...edge, animated, style: { ...(edge.style || {}), stroke: '#DC2626', strokeWidth: 3 } };
+      }
+      return animated === edge.animated ? edge : { ...edge, animated };
+    });
+  }, [edges, showValidation, validationIssues, executionOverlay]);
+
   // Stable callback functions for node updates
   const handleTaskChange = useCallback((nodeId, task) => {
+    // Consecutive keystrokes in the same node form a single undo step
+    takeSnapshot(`task:${nodeId}`);
     setNodes((nds) => {
       const updatedNodes = nds.map((node) => {
         if (node.id === nodeId) {
@@ -150,12 +263,13 @@ export default function CreateWorkflowPage() {
       });
       return updatedNodes;
     });
-  }, [setNodes]);
+  }, [setNodes, takeSnapshot]);
 
   const handleNodeDelete = useCallback((nodeId) => {
+    takeSnapshot();
     setNodes((nds) => nds.filter((node) => node.id !== nodeId));
     setEdges((eds) => eds.filter((edge) => edge.source !== nodeId && edge.target !== nodeId));
-  }, [setNodes, setEdges]);
+  }, [setNodes, setEdges, takeSnapshot]);
 
   const handleNodeEdit = useCallback((nodeId, agentId) => {
     const agent = agents.find(a => a.id === agentId);
@@ -195,6 +309,70 @@ export default function CreateWorkflowPage() {
     setEditCategory(agent.category || '');
   }, [agents]);
 
+  // Re-attach node callbacks, which are not part of saved or snapshotted nodes
+  const attachNodeHandlers = useCallback((node) => ({
+    ...node,
+    data: {
+      ...node.data,
+      onTaskChange: handleTaskChange,
+      onDelete: handleNodeDelete,
+      ...(isComponentNode(node) ? {} : { onEdit: handleNodeEdit }),
+    },
+  }), [handleTaskChange, handleNodeDelete, handleNodeEdit]);
+
+  const applySnapshot = useCallback((snapshot) => {
+    if (!snapshot) return;
+    setNodes(snapshot.nodes.map(attachNodeHandlers));
+    setEdges(snapshot.edges);
+  }, [attachNodeHandlers, setNodes, setEdges]);
+
+  const handleUndo = useCallback(() => {
+    applySnapshot(undo());
+  }, [applySnapshot, undo]);
+
+  const handleRedo = useCallback(() => {
+    applySnapshot(redo());
+  }, [applySnapshot, redo]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their native undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      const target = event.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+        return;
+      }
+      event.preventDefault();
+      if (event.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // Record node/edge removals (e.g. Backspace on a selection) before React Flow applies them
+  const handleNodesChange = useCallback((changes) => {
+    if (changes.some(change => change.type === 'remove')) {
+      takeSnapshot('remove');
+    }
+    onNodesChange(changes);
+  }, [onNodesChange, takeSnapshot]);
+
+  const handleEdgesChange = useCallback((changes) => {
+    if (changes.some(change => change.type === 'remove')) {
+      takeSnapshot('remove');
+    }
+    onEdgesChange(changes);
+  }, [onEdgesChange, takeSnapshot]);
+
+  const onNodeDragStart = useCallback(() => {
+    takeSnapshot();
+  }, [takeSnapshot]);
+
   const handleSaveAgent = async (e) => {
     e.preventDefault();
     if (!editingAgent) return;
@@ -282,6 +460,7 @@ export default function CreateWorkflowPage() {
 
   const onConnect = useCallback(
     (params) => {
+      takeSnapshot();
       setEdges((eds) => addEdge(
         {
           ...params,
@@ -294,9 +473,29 @@ export default function CreateWorkflowPage() {
         eds
       ));
     },
-    [setEdges]
+    [setEdges, takeSnapshot]
   );
 
+  const onEdgeClick = useCallback((event, edge) => {
+    setEditingEdgeId(edge.id);
+  }, []);
+
+  // During and after a run, clicking a node opens the event stream of its step
+  const onNodeClick = useCallback((event, node) => {
+    if (event.target.closest('textarea, input, button, select')) return;
+    if (executionOverlay?.steps[node.id]) {
+      setInspectedNodeId(node.id);
+    }
+  }, [executionOverlay]);
+
+  const handleEdgeConditionSave = (condition) => {
+    takeSnapshot();
+    setEdges((eds) => eds.map((edge) => (
+      edge.id === editingEdgeId ? applyEdgeCondition(edge, condition) : edge
+    )));
+    setEditingEdgeId(null);
+  };
+
   const onDragOver = useCallback((event) => {
     event.preventDefault();
     event.dataTransfer.dropEffect = 'move';
@@ -306,9 +505,9 @@ export default function CreateWorkflowPage() {
     (event) => {
       event.preventDefault();
 
-      const agentData = JSON.parse(event.dataTransfer.getData('application/reactflow'));
+      const itemData = JSON.parse(event.dataTransfer.getData('application/reactflow'));
 
-      if (typeof agentData === 'undefined' || !agentData) {
+      if (typeof itemData === 'undefined' || !itemData) {
         return;
       }
 
@@ -317,14 +516,26 @@ export default function CreateWorkflowPage() {
         y: event.clientY,
       });
 
-      const newNode = {
+      const newNode = itemData.nodeKind === 'component' ? {
+        id: getId(),
+        type: getComponentNodeType(itemData.type),
+        position,
+        data: {
+          componentId: itemData.id,
+          componentName: itemData.name,
+          componentType: itemData.type,
+          task: '',
+          onTaskChange: handleTaskChange,
+          onDelete: handleNodeDelete,
+        },
+      } : {
         id: getId(),
         type: 'agent',
         position,
         data: {
-          agentId: agentData.id,
-          agentName: agentData.name,
-          framework: agentData.framework,
+          agentId: itemData.id,
+          agentName: itemData.name,
+          framework: itemData.framework,
           task: '',
           onTaskChange: handleTaskChange,
           onDelete: handleNodeDelete,
@@ -332,21 +543,22 @@ export default function CreateWorkflowPage() {
         },
       };
 
+      takeSnapshot();
       setNodes((nds) => nds.concat(newNode));
     },
-    [reactFlowInstance, setNodes, handleTaskChange, handleNodeDelete, handleNodeEdit]
+    [reactFlowInstance, setNodes, handleTaskChange, handleNodeDelete, handleNodeEdit, takeSnapshot]
   );
 
-  const onDragStart = (event, agent) => {
-    event.dataTransfer.setData('application/reactflow', JSON.stringify(agent));
+  const onDragStart = (event, item, nodeKind = 'agent') => {
+    event.dataTransfer.setData('application/reactflow', JSON.stringify({ ...item, nodeKind }));
     event.dataTransfer.effectAllowed = 'move';
   };
 
   const convertToWorkflowAgents = () => {
     const agentIds = [...new Set(nodes.map(node => node.data.agentId))].filter(id => id);
     
-    if (agentIds.length === 0) {
-      throw new Error('At least one agent is required in the workflow');
+    if (agentIds.length === 0 && !nodes.some(isComponentNode)) {
+      throw new Error('At least one agent or component is required in the workflow');
     }
     
     // Validate that all agents exist
@@ -378,16 +590,66 @@ export default function CreateWorkflowPage() {
         .map(index => String(index)); // Convert to strings as backend expects List[str]
 
       return {
-        agent: node.data.agentId,
-        task: node.data.task || '',
+        agent: node.data.agentId || null,
+        // Component steps reference the component instead of an agent
+        ...(isComponentNode(node) ? {
+          component: node.data.componentId,
+          component_type: node.data.componentType,
+        } : {}),
+        // Saved steps reference each other by step index, like depends_on
+        task: rewriteStepReferences(node.data.task || '', nodeRef => nodeIdToStepIndex[nodeRef]),
         depends_on: dependsOn,
-        condition: null, // Can be added later for conditional workflows
+        condition: buildStepCondition(incomingEdges, nodeIdToStepIndex),
       };
     });
 
     return steps;
   };
 
+  const buildWorkflowData = () => {
+    const steps = convertToWorkflowSteps();
+    const agentsData = convertToWorkflowAgents();
+
+    // Ensure steps is always a valid array
+    const validSteps = Array.isArray(steps) ? steps : [];
+
+    return {
+      name: workflowName,
+      description: workflowDescription || null,
+      pattern: workflowPattern,
+      agents: agentsData,
+      steps: validSteps,
+      visual_data: {
+        nodes: nodes.map(node => ({
+          id: node.id,
+          position: node.position,
+          type: node.type,
+          data: isComponentNode(node) ? {
+            componentId: node.data.componentId,
+            componentName: node.data.componentName,
+            componentType: node.data.componentType,
+            task: node.data.task,
+          } : {
+            agentId: node.data.agentId,
+            agentName: node.data.agentName,
+            framework: node.data.framework,
+            task: node.data.task,
+          },
+        })),
+        edges: edges.map(edge => ({
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          ...(edge.data?.condition ? { data: { condition: edge.data.condition } } : {}),
+        })),
+        input_schema: inputSchema,
+      },
+      timeout: null,
+      max_retries: workflowId ? 0 : 3,
+      error_handling: 'stop',
+    };
+  };
+
   const validateWorkflow = () => {
     if (!workflowName.trim()) {
       setError('Workflow name is required');
@@ -395,13 +657,15 @@ export default function CreateWorkflowPage() {
     }
 
     if (nodes.length === 0) {
-      setError('At least one agent node is required');
+      setError('At least one agent or component node is required');
       return false;
     }
 
     // Check for nodes without tasks - be more lenient with whitespace
     // Also check if task is undefined, null, empty string, or just whitespace
+    // Component inputs are optional, so only agent nodes need a task
     const nodesWithoutTasks = nodes.filter(node => {
+      if (isComponentNode(node)) return false;
       const task = node.data?.task;
       // Check if task is missing, null, undefined, empty string, or only whitespace
       if (!task) return true;
@@ -423,9 +687,26 @@ export default function CreateWorkflowPage() {
       return false;
     }
 
+    if (validationIssues.length > 0) {
+      setShowValidation(true);
+      setError(`The workflow graph has ${validationIssues.length} problem(s) for the ${workflowPattern} pattern. See the list below.`);
+      return false;
+    }
+
+    setShowValidation(false);
     return true;
   };
 
+  const handleSelectIssue = (issue) => {
+    if (reactFlowInstance && issue.nodeIds.length > 0) {
+      reactFlowInstance.fitView({
+        nodes: issue.nodeIds.map(nodeId => ({ id: nodeId })),
+        padding: 0.5,
+        duration: 300,
+      });
+    }
+  };
+
   const handleSave = async () => {
     if (!validateWorkflow()) {
       return;
@@ -436,40 +717,7 @@ export default function CreateWorkflowPage() {
     setSuccess(null);
 
     try {
-      const steps = convertToWorkflowSteps();
-      const agentsData = convertToWorkflowAgents();
-
-      // Ensure steps is always a valid array
-      const validSteps = Array.isArray(steps) ? steps : [];
-
-      const workflowData = {
-      name: workflowName,
-      description: workflowDescription || null,
-      pattern: workflowPattern,
-      agents: agentsData,
-      steps: validSteps,
-      visual_data: {
-        nodes: nodes.map(node => ({
-          id: node.id,
-          position: node.position,
-          type: node.type,
-          data: {
-            agentId: node.data.agentId,
-            agentName: node.data.agentName,
-            framework: node.data.framework,
-            task: node.data.task,
-          },
-        })),
-        edges: edges.map(edge => ({
-          id: edge.id,
-          source: edge.source,
-          target: edge.target,
-        })),
-      },
-      timeout: null,
-      max_retries: workflowId ? 0 : 3,
-      error_handling: 'stop',
-      };
+      const workflowData = buildWorkflowData();
 
       let result;
       if (workflowId) {
@@ -521,7 +769,9 @@ export default function CreateWorkflowPage() {
   };
 
   const handleExecute = async () => {
-    if (!workflowId) {
+    let targetWorkflowId = workflowId;
+
+    if (!targetWorkflowId) {
       // Auto-save if not saved yet
       if (!validateWorkflow()) {
         return;
@@ -529,37 +779,7 @@ export default function CreateWorkflowPage() {
       
       setSaving(true);
       try {
-        const steps = convertToWorkflowSteps();
-        const agentsData = convertToWorkflowAgents();
-
-        const workflowData = {
-          name: workflowName,
-          description: workflowDescription || null,
-          pattern: workflowPattern,
-          agents: agentsData,
-          steps: steps,
-          visual_data: {
-            nodes: nodes.map(node => ({
-              id: node.id,
-              position: node.position,
-              type: node.type,
-              data: {
-                agentId: node.data.agentId,
-                agentName: node.data.agentName,
-                framework: node.data.framework,
-                task: node.data.task,
-              },
-            })),
-            edges: edges.map(edge => ({
-              id: edge.id,
-              source: edge.source,
-              target: edge.target,
-            })),
-          },
-          timeout: null,
-          max_retries: 3,
-          error_handling: 'stop',
-        };
+        const workflowData = buildWorkflowData();
 
         const saveResult = await createWorkflow(workflowData);
         setSaving(false);
@@ -570,7 +790,8 @@ export default function CreateWorkflowPage() {
           return;
         }
         
-        setWorkflowId(saveResult.data.id);
+        targetWorkflowId = saveResult.data.id;
+        setWorkflowId(targetWorkflowId);
         setSuccess('Workflow saved! Now executing...');
       } catch (err) {
         setSaving(false);
@@ -583,23 +804,49 @@ export default function CreateWorkflowPage() {
       return;
     }
 
+    // Declared inputs are collected first; the dialog starts the execution
+    if (inputSchema.length > 0) {
+      setRunDialogWorkflowId(targetWorkflowId);
+      return;
+    }
+
+    await startExecution(targetWorkflowId, {});
+  };
+
+  const handleRunDialogSubmit = (inputValues) => {
+    const targetWorkflowId = runDialogWorkflowId;
+    setRunDialogWorkflowId(null);
+    startExecution(targetWorkflowId, inputValues);
+  };
+
+  /**
+   * Execute a saved workflow with the given input values as context
+   */
+  const startExecution = async (targetWorkflowId, inputValues) => {
     setExecuting(true);
     setError(null);
     setExecutionStatus('pending');
     setExecutionResults(null);
     setExecutionEvents([]); // Clear previous events
+    setInspectedNodeId(null);
+    // The server runs the saved steps, which may differ from the edited canvas
+    const { data: savedWorkflow } = await getWorkflow(targetWorkflowId);
+    setExecutionOverlay(createExecutionOverlay(getStepNodeIds(savedWorkflow, nodes)));
 
-    // Collect context from nodes (if needed)
     const context = {
+      ...inputValues,
       session_id: sessionId || null,
     };
 
     try {
       if (enableSSE) {
         // Use SSE execution
-        await executeWorkflowWithSSE(workflowId, context, (eventType, data) => {
+        await executeWorkflowWithSSE(targetWorkflowId, context, (eventType, data) => {
           // Add event to the events list
           setExecutionEvents(prev => [...prev, { eventType, data, timestamp: new Date().toISOString() }]);
+          // Show the event on the node of its step
+          const receivedAt = Date.now();
+          setExecutionOverlay(prev => prev && applyExecutionEvent(prev, nodes, eventType, data, receivedAt));
           
           // Handle specific events
           switch (eventType) {
@@ -641,6 +888,7 @@ export default function CreateWorkflowPage() {
                 getExecution(data.execution_id).then(({ data: execData }) => {
                   if (execData) {
                     setExecutionResults(execData);
+                    setExecutionOverlay(prev => prev && applyStepResults(prev, execData.step_results));
                   }
                 });
               }
@@ -654,6 +902,7 @@ export default function CreateWorkflowPage() {
                 getExecution(data.execution_id).then(({ data: execData }) => {
                   if (execData) {
                     setExecutionResults(execData);
+                    setExecutionOverlay(prev => prev && applyStepResults(prev, execData.step_results));
                   }
                 });
               }
@@ -675,7 +924,7 @@ export default function CreateWorkflowPage() {
         });
       } else {
         // Use regular execution
-        const result = await createExecution(workflowId, context);
+        const result = await createExecution(targetWorkflowId, context);
         
         if (result.error) {
           setError(result.error);
@@ -693,14 +942,17 @@ export default function CreateWorkflowPage() {
 
   const handleClear = () => {
     if (confirm('Are you sure you want to clear the workflow? This will remove all nodes and edges.')) {
+      // Clearing can be undone like any other canvas change. Only the canvas is
+      // cleared: the workflow it belongs to, its name and its inputs stay, so
+      // undo puts back a canvas that still saves to the same workflow.
+      takeSnapshot();
       setNodes([]);
       setEdges([]);
-      setWorkflowId(null);
-      setWorkflowName('');
-      setWorkflowDescription('');
       setExecutionId(null);
       setExecutionStatus(null);
       setExecutionResults(null);
+      setExecutionOverlay(null);
+      setInspectedNodeId(null);
       setError(null);
       setSuccess(null);
     }
@@ -720,32 +972,117 @@ export default function CreateWorkflowPage() {
 
     if (data) {
       setWorkflowId(data.id);
-      setWorkflowName(data.name);
-      setWorkflowDescription(data.description || '');
-      setWorkflowPattern(data.pattern);
-
-      // Restore visual data if available
-      if (data.visual_data && data.visual_data.nodes) {
-        const restoredNodes = data.visual_data.nodes.map(node => ({
-          ...node,
-          data: {
-            ...node.data,
-            onTaskChange: handleTaskChange,
-            onDelete: handleNodeDelete,
-            onEdit: handleNodeEdit,
-          },
-        }));
-        setNodes(restoredNodes);
-      }
-
-      if (data.visual_data && data.visual_data.edges) {
-        setEdges(data.visual_data.edges);
+      try {
+        if (!data.visual_data?.nodes?.length && data.steps?.length) {
+          // The canvas is rebuilt from the steps, so node names need the agent and component lists
+          const [{ data: agentsData }, { data: componentsData }] = await Promise.all([
+            listAgents(),
+            listComponents(0, 100),
+          ]);
+          applyWorkflowToCanvas(data, {
+            agentList: agentsData?.agents || [],
+            componentList: Array.isArray(componentsData) ? componentsData : [],
+          });
+        } else {
+          applyWorkflowToCanvas(data);
+        }
+        resetHistory();
+      } catch (err) {
+        setError(`Failed to load the workflow onto the canvas: ${err.message}`);
       }
     }
     
     setLoading(false);
   };
 
+  // Put a workflow definition (stored or imported) onto the canvas
+  const applyWorkflowToCanvas = (data, { agentList = agents, componentList = components } = {}) => {
+    const pattern = data.pattern || 'sequential';
+    setWorkflowName(data.name || '');
+    setWorkflowDescription(data.description || '');
+    setWorkflowPattern(pattern);
+    setInputSchema(getWorkflowInputs(data));
+
+    // Restore visual data if available, otherwise rebuild the canvas from the steps
+    let visualNodes = data.visual_data?.nodes || [];
+    let visualEdges = data.visual_data?.edges || [];
+    const rebuilt = visualNodes.length === 0 && (data.steps || []).length > 0;
+    if (rebuilt) {
+      const canvas = buildCanvasFromSteps(data.steps, { agents: agentList, components: componentList });
+      visualNodes = layoutWorkflow(canvas.nodes, canvas.edges, pattern);
+      visualEdges = canvas.edges;
+    }
+
+    syncIdCounter(visualNodes);
+    setNodes(visualNodes.map(attachNodeHandlers));
+
+    // Re-apply conditions so conditional edges get their labels back
+    setEdges(visualEdges.map(edge => applyEdgeCondition(edge, edge.data?.condition || null)));
+
+    if (rebuilt) {
+      fitCanvas();
+    }
+  };
+
+  // Fit the viewport once React Flow has rendered the latest nodes
+  const fitCanvas = () => {
+    window.requestAnimationFrame(() => {
+      reactFlowInstance?.fitView({ padding: 0.2, duration: 300 });
+    });
+  };
+
+  const handleAutoArrange = () => {
+    if (nodes.length === 0) return;
+    takeSnapshot();
+    setNodes(nds => layoutWorkflow(nds, edges, workflowPattern));
+    fitCanvas();
+  };
+
+  const handleExport = (format) => {
+    setError(null);
+    try {
+      downloadWorkflowExport(buildWorkflowExport(buildWorkflowData(), agents), format);
+    } catch (err) {
+      setError(err.message || 'Failed to export workflow');
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    // Reset the input so the same file can be imported again
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const exportDocument = await readWorkflowExportFile(file);
+      const { workflow, unresolved } = remapWorkflowAgents(exportDocument, agents);
+
+      takeSnapshot();
+      // Imported workflows are saved as new workflows
+      setWorkflowId(null);
+      applyWorkflowToCanvas(workflow);
+
+      if (unresolved.length > 0) {
+        setError(`Imported "${workflow.name}", but these agents could not be resolved: ${describeUnresolvedAgents(unresolved)}. Replace their nodes before saving.`);
+      } else {
+        setSuccess(`Imported "${workflow.name}". Save it to create the workflow.`);
+        setTimeout(() => setSuccess(null), 3000);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to import workflow');
+    }
+  };
+
+  const editingEdge = editingEdgeId ? edges.find(edge => edge.id === editingEdgeId) : null;
+
+  const getNodeLabel = (nodeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    return getNodeDisplayName(node) || nodeId;
+  };
+
   return (
     <div className="min-h-screen bg-[#FFF8DC] flex flex-col">
       <Navigation />
@@ -753,6 +1090,7 @@ export default function CreateWorkflowPage() {
       <div className="flex-1 flex overflow-hidden">
         <WorkflowSidebar
           agents={agents}
+          components={components}
           onDragStart={onDragStart}
           searchTerm={searchTerm}
           onSearchChange={setSearchTerm}
@@ -772,9 +1110,53 @@ export default function CreateWorkflowPage() {
                   />
                   <span className="text-xs font-bold text-black">SSE Logs</span>
                 </label>
+                <NeoButton
+                  variant="secondary"
+                  onClick={handleUndo}
+                  disabled={!canUndo}
+                  className="px-2 py-1 text-xs"
+                >
+                  ↩️ Undo
+                </NeoButton>
+                <NeoButton
+                  variant="secondary"
+                  onClick={handleRedo}
+                  disabled={!canRedo}
+                  className="px-2 py-1 text-xs"
+                >
+                  ↪️ Redo
+                </NeoButton>
+                <NeoButton
+                  variant="secondary"
+                  onClick={handleAutoArrange}
+                  disabled={nodes.length === 0}
+                  className="px-2 py-1 text-xs"
+                >
+                  🧭 Auto-arrange
+                </NeoButton>
                 <NeoButton variant="warning" onClick={handleClear} className="px-2 py-1 text-xs">
                   Clear
                 </NeoButton>
+                <NeoButton
+                  variant="secondary"
+                  onClick={() => importInputRef.current?.click()}
+                  className="px-2 py-1 text-xs"
+                >
+                  ⬆️ Import
+                </NeoButton>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".json,.yaml,.yml,application/json,application/x-yaml"
+                  onChange={handleImportFile}
+                  className="hidden"
+                />
+                <ExportMenuButton
+                  formats={EXPORT_FORMATS}
+                  onSelect={handleExport}
+                  disabled={nodes.length === 0}
+                  className="px-2 py-1 text-xs"
+                />
                 <NeoButton
                   variant="success"
                   onClick={handleSave}
@@ -853,6 +1235,26 @@ export default function CreateWorkflowPage() {
               )}
             </div>
 
+            <div className="mt-2 flex gap-2 items-center flex-wrap">
+              <span className="text-xs font-bold text-black">Inputs:</span>
+              {inputSchema.length === 0 ? (
+                <span className="text-xs font-semibold text-black">none</span>
+              ) : (
+                inputSchema.map(input => (
+                  <span key={input.name} className="neo-badge bg-white text-black text-xs">
+                    {input.name}: {input.type}{input.required ? ' *' : ''}
+                  </span>
+                ))
+              )}
+              <button
+                type="button"
+                onClick={() => setShowInputsEditor(true)}
+                className="px-3 py-1 border-4 border-black bg-[#87CEEB] text-black font-bold hover:bg-[#7AB8D4] transition-colors text-xs"
+              >
+                🧾 Edit Inputs
+              </button>
+            </div>
+
             <div className="mt-2">
               <label className="block text-xs font-bold text-black mb-1">
                 Session ID (Optional - for conversation state persistence)
@@ -890,6 +1292,14 @@ export default function CreateWorkflowPage() {
               <p className="text-xs text-black mt-1 font-semibold">
                 💡 Session ID maintains conversation state across workflow executions. Leave empty for stateless executions.
               </p>
+              <p className="text-xs text-black mt-1 font-semibold">
+                💡 In a task, type <code>{'{{'}</code> to insert the output of an upstream node or a context value.
+              </p>
+              {workflowPattern === 'conditional' && (
+                <p className="text-xs text-black mt-1 font-semibold">
+                  💡 Click an edge on the canvas to attach a condition to it.
+                </p>
+              )}
             </div>
           </div>
 
@@ -905,11 +1315,32 @@ export default function CreateWorkflowPage() {
             </div>
           )}
 
+          {showValidation && (
+            <WorkflowValidationPanel
+              issues={validationIssues}
+              onSelectIssue={handleSelectIssue}
+              onClose={() => setShowValidation(false)}
+            />
+          )}
+
           {executionStatus && (
             <div className="neo-card-colored bg-[#FFD700] m-4">
               <p className="font-bold text-black">
                 Execution Status: <span className="uppercase">{executionStatus}</span>
               </p>
+              {executionId && (
+                <Link
+                  href={getExecutionPath(executionId)}
+                  className="inline-block mt-1 text-xs font-bold text-black underline"
+                >
+                  🔗 Open run page ({executionId})
+                </Link>
+              )}
+              {executionOverlay && (
+                <p className="text-xs text-black font-semibold mt-1">
+                  💡 Click a node on the canvas to see the events of its step.
+                </p>
+              )}
               
               {/* Real-time execution events (SSE) */}
               {enableSSE && executionEvents.length > 0 && (
@@ -1018,11 +1449,16 @@ export default function CreateWorkflowPage() {
 
           <div className="flex-1 relative" ref={reactFlowWrapper}>
             <ReactFlow
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={onNodesChange}
-              onEdgesChange={onEdgesChange}
+              nodes={displayNodes}
+              edges={displayEdges}
+              onNodesChange={handleNodesChange}
+              onEdgesChange={handleEdgesChange}
+              onNodeDragStart={onNodeDragStart}
+              onSelectionDragStart={onNodeDragStart}
+              nodeDragThreshold={1}
               onConnect={onConnect}
+              onEdgeClick={onEdgeClick}
+              onNodeClick={onNodeClick}
               onInit={setReactFlowInstance}
               onDrop={onDrop}
               onDragOver={onDragOver}
@@ -1040,14 +1476,7 @@ export default function CreateWorkflowPage() {
               <Background />
               <Controls />
               <MiniMap
-                nodeColor={(node) => {
-                  switch (node.type) {
-                    case 'agent':
-                      return '#87CEEB';
-                    default:
-                      return '#90EE90';
-                  }
-                }}
+                nodeColor={getNodeColor}
                 style={{
                   backgroundColor: '#FFF8DC',
                   border: '4px solid black',
@@ -1058,6 +1487,46 @@ export default function CreateWorkflowPage() {
         </div>
       </div>
 
+      {/* Edge Condition Modal */}
+      {editingEdge && (
+        <EdgeConditionEditor
+          key={editingEdge.id}
+          edge={editingEdge}
+          sourceName={getNodeLabel(editingEdge.source)}
+          targetName={getNodeLabel(editingEdge.target)}
+          onSave={handleEdgeConditionSave}
+          onClose={() => setEditingEdgeId(null)}
+        />
+      )}
+
+      {showInputsEditor && (
+        <WorkflowInputsEditor
+          inputs={inputSchema}
+          onSave={(inputs) => {
+            setInputSchema(inputs);
+            setShowInputsEditor(false);
+          }}
+          onClose={() => setShowInputsEditor(false)}
+        />
+      )}
+
+      {runDialogWorkflowId && (
+        <WorkflowRunDialog
+          workflowName={workflowName}
+          inputs={inputSchema}
+          onSubmit={handleRunDialogSubmit}
+          onClose={() => setRunDialogWorkflowId(null)}
+        />
+      )}
+
+      {inspectedNodeId && executionOverlay?.steps[inspectedNodeId] && (
+        <StepEventsPanel
+          stepName={getNodeLabel(inspectedNodeId)}
+          execution={executionOverlay.steps[inspectedNodeId]}
+          onClose={() => setInspectedNodeId(null)}
+        />
+      )}
+
       {/* Agent Edit Modal */}
       {editingAgent && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -0,0 +1,156 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import Navigation from '@/components/Navigation';
+import NeoButton from '@/components/NeoButton';
+import ExecutionDetails from '@/components/ExecutionDetails';
+import { getExecution, getWorkflow, cancelExecution, createExecution } from '@/lib/api';
+import { isExecutionActive, applyExecutionStreamEvent, getExecutionPath } from '@/lib/executions';
+import { useExecutionStream, STREAM_MODE } from '@/lib/useExecutionStream';
+
+export default function ExecutionPage() {
+  const { id: executionId } = useParams();
+  const router = useRouter();
+  const [execution, setExecution] = useState(null);
+  const [workflow, setWorkflow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const loadExecution = useCallback(async () => {
+    const { data, error: apiError } = await getExecution(executionId);
+    if (apiError) {
+      setError(apiError);
+    } else {
+      setError(null);
+      setExecution(data);
+    }
+    setLoading(false);
+    return data;
+  }, [executionId]);
+
+  useEffect(() => {
+    const load = async () => {
+      const data = await loadExecution();
+      if (data?.workflow_id) {
+        const { data: workflowData } = await getWorkflow(data.workflow_id);
+        setWorkflow(workflowData || null);
+      }
+    };
+    load();
+  }, [loadExecution]);
+
+  const handleStreamEvent = useCallback((eventType, data, receivedAt) => {
+    setExecution(prev => (prev ? applyExecutionStreamEvent(prev, eventType, data, receivedAt) : prev));
+  }, []);
+
+  // Stream the execution while it is running; polls only if streaming is unavailable
+  const streamMode = useExecutionStream(executionId, isExecutionActive(execution?.status), {
+    onEvent: handleStreamEvent,
+    refresh: loadExecution,
+  });
+
+  const handleCancel = async (id) => {
+    if (!confirm('Are you sure you want to cancel this execution?')) {
+      return;
+    }
+
+    const { error: apiError } = await cancelExecution(id);
+    if (apiError) {
+      setError(apiError);
+    } else {
+      loadExecution();
+    }
+  };
+
+  const handleRerun = async ({ context, stepResults }) => {
+    const { data, error: apiError } = await createExecution(execution.workflow_id, context, { stepResults });
+    if (apiError) {
+      setError(apiError);
+    } else {
+      router.push(getExecutionPath(data.id));
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError('Failed to copy link to clipboard');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#FFF8DC]">
+      <Navigation />
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="neo-card-colored bg-[#87CEEB] mb-6 flex justify-between items-center flex-wrap gap-2">
+          <div>
+            <h1 className="text-4xl font-black text-black">
+              Execution
+              {streamMode === STREAM_MODE.STREAMING && (
+                <span className="ml-3 px-2 py-1 border-2 border-black bg-[#90EE90] text-sm font-bold align-middle animate-pulse">
+                  ● LIVE
+                </span>
+              )}
+            </h1>
+            <p className="text-sm font-semibold text-black">{workflow?.name || executionId}</p>
+          </div>
+          <div className="flex gap-2 flex-wrap">
+            <Link
+              href="/workflows/executions"
+              className="px-4 py-2 border-4 border-black bg-[#FFF8DC] text-black font-bold shadow-[4px_4px_0px_0px_#000000]"
+            >
+              ← All Executions
+            </Link>
+            {execution?.workflow_id && (
+              <Link
+                href={`/workflows/create?workflowId=${execution.workflow_id}`}
+                className="px-4 py-2 border-4 border-black bg-[#FFD700] text-black font-bold shadow-[4px_4px_0px_0px_#000000]"
+              >
+                ✏️ Open Workflow
+              </Link>
+            )}
+            <NeoButton variant="success" onClick={handleCopyLink}>
+              {copied ? '✅ Copied' : '🔗 Copy Link'}
+            </NeoButton>
+            <NeoButton variant="primary" onClick={loadExecution} disabled={loading}>
+              🔄 Refresh
+            </NeoButton>
+          </div>
+        </div>
+
+        {error && (
+          <div className="neo-card-colored bg-[#FFB6C1] mb-6">
+            <p className="font-bold text-black">❌ Error: {error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="neo-card">
+            <p className="font-bold text-black text-center">Loading execution...</p>
+          </div>
+        ) : execution ? (
+          <div className="neo-card-colored bg-[#FFD700]">
+            <ExecutionDetails
+              execution={execution}
+              workflowName={workflow?.name}
+              workflowPattern={workflow?.pattern}
+              onCancel={handleCancel}
+              onRerun={handleRerun}
+            />
+          </div>
+        ) : (
+          <div className="neo-card">
+            <p className="font-bold text-black text-center">Execution not found.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
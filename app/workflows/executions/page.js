@@ -1,12 +1,41 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, useCallback, useMemo, Suspense } from 'react';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
 import Navigation from '@/components/Navigation';
 import NeoButton from '@/components/NeoButton';
 import NeoInput from '@/components/NeoInput';
 import NeoSelect from '@/components/NeoSelect';
-import { listExecutions, getExecution, cancelExecution, listWorkflows } from '@/lib/api';
+import ExecutionDetails from '@/components/ExecutionDetails';
+import ExecutionDiff from '@/components/ExecutionDiff';
+import BulkActionProgress from '@/components/BulkActionProgress';
+import {
+  listExecutions,
+  getExecution,
+  cancelExecution,
+  listWorkflows,
+  createExecution,
+  getWorkflow,
+} from '@/lib/api';
+import {
+  getExecutionStatusColor,
+  formatDate,
+  getExecutionPath,
+  isExecutionActive,
+  applyExecutionStreamEvent,
+  getExecutionEventStatus,
+} from '@/lib/executions';
+import { useExecutionStream, STREAM_MODE } from '@/lib/useExecutionStream';
+import {
+  EXECUTION_PAGE_SIZES,
+  parseExecutionFilters,
+  toExecutionFilterQuery,
+  getExecutionListRequest,
+  getPageCount,
+} from '@/lib/executionFilters';
+import { BULK_ACTIONS, BULK_ITEM_STATUS, runBulkAction } from '@/lib/executionBulkActions';
+import { downloadExecutionBundles } from '@/lib/executionExport';
 
 const STATUS_OPTIONS = [
   { value: '', label: 'All Statuses' },
@@ -17,35 +46,63 @@ const STATUS_OPTIONS = [
   { value: 'cancelled', label: 'Cancelled' },
 ];
 
-export default function ExecutionsPage() {
+function ExecutionsPageContent() {
   const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
   const [executions, setExecutions] = useState([]);
   const [workflows, setWorkflows] = useState([]);
   const [selectedExecution, setSelectedExecution] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [workflowFilter, setWorkflowFilter] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
   const [total, setTotal] = useState(0);
-  const [pollingInterval, setPollingInterval] = useState(null);
+  const [checkedIds, setCheckedIds] = useState([]); // Executions selected for bulk actions
+  const [bulkProgress, setBulkProgress] = useState(null);
+
+  // Filters are read from the URL so a filtered view can be bookmarked
+  const filters = useMemo(() => parseExecutionFilters(searchParams), [searchParams]);
+  const filterQuery = toExecutionFilterQuery(filters);
+  const pageCount = getPageCount(total, filters.pageSize);
+  const compareMode = searchParams.get('mode') === 'compare';
+
+  // The search box applies on submit; follow the URL when it changes (e.g. back navigation)
+  const [searchInput, setSearchInput] = useState(filters.q);
+  const [appliedSearch, setAppliedSearch] = useState(filters.q);
+  if (appliedSearch !== filters.q) {
+    setAppliedSearch(filters.q);
+    setSearchInput(filters.q);
+  }
 
   useEffect(() => {
     loadWorkflows();
-    loadExecutions();
-  }, [workflowFilter, statusFilter]);
+  }, []);
 
   useEffect(() => {
-    // Poll for running executions
-    const interval = setInterval(() => {
-      const hasRunning = executions.some(exec => exec.status === 'running' || exec.status === 'pending');
-      if (hasRunning) {
-        loadExecutions();
-      }
-    }, 3000);
+    loadExecutions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filterQuery]);
 
-    setPollingInterval(interval);
-    return () => clearInterval(interval);
-  }, [executions.length, workflowFilter, statusFilter]);
+  // Any filter change goes back to the first page unless the page itself changes
+  const updateFilters = (changes) => {
+    setCheckedIds([]);
+    const query = toExecutionFilterQuery({ ...filters, page: 1, ...changes });
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  };
+
+  // The mode lives in the URL next to the filters, which are kept when switching
+  const setCompareMode = (enabled) => {
+    const params = new URLSearchParams(filterQuery);
+    if (enabled) params.set('mode', 'compare');
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilters({ q: searchInput.trim() });
+  };
+
+  const hasFilters = Boolean(filters.workflow || filters.status || filters.from || filters.to || filters.q);
 
   const loadWorkflows = async () => {
     const { data } = await listWorkflows(0, 1000);
@@ -54,10 +111,14 @@ export default function ExecutionsPage() {
     }
   };
 
-  const loadExecutions = async () => {
-    setLoading(true);
-    setError(null);
-    const { data, error: apiError } = await listExecutions(0, 100, workflowFilter || null, statusFilter || null);
+  // Background refreshes keep the list on screen instead of showing the loading state
+  const loadExecutions = async ({ background = false } = {}) => {
+    if (!background) {
+      setLoading(true);
+      setError(null);
+    }
+    const { skip, limit, workflowId, status, options } = getExecutionListRequest(filters);
+    const { data, error: apiError } = await listExecutions(skip, limit, workflowId, status, options);
     
     if (apiError) {
       setError(apiError);
@@ -65,7 +126,9 @@ export default function ExecutionsPage() {
       setExecutions(data?.executions || []);
       setTotal(data?.total || 0);
     }
-    setLoading(false);
+    if (!background) {
+      setLoading(false);
+    }
   };
 
   const handleViewDetails = async (executionId) => {
@@ -78,6 +141,42 @@ export default function ExecutionsPage() {
     }
   };
 
+  const selectedExecutionId = selectedExecution?.id;
+
+  const refreshSelectedExecution = useCallback(async () => {
+    if (!selectedExecutionId) return;
+    const { data } = await getExecution(selectedExecutionId);
+    if (data) {
+      setSelectedExecution(prev => (prev?.id === data.id ? data : prev));
+    }
+  }, [selectedExecutionId]);
+
+  const handleStreamEvent = useCallback((eventType, data, receivedAt) => {
+    setSelectedExecution(prev => (prev ? applyExecutionStreamEvent(prev, eventType, data, receivedAt) : prev));
+    const status = getExecutionEventStatus(eventType);
+    if (status) {
+      // Keep the list entry in step without reloading the list
+      setExecutions(prev => prev.map(exec => (exec.id === selectedExecutionId ? { ...exec, status } : exec)));
+    }
+  }, [selectedExecutionId]);
+
+  // Stream the selected running execution; polls it only if streaming is unavailable
+  const streamMode = useExecutionStream(selectedExecutionId, isExecutionActive(selectedExecution?.status), {
+    onEvent: handleStreamEvent,
+    refresh: refreshSelectedExecution,
+  });
+
+  // Other running executions are not streamed; refresh the list in the background for them
+  const streamedExecutionId = streamMode === STREAM_MODE.STREAMING ? selectedExecutionId : null;
+  const needsListPolling = executions.some(exec => isExecutionActive(exec.status) && exec.id !== streamedExecutionId);
+
+  useEffect(() => {
+    if (!needsListPolling) return undefined;
+    const interval = setInterval(() => loadExecutions({ background: true }), 3000);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [needsListPolling, filterQuery]);
+
   const handleCancel = async (executionId) => {
     if (!confirm('Are you sure you want to cancel this execution?')) {
       return;
@@ -95,26 +194,14 @@ export default function ExecutionsPage() {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'bg-[#90EE90]';
-      case 'running':
-        return 'bg-[#87CEEB]';
-      case 'failed':
-        return 'bg-[#FFB6C1]';
-      case 'cancelled':
-        return 'bg-[#D3D3D3]';
-      case 'pending':
-        return 'bg-[#FFD700]';
-      default:
-        return 'bg-[#FFF8DC]';
+  const handleRerun = async ({ context, stepResults }) => {
+    const { data, error: apiError } = await createExecution(selectedExecution.workflow_id, context, { stepResults });
+    if (apiError) {
+      setError(apiError);
+      return;
     }
-  };
-
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleString();
+    loadExecutions({ background: true });
+    handleViewDetails(data.id);
   };
 
   const getWorkflowName = (workflowId) => {
@@ -122,296 +209,387 @@ export default function ExecutionsPage() {
     return workflow ? workflow.name : workflowId;
   };
 
+  const toggleChecked = (executionId) => {
+    setCheckedIds(prev => (prev.includes(executionId) ? prev.filter(id => id !== executionId) : [...prev, executionId]));
+  };
+
+  const allChecked = executions.length > 0 && executions.every(exec => checkedIds.includes(exec.id));
+  const checkedActiveIds = executions
+    .filter(exec => checkedIds.includes(exec.id) && isExecutionActive(exec.status))
+    .map(exec => exec.id);
+  const bulkRunning = Boolean(bulkProgress && !bulkProgress.finished);
+
+  const getExecutionLabel = (executionId) => {
+    const execution = executions.find(exec => exec.id === executionId);
+    const name = execution ? getWorkflowName(execution.workflow_id) : 'Execution';
+    return `${name} · ${executionId.substring(0, 8)}`;
+  };
+
+  const handleBulkAction = async (action) => {
+    const ids = action === BULK_ACTIONS.CANCEL ? checkedActiveIds : checkedIds;
+    if (ids.length === 0) return;
+    if (action === BULK_ACTIONS.CANCEL && !confirm(`Are you sure you want to cancel ${ids.length} execution(s)?`)) {
+      return;
+    }
+    if (action === BULK_ACTIONS.RERUN && !confirm(`Re-run ${ids.length} execution(s) with their original context?`)) {
+      return;
+    }
+
+    const exportEntries = [];
+    const workflowCache = new Map();
+    const runItem = async (executionId) => {
+      if (action === BULK_ACTIONS.CANCEL) {
+        return cancelExecution(executionId);
+      }
+      const { data: execution, error: loadError } = await getExecution(executionId);
+      if (loadError) return { error: loadError };
+      if (action === BULK_ACTIONS.RERUN) {
+        return createExecution(execution.workflow_id, execution.context || {});
+      }
+      if (!workflowCache.has(execution.workflow_id)) {
+        const { data: workflow } = await getWorkflow(execution.workflow_id);
+        workflowCache.set(execution.workflow_id, workflow || null);
+      }
+      exportEntries.push({ execution, workflow: workflowCache.get(execution.workflow_id) });
+      return { data: execution };
+    };
+
+    const progress = await runBulkAction(action, ids, runItem, setBulkProgress);
+    if (exportEntries.length > 0) {
+      try {
+        downloadExecutionBundles(exportEntries);
+      } catch (err) {
+        setBulkProgress({ ...progress, error: `Download failed: ${err.message || 'Unexpected error'}` });
+        // Nothing was downloaded, so everything stays selected for another try
+        return;
+      }
+    }
+    // Keep the failed items selected so they can be retried
+    setCheckedIds(progress.items.filter(item => item.status === BULK_ITEM_STATUS.FAILED).map(item => item.id));
+    if (action !== BULK_ACTIONS.EXPORT) {
+      loadExecutions({ background: true });
+    }
+  };
+
   return (
     <div className="min-h-screen bg-[#FFF8DC]">
       <Navigation />
       
       <div className="container mx-auto px-4 py-8">
-        <div className="neo-card-colored bg-[#87CEEB] mb-6 flex justify-between items-center">
-          <h1 className="text-4xl font-black text-black">Execution Logs</h1>
-          <NeoButton variant="primary" onClick={loadExecutions} disabled={loading}>
-            {loading ? 'Loading...' : '🔄 Refresh'}
-          </NeoButton>
+        <div className="neo-card-colored bg-[#87CEEB] mb-6 flex justify-between items-center flex-wrap gap-2">
+          <h1 className="text-4xl font-black text-black">
+            {compareMode ? '⚖️ Compare Executions' : 'Execution Logs'}
+          </h1>
+          <div className="flex gap-2 flex-wrap">
+            <NeoButton variant={compareMode ? 'secondary' : 'primary'} onClick={() => setCompareMode(false)}>
+              📋 Logs
+            </NeoButton>
+            <NeoButton variant={compareMode ? 'primary' : 'secondary'} onClick={() => setCompareMode(true)}>
+              ⚖️ Compare
+            </NeoButton>
+            {!compareMode && (
+              <NeoButton variant="primary" onClick={loadExecutions} disabled={loading}>
+                {loading ? 'Loading...' : '🔄 Refresh'}
+              </NeoButton>
+            )}
+          </div>
         </div>
 
-        {error && (
-          <div className="neo-card-colored bg-[#FFB6C1] mb-6">
-            <p className="font-bold text-black">❌ Error: {error}</p>
-          </div>
-        )}
+        {compareMode ? (
+          <ExecutionDiff
+            workflows={workflows}
+            initialWorkflowId={selectedExecution?.workflow_id || filters.workflow}
+            initialExecutionId={selectedExecution?.id}
+          />
+        ) : (
+          <>
+            {error && (
+              <div className="neo-card-colored bg-[#FFB6C1] mb-6">
+                <p className="font-bold text-black">❌ Error: {error}</p>
+              </div>
+            )}
 
-        <div className="neo-card-colored bg-[#90EE90] mb-6 p-4">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <NeoSelect
-              label="Filter by Workflow"
-              value={workflowFilter}
-              onChange={(e) => setWorkflowFilter(e.target.value)}
-              options={[
-                { value: '', label: 'All Workflows' },
-                ...workflows.map(w => ({ value: w.id, label: w.name }))
-              ]}
-            />
-            <NeoSelect
-              label="Filter by Status"
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              options={STATUS_OPTIONS}
-            />
-            <div className="flex items-end">
+            <div className="neo-card-colored bg-[#90EE90] mb-6 p-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <NeoSelect
+                  label="Filter by Workflow"
+                  value={filters.workflow}
+                  onChange={(e) => updateFilters({ workflow: e.target.value })}
+                  options={[
+                    { value: '', label: 'All Workflows' },
+                    ...workflows.map(w => ({ value: w.id, label: w.name }))
+                  ]}
+                />
+                <NeoSelect
+                  label="Filter by Status"
+                  value={filters.status}
+                  onChange={(e) => updateFilters({ status: e.target.value })}
+                  options={STATUS_OPTIONS}
+                />
+                <NeoInput
+                  label="Created From"
+                  type="date"
+                  value={filters.from}
+                  max={filters.to || undefined}
+                  onChange={(e) => updateFilters({ from: e.target.value })}
+                />
+                <NeoInput
+                  label="Created To"
+                  type="date"
+                  value={filters.to}
+                  min={filters.from || undefined}
+                  onChange={(e) => updateFilters({ to: e.target.value })}
+                />
+              </div>
+              <form onSubmit={handleSearch} className="flex gap-2 items-end">
+                <div className="flex-1">
+                  <NeoInput
+                    label="Search"
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    placeholder="Search context, errors and step outputs..."
+                  />
+                </div>
+                <NeoButton type="submit" variant="secondary" className="mb-4">
+                  🔍 Search
+                </NeoButton>
+                {hasFilters && (
+                  <NeoButton
+                    type="button"
+                    variant="secondary"
+                    className="mb-4"
+                    onClick={() => {
+                      setCheckedIds([]);
+                      router.replace(pathname, { scroll: false });
+                    }}
+                  >
+                    ✕ Clear
+                  </NeoButton>
+                )}
+              </form>
               <p className="font-bold text-black text-lg">
                 Total: {total} execution(s)
               </p>
             </div>
-          </div>
-        </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <div>
-            <h2 className="text-2xl font-black text-black mb-4">Executions</h2>
-            {loading ? (
-              <div className="neo-card">
-                <p className="font-bold text-black text-center">Loading executions...</p>
-              </div>
-            ) : executions.length === 0 ? (
-              <div className="neo-card">
-                <p className="font-bold text-black text-center">No executions found.</p>
-              </div>
-            ) : (
-              <div className="space-y-4 max-h-[800px] overflow-y-auto">
-                {executions.map((execution) => (
-                  <div
-                    key={execution.id}
-                    className={`neo-card-colored ${getStatusColor(execution.status)} cursor-pointer hover:opacity-80 transition-opacity ${
-                      selectedExecution?.id === execution.id ? 'ring-4 ring-black' : ''
-                    }`}
-                    onClick={() => handleViewDetails(execution.id)}
-                  >
-                    <div className="p-4">
-                      <div className="flex justify-between items-start mb-2">
-                        <div className="flex-1">
-                          <h3 className="font-black text-black text-lg mb-1">
-                            {getWorkflowName(execution.workflow_id)}
-                          </h3>
-                          <p className="text-xs font-semibold text-black mb-1">
-                            ID: {execution.id}
-                          </p>
-                          <p className="text-xs font-semibold text-black mb-1">
-                            Workflow: {execution.workflow_id.substring(0, 8)}...
-                          </p>
-                        </div>
-                        <div className="text-right">
-                          <span className={`px-3 py-1 border-2 border-black font-bold text-black text-sm uppercase ${getStatusColor(execution.status)}`}>
-                            {execution.status}
-                          </span>
-                        </div>
-                      </div>
-                      <div className="grid grid-cols-2 gap-2 text-xs font-semibold text-black mt-2">
-                        <div>
-                          <span className="font-bold">Created:</span> {formatDate(execution.created_at)}
-                        </div>
-                        <div>
-                          <span className="font-bold">Completed:</span> {formatDate(execution.completed_at)}
-                        </div>
-                      </div>
-                      {execution.status === 'running' || execution.status === 'pending' ? (
-                        <div className="mt-2">
-                          <NeoButton
-                            variant="danger"
-                            className="px-3 py-1 text-sm"
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleCancel(execution.id);
-                            }}
-                          >
-                            Cancel
-                          </NeoButton>
-                        </div>
-                      ) : null}
-                    </div>
-                  </div>
-                ))}
-              </div>
+            {bulkProgress && (
+              <BulkActionProgress
+                progress={bulkProgress}
+                getLabel={getExecutionLabel}
+                onDismiss={() => setBulkProgress(null)}
+              />
             )}
-          </div>
 
-          <div>
-            <h2 className="text-2xl font-black text-black mb-4">Execution Details</h2>
-            {selectedExecution ? (
-              <div className="neo-card-colored bg-[#FFD700]">
-                <div className="p-6 space-y-4">
-                  <div>
-                    <h3 className="font-black text-black text-xl mb-2">Execution Information</h3>
-                    <div className="space-y-2 text-sm">
-                      <p className="font-bold text-black">
-                        <span className="font-semibold">ID:</span> {selectedExecution.id}
-                      </p>
-                      <p className="font-bold text-black">
-                        <span className="font-semibold">Workflow:</span> {getWorkflowName(selectedExecution.workflow_id)}
-                      </p>
-                      <p className="font-bold text-black">
-                        <span className="font-semibold">Status:</span>{' '}
-                        <span className={`px-2 py-1 border-2 border-black uppercase ${getStatusColor(selectedExecution.status)}`}>
-                          {selectedExecution.status}
-                        </span>
-                      </p>
-                      <p className="font-bold text-black">
-                        <span className="font-semibold">Created:</span> {formatDate(selectedExecution.created_at)}
-                      </p>
-                      {selectedExecution.started_at && (
-                        <p className="font-bold text-black">
-                          <span className="font-semibold">Started:</span> {formatDate(selectedExecution.started_at)}
-                        </p>
-                      )}
-                      {selectedExecution.completed_at && (
-                        <p className="font-bold text-black">
-                          <span className="font-semibold">Completed:</span> {formatDate(selectedExecution.completed_at)}
-                        </p>
-                      )}
-                    </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <h2 className="text-2xl font-black text-black mb-4">Executions</h2>
+                {executions.length > 0 && (
+                  <div className="flex items-center gap-2 mb-4 flex-wrap">
+                    <label className="flex items-center gap-2 font-bold text-black text-sm mr-2">
+                      <input
+                        type="checkbox"
+                        checked={allChecked}
+                        onChange={() => setCheckedIds(allChecked ? [] : executions.map(exec => exec.id))}
+                        disabled={bulkRunning}
+                        className="w-4 h-4 border-2 border-black"
+                      />
+                      {checkedIds.length > 0 ? `${checkedIds.length} selected` : 'Select all'}
+                    </label>
+                    {checkedIds.length > 0 && (
+                      <>
+                        <NeoButton
+                          variant="danger"
+                          className="px-3 py-1 text-sm"
+                          onClick={() => handleBulkAction(BULK_ACTIONS.CANCEL)}
+                          disabled={bulkRunning || checkedActiveIds.length === 0}
+                          title="Cancels the selected running and pending executions"
+                        >
+                          ⏹️ Cancel ({checkedActiveIds.length})
+                        </NeoButton>
+                        <NeoButton
+                          variant="success"
+                          className="px-3 py-1 text-sm"
+                          onClick={() => handleBulkAction(BULK_ACTIONS.RERUN)}
+                          disabled={bulkRunning}
+                        >
+                          🔁 Re-run ({checkedIds.length})
+                        </NeoButton>
+                        <NeoButton
+                          variant="warning"
+                          className="px-3 py-1 text-sm"
+                          onClick={() => handleBulkAction(BULK_ACTIONS.EXPORT)}
+                          disabled={bulkRunning}
+                        >
+                          📦 Export ({checkedIds.length})
+                        </NeoButton>
+                      </>
+                    )}
                   </div>
-
-                  {selectedExecution.context && Object.keys(selectedExecution.context).length > 0 && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Context</h3>
-                      <div className="border-2 border-black p-3 bg-white">
-                        <pre className="text-xs text-black font-semibold overflow-auto">
-                          {JSON.stringify(selectedExecution.context, null, 2)}
-                        </pre>
-                      </div>
-                    </div>
-                  )}
-
-                  {selectedExecution.step_results && selectedExecution.step_results.length > 0 && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Step Results</h3>
-                      <div className="space-y-2">
-                        {selectedExecution.step_results.map((step, idx) => (
-                          <div key={idx} className="border-2 border-black p-3 bg-white">
-                            <div className="flex justify-between items-start mb-2">
-                              <p className="font-bold text-black text-sm">
-                                Step {step.step || idx + 1}: {step.agent || 'Unknown Agent'}
+                )}
+                {loading ? (
+                  <div className="neo-card">
+                    <p className="font-bold text-black text-center">Loading executions...</p>
+                  </div>
+                ) : executions.length === 0 ? (
+                  <div className="neo-card">
+                    <p className="font-bold text-black text-center">No executions found.</p>
+                  </div>
+                ) : (
+                  <div className="space-y-4 max-h-[800px] overflow-y-auto">
+                    {executions.map((execution) => (
+                      <div
+                        key={execution.id}
+                        className={`neo-card-colored ${getExecutionStatusColor(execution.status)} cursor-pointer hover:opacity-80 transition-opacity ${
+                          selectedExecution?.id === execution.id ? 'ring-4 ring-black' : ''
+                        }`}
+                        onClick={() => handleViewDetails(execution.id)}
+                      >
+                        <div className="p-4">
+                          <div className="flex justify-between items-start mb-2">
+                            <input
+                              type="checkbox"
+                              checked={checkedIds.includes(execution.id)}
+                              onClick={(e) => e.stopPropagation()}
+                              onChange={() => toggleChecked(execution.id)}
+                              disabled={bulkRunning}
+                              className="w-5 h-5 mt-1 mr-3 border-2 border-black flex-shrink-0"
+                              aria-label={`Select execution ${execution.id}`}
+                            />
+                            <div className="flex-1">
+                              <h3 className="font-black text-black text-lg mb-1">
+                                {getWorkflowName(execution.workflow_id)}
+                              </h3>
+                              <p className="text-xs font-semibold text-black mb-1">
+                                ID: {execution.id}
                               </p>
-                              <span className={`px-2 py-1 border-2 border-black text-xs font-bold ${
-                                step.success ? 'bg-[#90EE90]' : 'bg-[#FFB6C1]'
-                              }`}>
-                                {step.success ? 'SUCCESS' : 'FAILED'}
-                              </span>
-                            </div>
-                            {step.task && (
-                              <p className="text-xs text-black font-semibold mb-1">
-                                Task: {step.task}
+                              <p className="text-xs font-semibold text-black mb-1">
+                                Workflow: {execution.workflow_id.substring(0, 8)}...
                               </p>
-                            )}
-                            {step.output && (
-                              <div className="mt-2">
-                                <p className="text-xs font-bold text-black mb-1">Output:</p>
-                                <pre className="text-xs text-black bg-[#FFF8DC] p-2 border-2 border-black overflow-auto max-h-32">
-                                  {typeof step.output === 'string' ? step.output : JSON.stringify(step.output, null, 2)}
-                                </pre>
-                              </div>
-                            )}
-                            {step.error && (
-                              <div className="mt-2">
-                                <p className="text-xs font-bold text-red-600 mb-1">Error:</p>
-                                <p className="text-xs text-red-600 bg-[#FFB6C1] p-2 border-2 border-black">
-                                  {step.error}
-                                </p>
-                              </div>
-                            )}
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {selectedExecution.logs && selectedExecution.logs.length > 0 && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Logs</h3>
-                      <div className="space-y-1 max-h-64 overflow-y-auto">
-                        {selectedExecution.logs.map((log, idx) => (
-                          <div key={idx} className="border-2 border-black p-2 bg-white">
-                            <div className="flex justify-between items-start mb-1">
-                              <span className="text-xs font-bold text-black">
-                                {log.timestamp ? formatDate(log.timestamp) : 'N/A'}
-                              </span>
-                              <span className={`px-2 py-1 border-2 border-black text-xs font-bold ${
-                                log.level === 'error' ? 'bg-[#FFB6C1]' :
-                                log.level === 'warning' ? 'bg-[#FFD700]' :
-                                'bg-[#90EE90]'
-                              }`}>
-                                {log.level?.toUpperCase() || 'INFO'}
+                            </div>
+                            <div className="text-right">
+                              <span className={`px-3 py-1 border-2 border-black font-bold text-black text-sm uppercase ${getExecutionStatusColor(execution.status)}`}>
+                                {execution.status}
                               </span>
                             </div>
-                            <p className="text-xs text-black font-semibold">{log.message}</p>
-                            {log.metadata && Object.keys(log.metadata).length > 0 && (
-                              <pre className="text-xs text-black mt-1 bg-[#FFF8DC] p-1 border border-black overflow-auto">
-                                {JSON.stringify(log.metadata, null, 2)}
-                              </pre>
-                            )}
                           </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {selectedExecution.errors && selectedExecution.errors.length > 0 && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Errors</h3>
-                      <div className="space-y-2">
-                        {selectedExecution.errors.map((error, idx) => (
-                          <div key={idx} className="border-2 border-black p-3 bg-[#FFB6C1]">
-                            <p className="text-sm font-bold text-black">{error}</p>
+                          <div className="grid grid-cols-2 gap-2 text-xs font-semibold text-black mt-2">
+                            <div>
+                              <span className="font-bold">Created:</span> {formatDate(execution.created_at)}
+                            </div>
+                            <div>
+                              <span className="font-bold">Completed:</span> {formatDate(execution.completed_at)}
+                            </div>
                           </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {selectedExecution.results && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Results</h3>
-                      <div className="border-2 border-black p-3 bg-white">
-                        <pre className="text-xs text-black font-semibold overflow-auto">
-                          {JSON.stringify(selectedExecution.results, null, 2)}
-                        </pre>
-                      </div>
-                    </div>
-                  )}
-
-                  {selectedExecution.metadata && Object.keys(selectedExecution.metadata).length > 0 && (
-                    <div className="border-t-4 border-black pt-4">
-                      <h3 className="font-black text-black text-xl mb-2">Metadata</h3>
-                      <div className="border-2 border-black p-3 bg-white">
-                        <pre className="text-xs text-black font-semibold overflow-auto">
-                          {JSON.stringify(selectedExecution.metadata, null, 2)}
-                        </pre>
+                          {execution.status === 'running' || execution.status === 'pending' ? (
+                            <div className="mt-2">
+                              <NeoButton
+                                variant="danger"
+                                className="px-3 py-1 text-sm"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleCancel(execution.id);
+                                }}
+                              >
+                                Cancel
+                              </NeoButton>
+                            </div>
+                          ) : null}
+                        </div>
                       </div>
-                    </div>
-                  )}
+                    ))}
+                  </div>
+                )}
+                <div className="flex justify-between items-center gap-2 mt-4 flex-wrap">
+                  <div className="flex items-center gap-2">
+                    <NeoButton
+                      variant="secondary"
+                      className="px-3 py-1 text-sm"
+                      onClick={() => updateFilters({ page: filters.page - 1 })}
+                      disabled={loading || filters.page <= 1}
+                    >
+                      ◀ Prev
+                    </NeoButton>
+                    <span className="font-bold text-black text-sm">
+                      Page {filters.page} of {pageCount}
+                    </span>
+                    <NeoButton
+                      variant="secondary"
+                      className="px-3 py-1 text-sm"
+                      onClick={() => updateFilters({ page: filters.page + 1 })}
+                      disabled={loading || filters.page >= pageCount}
+                    >
+                      Next ▶
+                    </NeoButton>
+                  </div>
+                  <label className="flex items-center gap-2 font-bold text-black text-sm">
+                    Per page
+                    <select
+                      value={filters.pageSize}
+                      onChange={(e) => updateFilters({ pageSize: Number(e.target.value) })}
+                      className="px-2 py-1 border-2 border-black bg-[#FFF8DC] text-black font-semibold"
+                    >
+                      {EXECUTION_PAGE_SIZES.map(size => (
+                        <option key={size} value={size}>{size}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
 
-                  {(selectedExecution.status === 'running' || selectedExecution.status === 'pending') && (
-                    <div className="border-t-4 border-black pt-4">
-                      <NeoButton
-                        variant="danger"
-                        onClick={() => handleCancel(selectedExecution.id)}
-                      >
-                        Cancel Execution
-                      </NeoButton>
-                    </div>
+              <div>
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-2xl font-black text-black">
+                    Execution Details
+                    {streamMode === STREAM_MODE.STREAMING && (
+                      <span className="ml-2 px-2 py-1 border-2 border-black bg-[#90EE90] text-xs font-bold align-middle animate-pulse">
+                        ● LIVE
+                      </span>
+                    )}
+                    {streamMode === STREAM_MODE.POLLING && (
+                      <span className="ml-2 px-2 py-1 border-2 border-black bg-[#FFD700] text-xs font-bold align-middle">
+                        🔄 Polling
+                      </span>
+                    )}
+                  </h2>
+                  {selectedExecution && (
+                    <Link
+                      href={getExecutionPath(selectedExecution.id)}
+                      className="px-3 py-1 border-4 border-black bg-[#87CEEB] text-black font-bold text-sm shadow-[2px_2px_0px_0px_#000000]"
+                    >
+                      🔗 Open run page
+                    </Link>
                   )}
                 </div>
+                {selectedExecution ? (
+                  <div className="neo-card-colored bg-[#FFD700]">
+                    <ExecutionDetails
+                      execution={selectedExecution}
+                      workflowName={getWorkflowName(selectedExecution.workflow_id)}
+                      workflowPattern={workflows.find(w => w.id === selectedExecution.workflow_id)?.pattern}
+                      onCancel={handleCancel}
+                      onRerun={handleRerun}
+                    />
+                  </div>
+                ) : (
+                  <div className="neo-card">
+                    <p className="font-bold text-black text-center">
+                      Select an execution to view details
+                    </p>
+                  </div>
+                )}
               </div>
-            ) : (
-              <div className="neo-card">
-                <p className="font-bold text-black text-center">
-                  Select an execution to view details
-                </p>
-              </div>
-            )}
-          </div>
-        </div>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
 }
 
+export default function ExecutionsPage() {
+  return (
+    <Suspense fallback={<div className="min-h-screen bg-[#FFF8DC] flex items-center justify-center"><p className="font-bold text-black">Loading...</p></div>}>
+      <ExecutionsPageContent />
+    </Suspense>
+  );
+}
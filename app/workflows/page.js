@@ -1,14 +1,16 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import Navigation from '@/components/Navigation';
 import NeoButton from '@/components/NeoButton';
 import NeoInput from '@/components/NeoInput';
 import NeoSelect from '@/components/NeoSelect';
-import { listWorkflows, deleteWorkflow } from '@/lib/api';
+import ExportMenuButton from '@/components/ExportMenuButton';
+import { listWorkflows, deleteWorkflow, getWorkflow, createWorkflow, listAgents } from '@/lib/api';
 import { WORKFLOW_PATTERNS } from '@/lib/constants';
+import { EXPORT_FORMATS, buildWorkflowExport, downloadWorkflowExport, readWorkflowExportFile, remapWorkflowAgents, describeUnresolvedAgents } from '@/lib/workflowTransfer';
 
 export default function WorkflowsPage() {
   const router = useRouter();
@@ -18,6 +20,9 @@ export default function WorkflowsPage() {
   const [searchTerm, setSearchTerm] = useState('');
   const [patternFilter, setPatternFilter] = useState('');
   const [total, setTotal] = useState(0);
+  const [success, setSuccess] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     loadWorkflows();
@@ -59,6 +64,59 @@ export default function WorkflowsPage() {
     router.push(`/workflows/create?workflowId=${workflowId}&execute=true`);
   };
 
+  const handleExport = async (workflowId, format) => {
+    setError(null);
+    // Fetch the full definition and the agents so the export carries agent names
+    const [{ data: workflow, error: apiError }, { data: agentsData }] = await Promise.all([
+      getWorkflow(workflowId),
+      listAgents(),
+    ]);
+
+    if (apiError) {
+      setError(apiError);
+      return;
+    }
+
+    downloadWorkflowExport(buildWorkflowExport(workflow, agentsData?.agents || []), format);
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    // Reset the input so the same file can be imported again
+    event.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const exportDocument = await readWorkflowExportFile(file);
+      const { data: agentsData, error: agentsError } = await listAgents();
+      if (agentsError) {
+        throw new Error(agentsError);
+      }
+
+      const { workflow, unresolved } = remapWorkflowAgents(exportDocument, agentsData?.agents || []);
+      if (unresolved.length > 0) {
+        throw new Error(`Cannot import "${workflow.name}": these agents could not be resolved: ${describeUnresolvedAgents(unresolved)}`);
+      }
+
+      const { error: apiError } = await createWorkflow(workflow);
+      if (apiError) {
+        throw new Error(apiError);
+      }
+
+      setSuccess(`Imported workflow "${workflow.name}"`);
+      setTimeout(() => setSuccess(null), 3000);
+      loadWorkflows();
+    } catch (err) {
+      setError(err.message || 'Failed to import workflow');
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleString();
@@ -75,6 +133,20 @@ export default function WorkflowsPage() {
             <NeoButton variant="primary" onClick={loadWorkflows} disabled={loading}>
               {loading ? 'Loading...' : '🔄 Refresh'}
             </NeoButton>
+            <NeoButton
+              variant="secondary"
+              onClick={() => importInputRef.current?.click()}
+              disabled={importing}
+            >
+              {importing ? 'Importing...' : '⬆️ Import'}
+            </NeoButton>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.yaml,.yml,application/json,application/x-yaml"
+              onChange={handleImportFile}
+              className="hidden"
+            />
             <Link href="/workflows/create">
               <NeoButton variant="success">➕ Create Workflow</NeoButton>
             </Link>
@@ -87,6 +159,12 @@ export default function WorkflowsPage() {
           </div>
         )}
 
+        {success && (
+          <div className="neo-card-colored bg-[#90EE90] mb-6">
+            <p className="font-bold text-black">✅ {success}</p>
+          </div>
+        )}
+
         <div className="neo-card-colored bg-[#90EE90] mb-6 p-4">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <NeoInput
@@ -164,6 +242,10 @@ export default function WorkflowsPage() {
                       >
                         ▶️ Execute
                       </NeoButton>
+                      <ExportMenuButton
+                        formats={EXPORT_FORMATS}
+                        onSelect={(format) => handleExport(workflow.id, format)}
+                      />
                       <NeoButton
                         variant="danger"
                         onClick={() => handleDelete(workflow.id, workflow.name)}
@@ -180,7 +262,7 @@ export default function WorkflowsPage() {
                         {workflow.steps.map((step, idx) => (
                           <div key={idx} className="border-2 border-black p-2 bg-white">
                             <p className="font-bold text-black text-sm">
-                              Step {idx + 1}: Agent {step.agent}
+                              Step {idx + 1}: {step.component ? `${step.component_type?.toUpperCase() || ''} Component ${step.component}` : `Agent ${step.agent}`}
                               {step.depends_on && step.depends_on.length > 0 && (
                                 <span className="text-xs font-semibold ml-2">
                                   (Depends on: {step.depends_on.join(', ')})
@@ -0,0 +1,272 @@
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import NeoButton from './NeoButton';
+import NeoSelect from './NeoSelect';
+import RichContent from './RichContent';
+import { executeAgentWithLogs } from '@/lib/api';
+import { isAbortError } from '@/lib/sse';
+import { FRAMEWORKS } from '@/lib/constants';
+import { formatElapsed } from '@/lib/executionOverlay';
+import {
+  MAX_COMPARISON_TARGETS,
+  COMPARISON_STATUS,
+  createComparisonTarget,
+  createComparisonResult,
+  applyComparisonEvent,
+  finishComparisonResult,
+  getComparisonLatency,
+} from '@/lib/agentComparison';
+
+const STATUS_COLORS = {
+  [COMPARISON_STATUS.RUNNING]: 'bg-[#87CEEB]',
+  [COMPARISON_STATUS.COMPLETED]: 'bg-[#90EE90]',
+  [COMPARISON_STATUS.FAILED]: 'bg-[#FFB6C1]',
+  [COMPARISON_STATUS.STOPPED]: 'bg-[#FFD700]',
+};
+
+/**
+ * Playground sending one prompt to several agent/framework combinations in
+ * parallel and showing the answers side by side
+ * @param {Object} props
+ * @param {Array<Object>} props.agents - Agents to choose from
+ * @param {string} props.initialAgentId - Agent of the first column
+ */
+export default function AgentComparison({ agents, initialAgentId = '' }) {
+  const [targets, setTargets] = useState(() => [
+    createComparisonTarget(initialAgentId),
+    createComparisonTarget(initialAgentId),
+  ]);
+  const [prompt, setPrompt] = useState('');
+  const [results, setResults] = useState({}); // By target ID
+  const [running, setRunning] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const abortControllerRef = useRef(null);
+
+  // Stop running streams when leaving the playground
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // Tick while running so latencies stay current
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const updateTarget = (targetId, field, value) => {
+    setTargets(prev => prev.map(target => (target.id === targetId ? { ...target, [field]: value } : target)));
+  };
+
+  const addTarget = () => {
+    setTargets(prev => [...prev, createComparisonTarget()]);
+  };
+
+  const removeTarget = (targetId) => {
+    setTargets(prev => prev.filter(target => target.id !== targetId));
+  };
+
+  const updateResult = (targetId, update) => {
+    setResults(prev => ({ ...prev, [targetId]: update(prev[targetId]) }));
+  };
+
+  const runTarget = async (target, task, signal) => {
+    let outcome = {};
+    try {
+      // No session: each column starts from the same, empty conversation state
+      await executeAgentWithLogs(target.agentId, {
+        task,
+        context: {},
+        framework: target.framework || null,
+      }, (eventType, data) => {
+        const receivedAt = Date.now();
+        updateResult(target.id, result => applyComparisonEvent(result, eventType, data, receivedAt));
+      }, { signal });
+    } catch (error) {
+      outcome = isAbortError(error) ? { stopped: true } : { error: error.message };
+    }
+    const finishedAt = Date.now();
+    updateResult(target.id, result => finishComparisonResult(result, outcome, finishedAt));
+  };
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    const runnableTargets = targets.filter(target => target.agentId);
+    if (!prompt.trim() || runnableTargets.length === 0 || running) {
+      return;
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setResults(Object.fromEntries(
+      runnableTargets.map(target => [target.id, createComparisonResult(target.id, startedAt)]),
+    ));
+    setRunning(true);
+
+    await Promise.all(runnableTargets.map(target => runTarget(target, prompt.trim(), controller.signal)));
+
+    setRunning(false);
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+    }
+  };
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const getTargetLabel = (target) => {
+    const agent = agents.find(a => a.id === target.agentId);
+    if (!agent) return 'No agent selected';
+    return `${agent.name} · ${target.framework || agent.framework}`;
+  };
+
+  const agentOptions = [
+    { value: '', label: '-- Select an agent --' },
+    ...agents.map(agent => ({ value: agent.id, label: `${agent.name} (${agent.framework})` })),
+  ];
+  const frameworkOptions = [
+    { value: '', label: 'Use agent default' },
+    ...FRAMEWORKS.map(f => ({ value: f, label: f })),
+  ];
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleRun} className="neo-card">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-2">
+          {targets.map((target, index) => (
+            <div key={target.id} className="border-4 border-black bg-white p-3">
+              <div className="flex justify-between items-center mb-2">
+                <span className="font-black text-black">Column {index + 1}</span>
+                {targets.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => removeTarget(target.id)}
+                    disabled={running}
+                    className="px-2 py-1 bg-[#FFB6C1] border-2 border-black font-bold text-black text-xs disabled:opacity-50"
+                    title="Remove column"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              <NeoSelect
+                label="Agent"
+                value={target.agentId}
+                onChange={(e) => updateTarget(target.id, 'agentId', e.target.value)}
+                options={agentOptions}
+                disabled={running}
+              />
+              <NeoSelect
+                label="Framework Override"
+                value={target.framework}
+                onChange={(e) => updateTarget(target.id, 'framework', e.target.value)}
+                options={frameworkOptions}
+                disabled={running}
+              />
+            </div>
+          ))}
+        </div>
+
+        {targets.length < MAX_COMPARISON_TARGETS && (
+          <NeoButton type="button" variant="secondary" onClick={addTarget} disabled={running} className="mb-4">
+            ➕ Add Column
+          </NeoButton>
+        )}
+
+        <textarea
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          placeholder="Prompt sent to every column..."
+          rows={3}
+          disabled={running}
+          className="w-full px-4 py-2 border-4 border-black bg-[#FFF8DC] text-black font-semibold focus:outline-none focus:ring-4 focus:ring-[#87CEEB] resize-y mb-2"
+        />
+        <div className="flex justify-between items-center gap-2">
+          <p className="text-xs text-black font-semibold">
+            💡 Columns run in parallel without a session ID, so they do not share conversation state.
+          </p>
+          {running ? (
+            <NeoButton type="button" variant="danger" onClick={handleStop}>
+              ⏹️ Stop All
+            </NeoButton>
+          ) : (
+            <NeoButton
+              type="submit"
+              variant="primary"
+              disabled={!prompt.trim() || !targets.some(target => target.agentId)}
+            >
+              ⚖️ Compare
+            </NeoButton>
+          )}
+        </div>
+      </form>
+
+      {Object.keys(results).length > 0 && (
+        <div className={`grid grid-cols-1 gap-4 ${targets.length > 2 ? 'lg:grid-cols-4 md:grid-cols-2' : 'md:grid-cols-2'}`}>
+          {targets.filter(target => results[target.id]).map(target => {
+            const result = results[target.id];
+            return (
+              <div key={target.id} className="neo-card-colored bg-[#FFF8DC] flex flex-col">
+                <div className="flex justify-between items-start gap-2 mb-3 border-b-4 border-black pb-2">
+                  <p className="font-black text-black break-words">{getTargetLabel(target)}</p>
+                  <span className={`px-2 py-1 border-2 border-black text-xs font-bold uppercase ${STATUS_COLORS[result.status]}`}>
+                    {result.status}
+                  </span>
+                </div>
+
+                <div className="grid grid-cols-3 gap-2 mb-3 text-center">
+                  <div className="border-2 border-black bg-white p-1">
+                    <p className="text-xs font-bold text-black">⏱️ Latency</p>
+                    <p className="font-black text-black">{formatElapsed(getComparisonLatency(result, now))}</p>
+                  </div>
+                  <div className="border-2 border-black bg-white p-1">
+                    <p className="text-xs font-bold text-black">💭 Thoughts</p>
+                    <p className="font-black text-black">{result.thinkingSteps}</p>
+                  </div>
+                  <div className="border-2 border-black bg-white p-1">
+                    <p className="text-xs font-bold text-black">⚡ Tool calls</p>
+                    <p className="font-black text-black">{result.toolCalls.length}</p>
+                  </div>
+                </div>
+
+                {result.firstEventAt && (
+                  <p className="text-xs font-semibold text-black mb-2">
+                    First event after {formatElapsed(result.firstEventAt - result.startedAt)}
+                  </p>
+                )}
+
+                {result.toolCalls.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mb-3">
+                    {result.toolCalls.map((tool, index) => (
+                      <span key={index} className="px-2 py-0.5 bg-[#87CEEB] border-2 border-black text-xs font-bold text-black">
+                        {tool}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {result.error && (
+                  <p className="text-sm font-bold text-black bg-[#FFB6C1] border-2 border-black p-2 mb-2 break-words">
+                    ❌ {result.error}
+                  </p>
+                )}
+
+                <div className="flex-1 border-2 border-black bg-white p-2 text-black text-sm overflow-auto max-h-[500px]">
+                  {result.answer ? (
+                    <RichContent content={result.answer} />
+                  ) : (
+                    <p className="font-semibold opacity-70">
+                      {result.status === COMPARISON_STATUS.RUNNING ? 'Waiting for the answer...' : 'No answer'}
+                    </p>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
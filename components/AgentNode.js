@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { Handle, Position } from 'reactflow';
+import NodeExecutionStatus from './NodeExecutionStatus';
+import TemplateTextarea from './TemplateTextarea';
 
 function AgentNode({ id, data, selected }) {
   const [taskValue, setTaskValue] = useState(data.task || '');
@@ -11,8 +13,7 @@ function AgentNode({ id, data, selected }) {
     setTaskValue(data.task || '');
   }, [data.task]);
 
-  const handleTaskChange = (e) => {
-    const newValue = e.target.value;
+  const handleTaskChange = (newValue) => {
     setTaskValue(newValue);
     if (data.onTaskChange) {
       // Use the node's id prop, not data.id
@@ -34,10 +35,12 @@ function AgentNode({ id, data, selected }) {
     }
   };
 
+  const hasValidationErrors = data.validationErrors && data.validationErrors.length > 0;
+
   return (
     <div
       className={`neo-card-colored bg-[#87CEEB] min-w-[250px] ${
-        selected ? 'ring-4 ring-black' : ''
+        hasValidationErrors ? 'ring-4 ring-red-600' : selected ? 'ring-4 ring-black' : ''
       }`}
     >
       <div className="mb-2">
@@ -73,15 +76,26 @@ function AgentNode({ id, data, selected }) {
         <label className="block font-bold text-black text-sm mb-1">
           Task:
         </label>
-        <textarea
+        <TemplateTextarea
           value={taskValue}
           onChange={handleTaskChange}
-          placeholder="Enter task description..."
+          suggestions={data.templateSuggestions}
+          placeholder="Enter task description... Type {{ to reference upstream outputs"
           className="w-full p-2 border-4 border-black bg-white text-black font-semibold text-sm resize-none focus:outline-none"
           rows={3}
         />
       </div>
 
+      {data.execution && <NodeExecutionStatus execution={data.execution} />}
+
+      {hasValidationErrors && (
+        <div className="border-2 border-black bg-[#FFB6C1] p-1 mb-2">
+          {data.validationErrors.map((message, idx) => (
+            <p key={idx} className="text-xs font-bold text-black">⚠️ {message}</p>
+          ))}
+        </div>
+      )}
+
       <Handle type="target" position={Position.Top} className="w-3 h-3 bg-black border-2 border-white" />
       <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-black border-2 border-white" />
     </div>
@@ -0,0 +1,54 @@
+'use client';
+
+import NeoButton from './NeoButton';
+import { BULK_ACTION_LABELS, BULK_ITEM_STATUS, getBulkSummary } from '@/lib/executionBulkActions';
+
+const ITEM_STYLES = {
+  [BULK_ITEM_STATUS.PENDING]: { icon: '⏳', className: 'bg-white' },
+  [BULK_ITEM_STATUS.RUNNING]: { icon: '🔄', className: 'bg-[#87CEEB] animate-pulse' },
+  [BULK_ITEM_STATUS.DONE]: { icon: '✅', className: 'bg-[#90EE90]' },
+  [BULK_ITEM_STATUS.FAILED]: { icon: '❌', className: 'bg-[#FFB6C1]' },
+};
+
+/**
+ * Per-item progress of a bulk action on executions
+ * @param {Object} props
+ * @param {Object} props.progress - BulkProgress from lib/executionBulkActions
+ * @param {Function} props.getLabel - Called with an execution ID, returns its display label
+ * @param {Function} props.onDismiss - Called to close the panel once the action finished
+ */
+export default function BulkActionProgress({ progress, getLabel, onDismiss }) {
+  const summary = getBulkSummary(progress);
+
+  return (
+    <div className="neo-card-colored bg-[#FFF8DC] mb-6 p-4">
+      <div className="flex justify-between items-center gap-2 mb-3 flex-wrap">
+        <h3 className="font-black text-black text-lg">
+          {BULK_ACTION_LABELS[progress.action]}: {summary.done + summary.failed} / {summary.total}
+          {summary.failed > 0 && <span className="ml-2 text-sm">({summary.failed} failed)</span>}
+        </h3>
+        {progress.finished && (
+          <NeoButton variant="secondary" className="px-3 py-1 text-sm" onClick={onDismiss}>
+            ✕ Dismiss
+          </NeoButton>
+        )}
+      </div>
+      {progress.error && (
+        <p className="border-2 border-black bg-[#FFB6C1] px-2 py-1 mb-3 text-sm font-bold text-black">❌ {progress.error}</p>
+      )}
+      <div className="h-3 border-2 border-black bg-white mb-3 flex">
+        <div className="h-full bg-[#90EE90]" style={{ width: `${(summary.done / summary.total) * 100}%` }} />
+        <div className="h-full bg-[#FFB6C1]" style={{ width: `${(summary.failed / summary.total) * 100}%` }} />
+      </div>
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {progress.items.map(item => (
+          <li key={item.id} className={`border-2 border-black px-2 py-1 text-xs font-semibold text-black ${ITEM_STYLES[item.status].className}`}>
+            <span className="mr-1">{ITEM_STYLES[item.status].icon}</span>
+            {getLabel(item.id)}
+            {item.error && <span className="font-bold"> — {item.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
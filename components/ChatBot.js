@@ -3,15 +3,41 @@
 import { useState, useRef, useEffect } from 'react';
 import NeoButton from './NeoButton';
 import NeoTextarea from './NeoTextarea';
+import RichContent from './RichContent';
+import ThinkingTimeline from './ThinkingTimeline';
 import { executeAgentWithLogs, executeAgent } from '@/lib/api';
+import { isAbortError, isConnectionLostError } from '@/lib/sse';
+import { loadConversation, saveConversation } from '@/lib/chatHistory';
+import {
+  getAttachmentSupport,
+  acceptsAttachments,
+  getAcceptAttribute,
+  validateAttachment,
+  readAttachment,
+  toContextAttachments,
+  toAttachmentSummaries,
+  formatFileSize,
+} from '@/lib/attachments';
 
-export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendMessage, loading, useStreaming = true }) {
+export default function ChatBot({ agentId, capabilities = [], frameworkOverride, sessionId, onSendMessage, onHistoryChange, loading, useStreaming = true }) {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [isStreaming, setIsStreaming] = useState(false);
   const [enableLogs, setEnableLogs] = useState(true); // Toggle for logs
+  const [htmlAnswers, setHtmlAnswers] = useState(false); // Ask for HTML-formatted answers
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null); // Controller of the running stream
+  const loadedMessagesRef = useRef(null); // Messages as last loaded from history
+  const shownConversationRef = useRef(null); // Agent, session and messages currently shown
+  const [attachments, setAttachments] = useState([]); // Files attached to the next message
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+  const requestContextsRef = useRef({}); // Context sent per answer, reused on replay
+
+  const attachmentSupport = getAttachmentSupport(capabilities);
+  const canAttach = acceptsAttachments(attachmentSupport);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -21,6 +47,50 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
     scrollToBottom();
   }, [messages]);
 
+  /**
+   * Save the shown conversation while an answer is still streaming, before it
+   * is left; the answer comes back as interrupted when loaded
+   * @returns {boolean} Whether it was saved
+   */
+  const saveStreamingConversation = () => {
+    const shown = shownConversationRef.current;
+    if (!abortControllerRef.current || !shown?.agentId) return false;
+    saveConversation(shown.agentId, shown.sessionId, shown.messages);
+    return true;
+  };
+
+  // Stop a running stream when the chat is left
+  useEffect(() => () => {
+    saveStreamingConversation();
+    abortControllerRef.current?.abort();
+  }, []);
+
+  // Switch to the stored conversation of this agent and session
+  useEffect(() => {
+    if (saveStreamingConversation() && onHistoryChange) {
+      onHistoryChange();
+    }
+    abortControllerRef.current?.abort();
+    const stored = agentId ? loadConversation(agentId, sessionId) : [];
+    loadedMessagesRef.current = stored;
+    setMessages(stored);
+    setAttachments([]);
+    setAttachmentError(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [agentId, sessionId]);
+
+  // Persist changes once no answer is streaming: thinking logs update the
+  // messages on every event, so the answer is saved when it finishes, stops or fails
+  useEffect(() => {
+    shownConversationRef.current = { agentId, sessionId, messages };
+    if (!agentId || isStreaming || messages === loadedMessagesRef.current) return;
+    saveConversation(agentId, sessionId, messages);
+    if (onHistoryChange) {
+      onHistoryChange();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, isStreaming]);
+
   const handleSend = async (e) => {
     e.preventDefault();
     
@@ -29,6 +99,7 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
     }
 
     const userMessage = message.trim();
+    const context = attachments.length > 0 ? { attachments: toContextAttachments(attachments) } : {};
     setMessage('');
     
     // Add user message to chat
@@ -36,42 +107,125 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
       id: Date.now(),
       type: 'user',
       content: userMessage,
+      attachments: attachments.length > 0 ? toAttachmentSummaries(attachments) : undefined,
       timestamp: new Date(),
     };
     
     setMessages(prev => [...prev, newUserMessage]);
+    setAttachments([]);
+    setAttachmentError(null);
 
     // Use logs API if enabled, otherwise use regular API
     if (enableLogs) {
-      await handleStreamingExecution(userMessage);
+      await handleStreamingExecution(userMessage, null, context);
     } else {
-      await handleRegularExecution(userMessage);
+      await handleRegularExecution(userMessage, context);
     }
   };
 
-  const handleStreamingExecution = async (userMessage) => {
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    if (!canAttach) {
+      setAttachmentError('This agent does not accept files (needs the multi_modal or document_analysis capability)');
+      return;
+    }
+
+    const errors = [];
+    const added = [];
+    for (const file of files) {
+      const validationError = validateAttachment(file, attachmentSupport, attachments.length + added.length);
+      if (validationError) {
+        errors.push(validationError);
+        continue;
+      }
+      try {
+        added.push(await readAttachment(file));
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    setAttachments(prev => [...prev, ...added]);
+    setAttachmentError(errors.length > 0 ? errors.join('; ') : null);
+  };
+
+  const removeAttachment = (attachmentId) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId));
+    setAttachmentError(null);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!agentId || loading || isStreaming) return;
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leaving into a child of the form
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setDragActive(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!agentId || loading || isStreaming) return;
+    addFiles(e.dataTransfer.files);
+  };
+
+  /**
+   * Stream an agent answer into the chat.
+   * @param {string} userMessage - Task sent to the agent
+   * @param {Object} retry - Set to stream again into an interrupted message
+   * @param {number} retry.messageId - ID of the interrupted message
+   * @param {string} retry.lastEventId - Resume after this event instead of replaying the task
+   * @param {Object} context - Execution context, e.g. attachments
+   */
+  const handleStreamingExecution = async (userMessage, retry = null, context = {}) => {
     setIsStreaming(true);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     
-    // Add loading message with thinking logs array
-    const loadingMessageId = Date.now() + 1;
-    const loadingMessage = {
-      id: loadingMessageId,
-      type: 'assistant',
-      content: '',
-      loading: true,
-      thinkingLogs: [], // Store thinking logs in the message
-      timestamp: new Date(),
-    };
-    
-    setMessages(prev => [...prev, loadingMessage]);
+    const loadingMessageId = retry ? retry.messageId : Date.now() + 1;
+    // A replay sends the same context again, as long as the page was not reloaded
+    const requestContext = retry ? requestContextsRef.current[loadingMessageId] || {} : context;
+    requestContextsRef.current[loadingMessageId] = requestContext;
+    if (retry) {
+      // Resuming keeps the logs received before the drop; replaying starts over
+      setMessages(prev => prev.map(msg => (msg.id === loadingMessageId ? {
+        ...msg,
+        content: '',
+        loading: true,
+        interrupted: false,
+        lastEventId: null,
+        thinkingLogs: retry.lastEventId ? msg.thinkingLogs || [] : [],
+        timestamp: new Date(),
+      } : msg)));
+    } else {
+      // Add loading message with thinking logs array
+      const loadingMessage = {
+        id: loadingMessageId,
+        type: 'assistant',
+        content: '',
+        loading: true,
+        task: userMessage, // Kept to resume or replay the stream
+        html: htmlAnswers, // Render the answer as (sanitized) HTML
+        thinkingLogs: [], // Store thinking logs in the message
+        timestamp: new Date(),
+      };
+      
+      setMessages(prev => [...prev, loadingMessage]);
+    }
 
     try {
       const executeRequest = {
         task: userMessage,
         parameters: {},
-        context: {},
+        context: requestContext,
         framework: frameworkOverride || null,
         session_id: sessionId || null,
+        response_format_html: htmlAnswers,
       };
 
       let finalResult = null;
@@ -198,11 +352,32 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
             return updatedMessage;
           });
         });
-      });
+      }, { signal: controller.signal, lastEventId: retry?.lastEventId });
 
       setIsStreaming(false);
     } catch (error) {
       setIsStreaming(false);
+      if (isAbortError(error)) {
+        // Keep whatever was streamed so far
+        setMessages(prev => prev.map(msg => (msg.id === loadingMessageId ? {
+          ...msg,
+          loading: false,
+          stopped: true,
+        } : msg)));
+        return;
+      }
+      if (isConnectionLostError(error)) {
+        // Offer resume/replay instead of the raw network error
+        setMessages(prev => prev.map(msg => (msg.id === loadingMessageId ? {
+          ...msg,
+          content: '',
+          error: false,
+          loading: false,
+          interrupted: true,
+          lastEventId: error.lastEventId,
+        } : msg)));
+        return;
+      }
       setMessages(prev => {
         const filtered = prev.filter(msg => msg.id !== loadingMessageId);
         return [...filtered, {
@@ -214,10 +389,26 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
           timestamp: new Date(),
         }];
       });
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
     }
   };
 
-  const handleRegularExecution = async (userMessage) => {
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleResume = (msg) => {
+    handleStreamingExecution(msg.task, { messageId: msg.id, lastEventId: msg.lastEventId });
+  };
+
+  const handleReplay = (msg) => {
+    handleStreamingExecution(msg.task, { messageId: msg.id });
+  };
+
+  const handleRegularExecution = async (userMessage, context = {}) => {
     setIsStreaming(true);
     
     // Add loading message
@@ -236,7 +427,7 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
       const executeRequest = {
         task: userMessage,
         parameters: {},
-        context: {},
+        context,
         framework: frameworkOverride || null,
         session_id: sessionId || null,
       };
@@ -291,6 +482,7 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
   };
 
   const clearChat = () => {
+    abortControllerRef.current?.abort();
     setMessages([]);
   };
 
@@ -320,6 +512,17 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
             </button>
             <span className="text-sm font-bold text-black">With Logs</span>
           </div>
+          {/* HTML answers are only requested from the streaming endpoint */}
+          <label className={`flex items-center gap-2 ${enableLogs ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}>
+            <input
+              type="checkbox"
+              checked={htmlAnswers}
+              onChange={(e) => setHtmlAnswers(e.target.checked)}
+              disabled={!enableLogs || loading || isStreaming}
+              className="w-4 h-4 border-2 border-black"
+            />
+            <span className="text-sm font-bold text-black">HTML Answers</span>
+          </label>
           {messages.length > 0 && (
             <NeoButton
               variant="secondary"
@@ -365,96 +568,77 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
                     </span>
                   </div>
 
-                  {/* Thinking Logs Section (inline within message) */}
-                  {msg.thinkingLogs && msg.thinkingLogs.length > 0 && (
-                    <div className="mb-3 p-3 bg-gradient-to-r from-black/5 to-black/10 border-2 border-black/30 rounded-md shadow-sm">
-                      <div className="flex items-center gap-2 mb-2 pb-2 border-b-2 border-black/20">
-                        <span className="text-xs font-black text-black flex items-center gap-1">
-                          <span className="text-base">🧠</span>
-                          Thinking Process
+                  {msg.attachments && msg.attachments.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {msg.attachments.map((attachment, index) => (
+                        <span key={index} className="px-2 py-0.5 bg-white border-2 border-black text-xs font-bold text-black">
+                          {attachment.kind === 'image' ? '🖼️' : '📄'} {attachment.name} ({formatFileSize(attachment.size)})
                         </span>
-                        {msg.loading && (
-                          <span className="animate-pulse text-xs text-black/60">●</span>
-                        )}
-                        <span className="text-xs text-black/60 ml-auto">
-                          {msg.thinkingLogs.filter(log => log.type !== 'final_answer').length} step{msg.thinkingLogs.filter(log => log.type !== 'final_answer').length !== 1 ? 's' : ''}
-                        </span>
-                      </div>
-                      <div className="space-y-2 font-mono text-xs max-h-[250px] overflow-y-auto pr-1">
-                        {msg.thinkingLogs
-                          .filter(log => log.type !== 'final_answer') // Filter out final_answer from thinking logs
-                          .map((log, index) => (
-                          <div 
-                            key={index} 
-                            className="text-black animate-fade-in bg-white/50 p-2 rounded border border-black/10"
-                            style={{ animationDelay: `${index * 0.05}s` }}
-                          >
-                            {log.type === 'thought' && (
-                              <div className="flex items-start gap-2">
-                                <span className="font-bold text-green-700 flex-shrink-0 text-base">💭</span>
-                                <div className="flex-1 min-w-0">
-                                  <span className="font-bold text-green-700">Thought:</span>{' '}
-                                  <span className="font-semibold break-words">{log.content}</span>
-                                </div>
-                              </div>
-                            )}
-                            {log.type === 'action' && (
-                              <div className="flex items-start gap-2">
-                                <span className="font-bold text-blue-700 flex-shrink-0 text-base">⚡</span>
-                                <div className="flex-1 min-w-0">
-                                  <span className="font-bold text-blue-700">Action:</span>{' '}
-                                  <span className="font-semibold break-words">{log.content}</span>
-                                  {log.tool && (
-                                    <span className="text-xs ml-2 opacity-70 bg-blue-100 px-1.5 py-0.5 rounded border border-blue-300">
-                                      {log.tool}
-                                    </span>
-                                  )}
-                                </div>
-                              </div>
-                            )}
-                            {log.type === 'action_input' && (
-                              <div className="flex items-start gap-2">
-                                <span className="font-bold text-blue-600 flex-shrink-0 text-base">📥</span>
-                                <div className="flex-1 min-w-0">
-                                  <span className="font-bold text-blue-600">Action Input:</span>{' '}
-                                  <span className="font-semibold break-words bg-blue-50 px-2 py-1 rounded border border-blue-200">
-                                    {log.content}
-                                  </span>
-                                </div>
-                              </div>
-                            )}
-                            {log.type === 'observation' && (
-                              <div className="flex items-start gap-2">
-                                <span className="font-bold text-purple-700 flex-shrink-0 text-base">👁️</span>
-                                <div className="flex-1 min-w-0">
-                                  <span className="font-bold text-purple-700">Observation:</span>{' '}
-                                  <span className="font-semibold break-words">{log.content}</span>
-                                </div>
-                              </div>
-                            )}
-                          </div>
-                        ))}
-                      </div>
+                      ))}
                     </div>
                   )}
+
+                  {/* Thinking Logs Section (inline within message) */}
+                  {msg.thinkingLogs && msg.thinkingLogs.length > 0 && (
+                    <ThinkingTimeline logs={msg.thinkingLogs} live={msg.loading} />
+                  )}
                   
                   {/* Main Content */}
-                  <div className="text-black font-semibold whitespace-pre-wrap break-words">
+                  <div className={`text-black font-semibold break-words ${
+                    msg.type === 'assistant' && !msg.error ? '' : 'whitespace-pre-wrap'
+                  }`}>
                     {msg.loading && (!msg.thinkingLogs || msg.thinkingLogs.length === 0) ? (
                       <span className="flex items-center gap-2">
                         <span className="animate-pulse">●</span>
                         Thinking...
                       </span>
                     ) : msg.content ? (
-                      msg.content
+                      msg.type === 'assistant' && !msg.error
+                        ? <RichContent content={msg.content} html={msg.html} />
+                        : msg.content
                     ) : null}
                   </div>
                   
-                  {msg.success !== undefined && !msg.loading && (
+                  {msg.success !== undefined && !msg.loading && !msg.stopped && (
                     <div className="mt-2 text-xs font-bold text-black">
                       Status: {msg.success ? '✅ Success' : '❌ Failed'}
                     </div>
                   )}
+
+                  {msg.stopped && (
+                    <div className="mt-2 text-xs font-bold text-black">
+                      Status: ⏹️ Stopped
+                    </div>
+                  )}
+
+                  {msg.interrupted && (
+                    <div className="mt-2 border-2 border-black bg-[#FFF8DC] p-2">
+                      <p className="text-xs font-bold text-black mb-2">
+                        ⚠️ The connection was lost before the agent finished.
+                        {sessionId ? ' The session is kept, so you can pick it up again.' : ''}
+                      </p>
+                      <div className="flex gap-2">
+                        {msg.lastEventId && (
+                          <button
+                            type="button"
+                            onClick={() => handleResume(msg)}
+                            disabled={loading || isStreaming}
+                            className="px-2 py-1 bg-[#90EE90] border-2 border-black font-bold text-black text-xs disabled:opacity-50"
+                          >
+                            ▶️ Resume
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => handleReplay(msg)}
+                          disabled={loading || isStreaming}
+                          className="px-2 py-1 bg-[#87CEEB] border-2 border-black font-bold text-black text-xs disabled:opacity-50"
+                        >
+                          🔁 Replay
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -464,7 +648,44 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
       </div>
 
       {/* Input Area */}
-      <form onSubmit={handleSend} className="neo-card">
+      <form
+        onSubmit={handleSend}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={`neo-card ${dragActive ? 'bg-[#87CEEB]' : ''}`}
+      >
+        {attachments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {attachments.map(attachment => (
+              <div key={attachment.id} className="relative border-2 border-black bg-white p-1 flex items-center gap-2">
+                {attachment.kind === 'image' ? (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img src={attachment.dataUrl} alt={attachment.name} className="h-16 w-16 object-cover border border-black" />
+                ) : (
+                  <span className="text-2xl">📄</span>
+                )}
+                <div className="text-xs text-black">
+                  <p className="font-bold max-w-[10rem] truncate">{attachment.name}</p>
+                  <p>{formatFileSize(attachment.size)}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeAttachment(attachment.id)}
+                  className="px-1 bg-[#FFB6C1] border-2 border-black font-bold text-black text-xs"
+                  title="Remove attachment"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {attachmentError && (
+          <p className="text-xs font-bold text-black bg-[#FFB6C1] border-2 border-black p-2 mb-2">
+            ❌ {attachmentError}
+          </p>
+        )}
         <div className="flex gap-2">
           <div className="flex-1">
             <textarea
@@ -482,18 +703,51 @@ export default function ChatBot({ agentId, frameworkOverride, sessionId, onSendM
               className="w-full px-4 py-2 border-4 border-black bg-[#FFF8DC] text-black font-semibold focus:outline-none focus:ring-4 focus:ring-[#87CEEB] resize-y"
             />
           </div>
-          <div className="flex items-end">
-            <NeoButton
-              type="submit"
-              variant="primary"
-              disabled={!message.trim() || !agentId || loading || isStreaming}
-            >
-              {loading || isStreaming ? '⏳' : '📤 Send'}
-            </NeoButton>
+          <div className="flex items-end gap-2">
+            {canAttach && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept={getAcceptAttribute(attachmentSupport)}
+                  onChange={(e) => {
+                    addFiles(e.target.files);
+                    e.target.value = '';
+                  }}
+                  className="hidden"
+                />
+                <NeoButton
+                  type="button"
+                  variant="secondary"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={!agentId || loading || isStreaming}
+                >
+                  📎
+                </NeoButton>
+              </>
+            )}
+            {isStreaming && enableLogs ? (
+              <NeoButton type="button" variant="danger" onClick={handleStop}>
+                ⏹️ Stop
+              </NeoButton>
+            ) : (
+              <NeoButton
+                type="submit"
+                variant="primary"
+                disabled={!message.trim() || !agentId || loading || isStreaming}
+              >
+                {loading || isStreaming ? '⏳' : '📤 Send'}
+              </NeoButton>
+            )}
           </div>
         </div>
         <p className="text-xs text-black mt-2 font-semibold">
           💡 Tip: Press Enter to send, Shift+Enter for a new line
+          {canAttach && `. Drop ${[
+            attachmentSupport.images && 'images',
+            attachmentSupport.documents && 'documents',
+          ].filter(Boolean).join(' or ')} here to attach them`}
         </p>
       </form>
     </div>
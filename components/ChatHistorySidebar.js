@@ -0,0 +1,83 @@
+'use client';
+
+import { formatDate } from '@/lib/executions';
+
+/**
+ * List of stored chat conversations with open, rename, delete and export actions
+ * @param {Object} props
+ * @param {Array<Object>} props.conversations - Summaries from lib/chatHistory
+ * @param {Array<Object>} props.agents - Agents, used to show agent names
+ * @param {string} props.activeKey - Key of the open conversation
+ * @param {Function} props.onOpen - Called with the conversation to reopen
+ * @param {Function} props.onRename - Called with the conversation to rename
+ * @param {Function} props.onDelete - Called with the conversation to delete
+ * @param {Function} props.onExport - Called with the conversation to export
+ */
+export default function ChatHistorySidebar({ conversations, agents, activeKey, onOpen, onRename, onDelete, onExport }) {
+  const getAgentName = (agentId) => agents.find(agent => agent.id === agentId)?.name || 'Unknown agent';
+
+  return (
+    <div className="neo-card-colored bg-[#87CEEB] h-full">
+      <h2 className="text-xl font-black text-black mb-3 border-b-4 border-black pb-2">🕘 History</h2>
+
+      {conversations.length === 0 ? (
+        <p className="text-sm font-semibold text-black">
+          No saved conversations yet. Chats are kept in this browser per agent and session.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-[900px] overflow-y-auto pr-1">
+          {conversations.map(conversation => (
+            <div
+              key={conversation.key}
+              className={`border-4 border-black p-2 ${
+                conversation.key === activeKey ? 'bg-[#FFD700]' : 'bg-[#FFF8DC]'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => onOpen(conversation)}
+                className="w-full text-left"
+                title="Reopen this conversation"
+              >
+                <p className="font-black text-black text-sm break-words">{conversation.title}</p>
+                <p className="text-xs font-semibold text-black">{getAgentName(conversation.agentId)}</p>
+                <p className="text-xs text-black opacity-70 break-all">
+                  {conversation.sessionId || 'No session'}
+                </p>
+                <p className="text-xs text-black opacity-70">
+                  {formatDate(conversation.updatedAt)} · {conversation.messageCount} message{conversation.messageCount !== 1 ? 's' : ''}
+                </p>
+              </button>
+              <div className="flex gap-1 mt-2">
+                <button
+                  type="button"
+                  onClick={() => onRename(conversation)}
+                  className="px-2 py-1 bg-[#90EE90] border-2 border-black font-bold text-black text-xs"
+                  title="Rename"
+                >
+                  ✏️
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onExport(conversation)}
+                  className="px-2 py-1 bg-[#87CEEB] border-2 border-black font-bold text-black text-xs"
+                  title="Export as JSON"
+                >
+                  📤
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(conversation)}
+                  className="px-2 py-1 bg-[#FFB6C1] border-2 border-black font-bold text-black text-xs"
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
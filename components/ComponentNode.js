@@ -0,0 +1,80 @@
+'use client';
+
+import { Handle, Position } from 'reactflow';
+import { COMPONENT_NODE_COLORS } from '@/lib/workflowNodes';
+import NodeExecutionStatus from './NodeExecutionStatus';
+import TemplateTextarea from './TemplateTextarea';
+
+function ComponentNode({ id, data, selected }) {
+  const handleInputChange = (value) => {
+    if (data.onTaskChange) {
+      data.onTaskChange(id, value);
+    }
+  };
+
+  const handleDelete = () => {
+    if (data.onDelete) {
+      data.onDelete(id);
+    }
+  };
+
+  const color = COMPONENT_NODE_COLORS[data.componentType] || '#90EE90';
+
+  const hasValidationErrors = data.validationErrors && data.validationErrors.length > 0;
+
+  return (
+    <div
+      className={`neo-card-colored min-w-[250px] ${
+        hasValidationErrors ? 'ring-4 ring-red-600' : selected ? 'ring-4 ring-black' : ''
+      }`}
+      style={{ backgroundColor: color }}
+    >
+      <div className="mb-2">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-black text-black text-lg">{data.componentName}</h3>
+          {data.onDelete && (
+            <button
+              onClick={handleDelete}
+              className="px-2 py-1 bg-[#FFB6C1] border-2 border-black font-bold text-black text-xs hover:bg-[#FF9CA8]"
+              title="Delete Node"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+        <span className="neo-badge bg-white text-black text-xs uppercase">
+          {data.componentType} component
+        </span>
+      </div>
+
+      <div className="mb-2">
+        <label className="block font-bold text-black text-sm mb-1">
+          Input (optional):
+        </label>
+        <TemplateTextarea
+          value={data.task || ''}
+          onChange={handleInputChange}
+          suggestions={data.templateSuggestions}
+          placeholder="Input passed to the component... Type {{ to reference upstream outputs"
+          className="w-full p-2 border-4 border-black bg-white text-black font-semibold text-sm resize-none focus:outline-none"
+          rows={2}
+        />
+      </div>
+
+      {data.execution && <NodeExecutionStatus execution={data.execution} />}
+
+      {hasValidationErrors && (
+        <div className="border-2 border-black bg-[#FFB6C1] p-1 mb-2">
+          {data.validationErrors.map((message, idx) => (
+            <p key={idx} className="text-xs font-bold text-black">⚠️ {message}</p>
+          ))}
+        </div>
+      )}
+
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-black border-2 border-white" />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-black border-2 border-white" />
+    </div>
+  );
+}
+
+export default ComponentNode;
@@ -0,0 +1,126 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+import NeoInput from './NeoInput';
+import NeoSelect from './NeoSelect';
+import { CONDITION_TYPES, CONDITION_OPERATORS } from '@/lib/constants';
+import { createEmptyCondition, validateCondition, normalizeCondition, describeCondition } from '@/lib/workflowConditions';
+
+/**
+ * Modal editor for the condition attached to a workflow edge
+ * @param {Object} props
+ * @param {Object} props.edge - Edge being edited
+ * @param {string} props.sourceName - Display name of the source node
+ * @param {string} props.targetName - Display name of the target node
+ * @param {Function} props.onSave - Called with the new condition, or null to remove it
+ * @param {Function} props.onClose - Called when the editor is dismissed
+ */
+export default function EdgeConditionEditor({ edge, sourceName, targetName, onSave, onClose }) {
+  const [condition, setCondition] = useState(() => ({
+    ...createEmptyCondition(),
+    ...(edge.data?.condition || {}),
+  }));
+  const [error, setError] = useState(null);
+
+  const updateField = (field, value) => {
+    setCondition(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationError = validateCondition(condition);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSave(normalizeCondition(condition));
+  };
+
+  const isJsonPath = condition.type === 'jsonpath';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="neo-card-colored bg-[#FFD700] max-w-xl w-full">
+        <div className="flex justify-between items-center mb-4 border-b-4 border-black pb-2">
+          <h2 className="text-2xl font-black text-black">Edge Condition</h2>
+          <NeoButton type="button" variant="danger" onClick={onClose} className="text-sm">
+            ✕ Close
+          </NeoButton>
+        </div>
+
+        <p className="text-sm font-semibold text-black mb-4">
+          Run <span className="font-black">{targetName}</span> only when the output of{' '}
+          <span className="font-black">{sourceName}</span> matches:
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          <NeoSelect
+            label="Condition"
+            value={condition.type}
+            onChange={(e) => updateField('type', e.target.value)}
+            options={CONDITION_TYPES}
+            required
+          />
+
+          {isJsonPath && (
+            <div className="grid grid-cols-3 gap-2">
+              <div className="col-span-2">
+                <NeoInput
+                  label="JSONPath"
+                  value={condition.path}
+                  onChange={(e) => updateField('path', e.target.value)}
+                  placeholder="$.status"
+                  required
+                />
+              </div>
+              <NeoSelect
+                label="Operator"
+                value={condition.operator}
+                onChange={(e) => updateField('operator', e.target.value)}
+                options={CONDITION_OPERATORS.map(op => ({ value: op, label: op }))}
+                required
+              />
+            </div>
+          )}
+
+          <NeoInput
+            label="Value"
+            value={condition.value}
+            onChange={(e) => updateField('value', e.target.value)}
+            placeholder={isJsonPath ? 'approved' : 'Text to look for...'}
+            required
+          />
+
+          {!validateCondition(condition) && (
+            <p className="text-xs font-bold text-black mb-4">
+              Label: <span className="bg-white border-2 border-black px-2 py-0.5">{describeCondition(normalizeCondition(condition))}</span>
+            </p>
+          )}
+
+          {error && (
+            <div className="neo-card-colored bg-[#FFB6C1] p-3 mb-4">
+              <p className="font-bold text-black text-sm">❌ {error}</p>
+            </div>
+          )}
+
+          <div className="flex gap-2 justify-between border-t-4 border-black pt-4">
+            <NeoButton
+              type="button"
+              variant="danger"
+              onClick={() => onSave(null)}
+              disabled={!edge.data?.condition}
+              className="text-sm"
+            >
+              🗑️ Remove Condition
+            </NeoButton>
+            <NeoButton type="submit" variant="success" className="text-sm">
+              💾 Save Condition
+            </NeoButton>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+
+/**
+ * Modal editing the context of an execution as JSON before running it again
+ * @param {Object} props
+ * @param {Object} props.context - Context of the previous run
+ * @param {Function} props.onSubmit - Called with the parsed context
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+export default function ExecutionContextDialog({ context, onSubmit, onClose }) {
+  const [text, setText] = useState(() => JSON.stringify(context || {}, null, 2));
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    let parsed;
+    try {
+      parsed = JSON.parse(text || '{}');
+    } catch (err) {
+      setError(`Invalid JSON: ${err.message}`);
+      return;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      setError('The context must be a JSON object');
+      return;
+    }
+    onSubmit(parsed);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="neo-card-colored bg-[#87CEEB] max-w-2xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4 border-b-4 border-black pb-2">
+          <h2 className="text-2xl font-black text-black">✏️ Edit Context and Re-run</h2>
+          <NeoButton type="button" variant="danger" onClick={onClose} className="text-sm">
+            ✕ Close
+          </NeoButton>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col min-h-0">
+          <textarea
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setError(null);
+            }}
+            rows={14}
+            spellCheck={false}
+            className="w-full px-4 py-2 border-4 border-black bg-white text-black font-mono text-sm focus:outline-none focus:ring-4 focus:ring-[#FFD700] resize-y mb-2"
+          />
+          {error && (
+            <p className="text-sm font-bold text-black bg-[#FFB6C1] border-2 border-black p-2 mb-2">
+              ❌ {error}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-2 mt-2">
+            <NeoButton type="button" variant="secondary" onClick={onClose}>
+              Cancel
+            </NeoButton>
+            <NeoButton type="submit" variant="success">
+              ▶️ Re-run
+            </NeoButton>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
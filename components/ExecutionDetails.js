@@ -0,0 +1,281 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+import RichContent from './RichContent';
+import ExecutionContextDialog from './ExecutionContextDialog';
+import ExecutionTimeline from './ExecutionTimeline';
+import { getWorkflow } from '@/lib/api';
+import { downloadExecutionBundle } from '@/lib/executionExport';
+import {
+  getExecutionStatusColor,
+  isExecutionActive,
+  formatDate,
+  canResumeExecution,
+  getCompletedStepResults,
+} from '@/lib/executions';
+
+/**
+ * Full record of a workflow execution: information, context, step timeline,
+ * step results, logs, errors, results and metadata
+ * @param {Object} props
+ * @param {Object} props.execution - Execution record from getExecution
+ * @param {string} props.workflowName - Name of the executed workflow
+ * @param {Function} props.onCancel - Called with the execution ID to cancel it (optional)
+ * @param {string} props.workflowPattern - Pattern of the executed workflow, decides whether it can resume
+ * @param {Function} props.onRerun - Called with `{context, stepResults}` to start a new
+ *   execution of the workflow; returns a promise (optional)
+ */
+export default function ExecutionDetails({ execution, workflowName, onCancel, workflowPattern, onRerun }) {
+  const [editingContext, setEditingContext] = useState(false);
+  const [rerunning, setRerunning] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const rerun = async (context, stepResults = null) => {
+    setEditingContext(false);
+    setRerunning(true);
+    try {
+      await onRerun({ context, stepResults });
+    } finally {
+      setRerunning(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      // A missing workflow still exports; the manifest records it as missing
+      const { data: workflow } = await getWorkflow(execution.workflow_id);
+      downloadExecutionBundle(execution, workflow || null);
+    } catch (err) {
+      setExportError(err.message || 'Unexpected error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const canResume = canResumeExecution(execution, workflowPattern);
+  const completedSteps = canResume ? getCompletedStepResults(execution) : [];
+
+  return (
+    <div className="p-6 space-y-4">
+      <div>
+        <h3 className="font-black text-black text-xl mb-2">Execution Information</h3>
+        <div className="space-y-2 text-sm">
+          <p className="font-bold text-black">
+            <span className="font-semibold">ID:</span> {execution.id}
+          </p>
+          <p className="font-bold text-black">
+            <span className="font-semibold">Workflow:</span> {workflowName || execution.workflow_id}
+          </p>
+          <p className="font-bold text-black">
+            <span className="font-semibold">Status:</span>{' '}
+            <span className={`px-2 py-1 border-2 border-black uppercase ${getExecutionStatusColor(execution.status)}`}>
+              {execution.status}
+            </span>
+          </p>
+          <p className="font-bold text-black">
+            <span className="font-semibold">Created:</span> {formatDate(execution.created_at)}
+          </p>
+          {execution.started_at && (
+            <p className="font-bold text-black">
+              <span className="font-semibold">Started:</span> {formatDate(execution.started_at)}
+            </p>
+          )}
+          {execution.completed_at && (
+            <p className="font-bold text-black">
+              <span className="font-semibold">Completed:</span> {formatDate(execution.completed_at)}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {execution.context && Object.keys(execution.context).length > 0 && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Context</h3>
+          <div className="border-2 border-black p-3 bg-white">
+            <pre className="text-xs text-black font-semibold overflow-auto">
+              {JSON.stringify(execution.context, null, 2)}
+            </pre>
+          </div>
+        </div>
+      )}
+
+      <ExecutionTimeline execution={execution} />
+
+      {execution.step_results && execution.step_results.length > 0 && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Step Results</h3>
+          <div className="space-y-2">
+            {execution.step_results.map((step, idx) => (
+              <div key={idx} className="border-2 border-black p-3 bg-white">
+                <div className="flex justify-between items-start mb-2">
+                  <p className="font-bold text-black text-sm">
+                    Step {step.step || idx + 1}: {step.agent || 'Unknown Agent'}
+                  </p>
+                  <span className={`px-2 py-1 border-2 border-black text-xs font-bold ${
+                    step.success ? 'bg-[#90EE90]' : 'bg-[#FFB6C1]'
+                  }`}>
+                    {step.success ? 'SUCCESS' : 'FAILED'}
+                  </span>
+                </div>
+                {step.task && (
+                  <p className="text-xs text-black font-semibold mb-1">
+                    Task: {step.task}
+                  </p>
+                )}
+                {step.output && (
+                  <div className="mt-2">
+                    <p className="text-xs font-bold text-black mb-1">Output:</p>
+                    <div className="text-xs text-black bg-[#FFF8DC] p-2 border-2 border-black overflow-auto max-h-64">
+                      <RichContent content={step.output} />
+                    </div>
+                  </div>
+                )}
+                {step.error && (
+                  <div className="mt-2">
+                    <p className="text-xs font-bold text-red-600 mb-1">Error:</p>
+                    <p className="text-xs text-red-600 bg-[#FFB6C1] p-2 border-2 border-black">
+                      {step.error}
+                    </p>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {execution.logs && execution.logs.length > 0 && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Logs</h3>
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {execution.logs.map((log, idx) => (
+              <div key={idx} className="border-2 border-black p-2 bg-white">
+                <div className="flex justify-between items-start mb-1">
+                  <span className="text-xs font-bold text-black">
+                    {log.timestamp ? formatDate(log.timestamp) : 'N/A'}
+                  </span>
+                  <span className={`px-2 py-1 border-2 border-black text-xs font-bold ${
+                    log.level === 'error' ? 'bg-[#FFB6C1]' :
+                    log.level === 'warning' ? 'bg-[#FFD700]' :
+                    'bg-[#90EE90]'
+                  }`}>
+                    {log.level?.toUpperCase() || 'INFO'}
+                  </span>
+                </div>
+                <p className="text-xs text-black font-semibold">{log.message}</p>
+                {log.metadata && Object.keys(log.metadata).length > 0 && (
+                  <pre className="text-xs text-black mt-1 bg-[#FFF8DC] p-1 border border-black overflow-auto">
+                    {JSON.stringify(log.metadata, null, 2)}
+                  </pre>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {execution.errors && execution.errors.length > 0 && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Errors</h3>
+          <div className="space-y-2">
+            {execution.errors.map((error, idx) => (
+              <div key={idx} className="border-2 border-black p-3 bg-[#FFB6C1]">
+                <p className="text-sm font-bold text-black">{error}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {execution.results && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Results</h3>
+          <div className="border-2 border-black p-3 bg-white">
+            <pre className="text-xs text-black font-semibold overflow-auto">
+              {JSON.stringify(execution.results, null, 2)}
+            </pre>
+          </div>
+        </div>
+      )}
+
+      {execution.metadata && Object.keys(execution.metadata).length > 0 && (
+        <div className="border-t-4 border-black pt-4">
+          <h3 className="font-black text-black text-xl mb-2">Metadata</h3>
+          <div className="border-2 border-black p-3 bg-white">
+            <pre className="text-xs text-black font-semibold overflow-auto">
+              {JSON.stringify(execution.metadata, null, 2)}
+            </pre>
+          </div>
+        </div>
+      )}
+
+      {onCancel && isExecutionActive(execution.status) && (
+        <div className="border-t-4 border-black pt-4">
+          <NeoButton
+            variant="danger"
+            onClick={() => onCancel(execution.id)}
+          >
+            Cancel Execution
+          </NeoButton>
+        </div>
+      )}
+
+      <div className="border-t-4 border-black pt-4 flex gap-2 flex-wrap">
+        <NeoButton
+          variant="warning"
+          onClick={handleExport}
+          disabled={exporting}
+          title="ZIP with the execution record, step results, NDJSON logs, workflow definition and an HTML report"
+        >
+          {exporting ? 'Exporting...' : '📦 Export bundle'}
+        </NeoButton>
+        {onRerun && !isExecutionActive(execution.status) && (
+          <>
+            <NeoButton
+              variant="success"
+              onClick={() => rerun(execution.context || {})}
+              disabled={rerunning}
+            >
+              🔁 Re-run with same context
+            </NeoButton>
+            <NeoButton
+              variant="secondary"
+              onClick={() => setEditingContext(true)}
+              disabled={rerunning}
+            >
+              ✏️ Edit context and re-run
+            </NeoButton>
+            {canResume && (
+              <NeoButton
+                variant="primary"
+                onClick={() => rerun(execution.context || {}, completedSteps)}
+                disabled={rerunning}
+                title={`Skips the ${completedSteps.length} step(s) that already completed`}
+              >
+                ⏭️ Resume from failed step
+              </NeoButton>
+            )}
+          </>
+        )}
+      </div>
+
+      {exportError && (
+        <div className="border-2 border-black p-3 bg-[#FFB6C1]">
+          <p className="text-sm font-bold text-black">❌ Export failed: {exportError}</p>
+        </div>
+      )}
+
+      {editingContext && (
+        <ExecutionContextDialog
+          context={execution.context}
+          onSubmit={(context) => rerun(context)}
+          onClose={() => setEditingContext(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import NeoButton from './NeoButton';
+import NeoSelect from './NeoSelect';
+import { listExecutions, getExecution } from '@/lib/api';
+import { formatDate } from '@/lib/executions';
+import { DIFF_TYPES, diffExecutions } from '@/lib/executionDiff';
+
+const LINE_STYLES = {
+  [DIFF_TYPES.SAME]: { prefix: ' ', className: 'text-black/70' },
+  [DIFF_TYPES.ADDED]: { prefix: '+', className: 'bg-[#90EE90] text-black' },
+  [DIFF_TYPES.REMOVED]: { prefix: '-', className: 'bg-[#FFB6C1] text-black' },
+};
+
+const CHANGE_STYLES = {
+  [DIFF_TYPES.ADDED]: 'bg-[#90EE90]',
+  [DIFF_TYPES.REMOVED]: 'bg-[#FFB6C1]',
+  [DIFF_TYPES.CHANGED]: 'bg-[#FFD700]',
+};
+
+const RUNS_PAGE_SIZE = 100;
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+function TextDiff({ lines }) {
+  if (lines.length === 0) {
+    return <p className="text-xs font-semibold text-black/60">Empty on both sides</p>;
+  }
+  return (
+    <pre className="text-xs font-mono border-2 border-black bg-white overflow-auto max-h-64">
+      {lines.map((line, index) => (
+        <div key={index} className={`px-2 whitespace-pre-wrap break-words ${LINE_STYLES[line.type].className}`}>
+          {LINE_STYLES[line.type].prefix} {line.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+function JSONDiff({ changes }) {
+  if (changes.length === 0) {
+    return <p className="text-xs font-semibold text-black/60">No differences</p>;
+  }
+  return (
+    <table className="w-full text-xs border-2 border-black bg-white">
+      <thead>
+        <tr className="border-b-2 border-black text-left">
+          <th className="p-1 font-black text-black">Path</th>
+          <th className="p-1 font-black text-black">Before</th>
+          <th className="p-1 font-black text-black">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map(change => (
+          <tr key={`${change.type}:${change.path}`} className={`border-b border-black/20 ${CHANGE_STYLES[change.type]}`}>
+            <td className="p-1 font-mono font-bold text-black align-top">{change.path || '(root)'}</td>
+            <td className="p-1 font-mono text-black align-top break-all">{formatValue(change.before)}</td>
+            <td className="p-1 font-mono text-black align-top break-all">{formatValue(change.after)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ValueDiff({ diff }) {
+  return diff.kind === 'json' ? <JSONDiff changes={diff.changes} /> : <TextDiff lines={diff.lines} />;
+}
+
+/**
+ * Compare view of two executions of one workflow: context, each step's output
+ * and error, and the final results
+ * @param {Object} props
+ * @param {Array<Object>} props.workflows - Workflows to choose from
+ * @param {string} props.initialWorkflowId - Workflow selected at first
+ * @param {string} props.initialExecutionId - Execution on the left at first
+ */
+export default function ExecutionDiff({ workflows, initialWorkflowId = '', initialExecutionId = '' }) {
+  const [workflowId, setWorkflowId] = useState(initialWorkflowId);
+  const [runs, setRuns] = useState([]);
+  const [runsTotal, setRunsTotal] = useState(0);
+  const [loadingRuns, setLoadingRuns] = useState(false);
+  const [leftId, setLeftId] = useState(initialExecutionId);
+  const [rightId, setRightId] = useState('');
+  const [pair, setPair] = useState(null); // {left, right} execution records
+  const [error, setError] = useState(null);
+  const [changedOnly, setChangedOnly] = useState(true);
+
+  useEffect(() => {
+    if (!workflowId) return undefined;
+    let cancelled = false;
+    const load = async () => {
+      const { data, error: apiError } = await listExecutions(0, RUNS_PAGE_SIZE, workflowId);
+      if (cancelled) return;
+      if (apiError) {
+        setError(apiError);
+      } else {
+        setError(null);
+        setRuns(data?.executions || []);
+        setRunsTotal(data?.total ?? 0);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [workflowId]);
+
+  useEffect(() => {
+    if (!leftId || !rightId) return undefined;
+    let cancelled = false;
+    const load = async () => {
+      const [left, right] = await Promise.all([getExecution(leftId), getExecution(rightId)]);
+      if (cancelled) return;
+      if (left.error || right.error) {
+        setError(left.error || right.error);
+      } else {
+        setError(null);
+        setPair({ left: left.data, right: right.data });
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [leftId, rightId]);
+
+  // Older runs are fetched a page at a time, appended to the pickers
+  const loadOlderRuns = async () => {
+    setLoadingRuns(true);
+    const { data, error: apiError } = await listExecutions(runs.length, RUNS_PAGE_SIZE, workflowId);
+    setLoadingRuns(false);
+    if (apiError) {
+      setError(apiError);
+      return;
+    }
+    setError(null);
+    const loadedIds = new Set(runs.map(run => run.id));
+    setRuns([...runs, ...(data?.executions || []).filter(run => !loadedIds.has(run.id))]);
+    setRunsTotal(data?.total ?? runsTotal);
+  };
+
+  const handleWorkflowChange = (id) => {
+    setWorkflowId(id);
+    setError(null);
+    setRuns([]);
+    setRunsTotal(0);
+    setLeftId('');
+    setRightId('');
+    setPair(null);
+  };
+
+  const runOptions = [
+    { value: '', label: '-- Select an execution --' },
+    ...runs.map(run => ({ value: run.id, label: `${formatDate(run.created_at)} · ${run.status} · ${run.id.substring(0, 8)}` })),
+  ];
+
+  const showPair = pair && pair.left.id === leftId && pair.right.id === rightId;
+  const diff = showPair ? diffExecutions(pair.left, pair.right) : null;
+  const visibleSteps = diff ? diff.steps.filter(step => !changedOnly || step.changed) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="neo-card-colored bg-[#87CEEB] p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <NeoSelect
+            label="Workflow"
+            value={workflowId}
+            onChange={(e) => handleWorkflowChange(e.target.value)}
+            options={[
+              { value: '', label: '-- Select a workflow --' },
+              ...workflows.map(w => ({ value: w.id, label: w.name })),
+            ]}
+          />
+          <NeoSelect
+            label="Before"
+            value={leftId}
+            onChange={(e) => setLeftId(e.target.value)}
+            options={runOptions}
+            disabled={!workflowId}
+          />
+          <NeoSelect
+            label="After"
+            value={rightId}
+            onChange={(e) => setRightId(e.target.value)}
+            options={runOptions}
+            disabled={!workflowId}
+          />
+        </div>
+        <div className="flex items-center justify-between gap-2 flex-wrap">
+          <label className="flex items-center gap-2 font-bold text-black text-sm">
+            <input
+              type="checkbox"
+              checked={changedOnly}
+              onChange={(e) => setChangedOnly(e.target.checked)}
+              className="w-4 h-4 border-2 border-black"
+            />
+            Only show changed steps
+          </label>
+          {runs.length < runsTotal && (
+            <NeoButton variant="secondary" className="px-3 py-1 text-sm" onClick={loadOlderRuns} disabled={loadingRuns}>
+              {loadingRuns ? 'Loading...' : `Load older runs (${runs.length} of ${runsTotal})`}
+            </NeoButton>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="neo-card-colored bg-[#FFB6C1]">
+          <p className="font-bold text-black">❌ Error: {error}</p>
+        </div>
+      )}
+
+      {!diff ? (
+        <div className="neo-card">
+          <p className="font-bold text-black text-center">
+            Select two executions of the same workflow to compare them.
+          </p>
+        </div>
+      ) : (
+        <div className="neo-card-colored bg-[#FFF8DC] p-4 space-y-4">
+          <div>
+            <h3 className="font-black text-black text-xl mb-2">Context</h3>
+            <JSONDiff changes={diff.context} />
+          </div>
+
+          <div className="border-t-4 border-black pt-4">
+            <h3 className="font-black text-black text-xl mb-2">
+              Steps ({diff.steps.filter(step => step.changed).length} of {diff.steps.length} changed)
+            </h3>
+            <div className="space-y-3">
+              {visibleSteps.map(step => (
+                <div key={step.step} className={`border-2 border-black p-3 ${step.changed ? 'bg-white' : 'bg-white/50'}`}>
+                  <div className="flex justify-between items-start gap-2 mb-2">
+                    <p className="font-bold text-black text-sm">Step {step.step}: {step.agent}</p>
+                    <span className="text-xs font-bold text-black uppercase">
+                      {step.status[0]} → {step.status[1]}
+                    </span>
+                  </div>
+                  <p className="text-xs font-bold text-black mb-1">Output:</p>
+                  <ValueDiff diff={step.output} />
+                  {step.error.length > 0 && (
+                    <>
+                      <p className="text-xs font-bold text-black mt-2 mb-1">Error:</p>
+                      <TextDiff lines={step.error} />
+                    </>
+                  )}
+                </div>
+              ))}
+              {visibleSteps.length === 0 && (
+                <p className="text-sm font-semibold text-black">No step changed between these executions.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="border-t-4 border-black pt-4">
+            <h3 className="font-black text-black text-xl mb-2">Results</h3>
+            <ValueDiff diff={diff.results} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
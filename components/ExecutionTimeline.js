@@ -0,0 +1,94 @@
+'use client';
+
+import { formatElapsed } from '@/lib/executionOverlay';
+import { buildExecutionTimeline } from '@/lib/executionTimeline';
+
+const percent = (ms, total) => `${(ms / total) * 100}%`;
+
+const getRunColor = (step) => {
+  if (step.running) return 'bg-[#87CEEB] animate-pulse';
+  return step.success === false ? 'bg-[#FFB6C1]' : 'bg-[#90EE90]';
+};
+
+/**
+ * Gantt chart of the steps of an execution: one bar per step with its queue
+ * time and run time, overlapping for parallel branches, and the critical path
+ * outlined
+ * @param {Object} props
+ * @param {Object} props.execution - Execution record from getExecution
+ */
+export default function ExecutionTimeline({ execution }) {
+  const timeline = buildExecutionTimeline(execution);
+  if (!timeline) return null;
+
+  const { steps, total } = timeline;
+  const totalQueue = steps.reduce((sum, step) => sum + step.queueMs, 0);
+
+  return (
+    <div className="border-t-4 border-black pt-4">
+      <div className="flex justify-between items-baseline flex-wrap gap-2 mb-2">
+        <h3 className="font-black text-black text-xl">Timeline</h3>
+        <p className="text-xs font-bold text-black">
+          Total {formatElapsed(total)}
+          {totalQueue > 0 && ` · ${formatElapsed(totalQueue)} queued`}
+        </p>
+      </div>
+
+      <div className="border-2 border-black bg-white p-3 space-y-2">
+        {steps.map(step => (
+          <div key={step.step} className="flex items-center gap-2">
+            <p
+              className={`w-32 flex-shrink-0 truncate text-xs text-black ${step.critical ? 'font-black' : 'font-semibold'}`}
+              title={`Step ${step.step}: ${step.agent}`}
+            >
+              {step.step}. {step.agent}
+            </p>
+            <div className="relative flex-1 h-6 bg-[#FFF8DC] border border-black/20">
+              {step.queueMs > 0 && (
+                <div
+                  className="absolute top-1 bottom-1 border-2 border-dashed border-black/50 bg-[repeating-linear-gradient(45deg,#FFD700_0,#FFD700_4px,transparent_4px,transparent_8px)]"
+                  style={{ left: percent(step.offset, total), width: percent(step.queueMs, total) }}
+                  title={`Queued ${formatElapsed(step.queueMs)}`}
+                />
+              )}
+              <div
+                className={`absolute top-0 bottom-0 min-w-[2px] border-black ${getRunColor(step)} ${
+                  step.critical ? 'border-4' : 'border-2'
+                }`}
+                style={{ left: percent(step.offset + step.queueMs, total), width: percent(step.runMs, total) }}
+                title={`Ran ${formatElapsed(step.runMs)}${step.running ? ' so far' : ''}`}
+              />
+            </div>
+            <span className="w-16 flex-shrink-0 text-right text-xs font-bold text-black">
+              {formatElapsed(step.runMs)}
+            </span>
+          </div>
+        ))}
+
+        <div className="flex justify-between pl-[8.5rem] pr-[4.5rem] text-[10px] font-bold text-black/60">
+          <span>0s</span>
+          <span>{formatElapsed(total / 2)}</span>
+          <span>{formatElapsed(total)}</span>
+        </div>
+      </div>
+
+      <div className="flex gap-3 flex-wrap mt-2 text-xs font-semibold text-black">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 h-3 border-2 border-dashed border-black/50 bg-[#FFD700]" /> Queued
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 h-3 border-2 border-black bg-[#87CEEB]" /> Running
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 h-3 border-2 border-black bg-[#90EE90]" /> Succeeded
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 h-3 border-2 border-black bg-[#FFB6C1]" /> Failed
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 h-3 border-4 border-black bg-white" /> Critical path
+        </span>
+      </div>
+    </div>
+  );
+}
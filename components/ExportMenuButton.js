@@ -0,0 +1,57 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+
+/**
+ * Button that opens a small menu to pick an export format
+ * @param {Object} props
+ * @param {Array<{value: string, label: string}>} props.formats - Available formats
+ * @param {Function} props.onSelect - Called with the chosen format value
+ * @param {string} props.label - Button label
+ * @param {string} props.variant - NeoButton variant
+ * @param {boolean} props.disabled - Whether the button is disabled
+ * @param {string} props.className - Extra classes for the button
+ */
+export default function ExportMenuButton({
+  formats,
+  onSelect,
+  label = '⬇️ Export',
+  variant = 'secondary',
+  disabled = false,
+  className = '',
+}) {
+  const [open, setOpen] = useState(false);
+
+  const handleSelect = (format) => {
+    setOpen(false);
+    onSelect(format);
+  };
+
+  return (
+    <div className="relative inline-block">
+      <NeoButton
+        variant={variant}
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className={className}
+      >
+        {label} ▾
+      </NeoButton>
+      {open && (
+        <div className="absolute right-0 mt-1 z-20 border-4 border-black bg-white shadow-[4px_4px_0px_0px_#000000] min-w-[120px]">
+          {formats.map((format) => (
+            <button
+              key={format.value}
+              type="button"
+              onClick={() => handleSelect(format.value)}
+              className="block w-full text-left px-3 py-2 text-xs font-bold text-black hover:bg-[#90EE90] border-b-2 border-black last:border-b-0"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
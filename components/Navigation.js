@@ -15,6 +15,7 @@ export default function Navigation() {
     { href: '/workflows/create', label: '🔗 Create Workflow' },
     { href: '/workflows', label: '📋 List Workflows' },
     { href: '/workflows/executions', label: '📊 Execution Logs' },
+    { href: '/analytics', label: '📈 Analytics' },
   ];
 
   return (
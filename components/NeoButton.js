@@ -7,6 +7,7 @@ export default function NeoButton({
   type = 'button',
   disabled = false,
   className = '',
+  title,
 }) {
   const baseStyles = 'px-6 py-3 font-bold text-black border-4 border-black transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
   
@@ -23,6 +24,7 @@ export default function NeoButton({
       type={type}
       onClick={onClick}
       disabled={disabled}
+      title={title}
       className={`${baseStyles} ${variants[variant]} ${className}`}
     >
       {children}
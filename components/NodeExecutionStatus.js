@@ -0,0 +1,48 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { STEP_STATUS, STEP_STATUS_COLORS, getOutputPreview, formatElapsed } from '@/lib/executionOverlay';
+
+/**
+ * Run status of a workflow step, shown inside its canvas node
+ * @param {Object} props
+ * @param {Object} props.execution - Step run state (see lib/executionOverlay)
+ */
+export default function NodeExecutionStatus({ execution }) {
+  const [now, setNow] = useState(() => Date.now());
+  const isRunning = execution.status === STEP_STATUS.RUNNING;
+
+  // Tick while running so the elapsed time stays current
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  const elapsed = execution.startedAt
+    ? formatElapsed((execution.finishedAt ?? Math.max(now, execution.startedAt)) - execution.startedAt)
+    : '';
+  const preview = execution.error || getOutputPreview(execution.output);
+
+  return (
+    <div
+      className={`border-2 border-black p-1 mb-2 ${isRunning ? 'animate-pulse' : ''}`}
+      style={{ backgroundColor: STEP_STATUS_COLORS[execution.status] }}
+    >
+      <div className="flex justify-between items-center">
+        <span className="text-xs font-black text-black uppercase">{execution.status}</span>
+        {elapsed && <span className="text-xs font-bold text-black">⏱️ {elapsed}</span>}
+      </div>
+      {preview && (
+        <p className={`text-xs font-semibold mt-1 break-words ${execution.error ? 'text-red-600' : 'text-black'}`}>
+          {preview}
+        </p>
+      )}
+      {execution.events.length > 0 && (
+        <p className="text-xs text-black opacity-75 mt-1">
+          {execution.events.length} event{execution.events.length !== 1 ? 's' : ''} · click to view
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+
+/**
+ * Fenced code block with a copy button
+ */
+function CodeBlock({ children }) {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy code:', err);
+    }
+  };
+
+  return (
+    <div className="relative my-2">
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="absolute top-1 right-1 px-2 py-0.5 bg-[#FFD700] border-2 border-black font-bold text-black text-xs"
+      >
+        {copied ? '✅ Copied' : '📋 Copy'}
+      </button>
+      <pre ref={preRef} className="bg-[#FFF8DC] border-2 border-black p-3 pr-20 overflow-x-auto text-xs font-mono">
+        {children}
+      </pre>
+    </div>
+  );
+}
+
+// Neo-brutalist styling for the elements Markdown produces
+const MARKDOWN_COMPONENTS = {
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+  code: ({ className, children }) => (className
+    ? <code className={className}>{children}</code>
+    : <code className="bg-white border border-black px-1 font-mono text-[0.9em]">{children}</code>),
+  h1: ({ children }) => <h1 className="text-2xl font-black mt-3 mb-2">{children}</h1>,
+  h2: ({ children }) => <h2 className="text-xl font-black mt-3 mb-2">{children}</h2>,
+  h3: ({ children }) => <h3 className="text-lg font-black mt-2 mb-1">{children}</h3>,
+  p: ({ children }) => <p className="my-1">{children}</p>,
+  ul: ({ children }) => <ul className="list-disc pl-6 my-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-6 my-1">{children}</ol>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="underline font-bold">{children}</a>
+  ),
+  blockquote: ({ children }) => (
+    <blockquote className="border-l-4 border-black pl-3 my-2 italic">{children}</blockquote>
+  ),
+  table: ({ children }) => (
+    <div className="overflow-x-auto my-2">
+      <table className="border-collapse border-2 border-black bg-white text-sm">{children}</table>
+    </div>
+  ),
+  th: ({ children, style }) => (
+    <th style={style} className="border-2 border-black px-2 py-1 bg-[#87CEEB] font-black">{children}</th>
+  ),
+  td: ({ children, style }) => (
+    <td style={style} className="border-2 border-black px-2 py-1">{children}</td>
+  ),
+  hr: () => <hr className="border-t-2 border-black my-3" />,
+};
+
+/**
+ * Render agent output as Markdown (GitHub flavour: tables, task lists,
+ * strikethrough) with highlighted code blocks.
+ *
+ * Raw HTML is only rendered when `html` is set, and then sanitized: scripts,
+ * event handlers, styles and `javascript:` links are removed. Highlighting runs
+ * after sanitizing, so its classes are kept.
+ *
+ * @param {Object} props
+ * @param {*} props.content - Text to render; other values are shown as JSON
+ * @param {boolean} props.html - Render (sanitized) HTML in the content
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+export default function RichContent({ content, html = false, className = '' }) {
+  const text = typeof content === 'string'
+    ? content
+    : `\`\`\`json\n${JSON.stringify(content, null, 2)}\n\`\`\``;
+
+  const rehypePlugins = html
+    ? [rehypeRaw, rehypeSanitize, [rehypeHighlight, { detect: true }]]
+    : [rehypeSanitize, [rehypeHighlight, { detect: true }]];
+
+  return (
+    <div className={`rich-content break-words ${className}`}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={rehypePlugins}
+        components={MARKDOWN_COMPONENTS}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+'use client';
+
+import NeoInput from '@/components/NeoInput';
+import NeoTextarea from '@/components/NeoTextarea';
+import NeoSelect from '@/components/NeoSelect';
+
+/**
+ * Build label content for a field
+ */
+const buildFieldLabel = (fieldName, field) => {
+  return (
+    <>
+      {fieldName}
+      {field.required && <span className="text-[#FFB6C1]"> *</span>}
+      {field.env_var && (
+        <span className="text-xs text-gray-600 ml-2">
+          (env: {field.env_var})
+        </span>
+      )}
+    </>
+  );
+};
+
+/**
+ * Form input for one schema field, chosen from its type:
+ * enum as dropdown, boolean as checkbox, object/array as JSON textarea,
+ * integer/number as number input, anything else as text input
+ * @param {Object} props
+ * @param {string} props.fieldName - Field name, used as label
+ * @param {Object} props.field - Field definition (see lib/toolSchemaTypes ToolConfigField)
+ * @param {*} props.value - Current value
+ * @param {string} props.error - Validation error to show under the field
+ * @param {Function} props.onChange - Called with the raw new value
+ */
+export default function SchemaField({ fieldName, field, value = '', error, onChange }) {
+  const description = field.description && (
+    <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
+  );
+  const errorMessage = error && (
+    <p className="text-sm text-[#FFB6C1] font-bold mt-1">{error}</p>
+  );
+
+  // Render enum as dropdown; without a default it starts unselected so the
+  // shown option is always the submitted value
+  if (field.enum && field.enum.length > 0) {
+    const options = field.enum.map((val) => ({ value: val, label: String(val) }));
+    const hasDefault = field.default !== undefined && field.default !== null;
+    return (
+      <div className="mb-4">
+        <NeoSelect
+          label={buildFieldLabel(fieldName, field)}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          options={hasDefault ? options : [{ value: '', label: '-- Select --' }, ...options]}
+          required={field.required}
+          className={error ? 'border-[#FFB6C1]' : ''}
+        />
+        {description}
+        {errorMessage}
+      </div>
+    );
+  }
+
+  // Render boolean as checkbox
+  if (field.type === 'boolean') {
+    return (
+      <div className="mb-4">
+        <label className="block font-bold text-black mb-2">
+          {buildFieldLabel(fieldName, field)}
+        </label>
+        <label className="flex items-center border-4 border-black p-2 bg-white cursor-pointer hover:bg-[#90EE90] w-fit">
+          <input
+            type="checkbox"
+            checked={value === true || value === 'true'}
+            onChange={(e) => onChange(e.target.checked)}
+            className="mr-2 w-4 h-4 border-2 border-black"
+          />
+          <span className="font-semibold text-black text-sm">
+            {value === true || value === 'true' ? 'Enabled' : 'Disabled'}
+          </span>
+        </label>
+        {description}
+        {errorMessage}
+      </div>
+    );
+  }
+
+  // Render object/array as textarea (JSON editor)
+  if (field.type === 'object' || field.type === 'array') {
+    let displayValue = value;
+    if (typeof value === 'object' && value !== null) {
+      try {
+        displayValue = JSON.stringify(value, null, 2);
+      } catch (e) {
+        displayValue = String(value);
+      }
+    }
+
+    return (
+      <div className="mb-4">
+        <NeoTextarea
+          label={buildFieldLabel(fieldName, field)}
+          value={displayValue}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={`Enter valid JSON ${field.type === 'array' ? 'array' : 'object'}`}
+          required={field.required}
+          rows={6}
+          className={error ? 'border-[#FFB6C1]' : ''}
+        />
+        {description}
+        {errorMessage}
+      </div>
+    );
+  }
+
+  // Render number/integer as number input, anything else as text input
+  const isNumeric = field.type === 'integer' || field.type === 'number';
+  return (
+    <div className="mb-4">
+      <NeoInput
+        label={buildFieldLabel(fieldName, field)}
+        type={isNumeric ? 'number' : 'text'}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={field.default !== undefined && field.default !== null ? String(field.default) : ''}
+        required={field.required}
+        className={error ? 'border-[#FFB6C1]' : ''}
+      />
+      {description}
+      {errorMessage}
+    </div>
+  );
+}
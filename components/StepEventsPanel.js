@@ -0,0 +1,85 @@
+'use client';
+
+import NeoButton from './NeoButton';
+import { STEP_STATUS_COLORS, formatElapsed } from '@/lib/executionOverlay';
+
+/**
+ * Modal with the full event stream of one workflow step
+ * @param {Object} props
+ * @param {string} props.stepName - Display name of the step's node
+ * @param {Object} props.execution - Step run state (see lib/executionOverlay)
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+export default function StepEventsPanel({ stepName, execution, onClose }) {
+  const duration = execution.startedAt && execution.finishedAt
+    ? formatElapsed(execution.finishedAt - execution.startedAt)
+    : '';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="neo-card-colored bg-white max-w-3xl w-full max-h-[85vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4 border-b-4 border-black pb-2">
+          <div>
+            <h2 className="text-2xl font-black text-black">{stepName}</h2>
+            <span
+              className="neo-badge text-black text-xs uppercase"
+              style={{ backgroundColor: STEP_STATUS_COLORS[execution.status] }}
+            >
+              {execution.status}
+            </span>
+            {duration && <span className="text-xs font-bold text-black ml-2">⏱️ {duration}</span>}
+          </div>
+          <NeoButton type="button" variant="danger" onClick={onClose} className="text-sm">
+            ✕ Close
+          </NeoButton>
+        </div>
+
+        <div className="overflow-y-auto space-y-2">
+          {execution.error && (
+            <div className="border-2 border-black bg-[#FFB6C1] p-2">
+              <p className="text-xs font-bold text-black">Error: {execution.error}</p>
+            </div>
+          )}
+
+          {execution.output !== null && execution.output !== undefined && (
+            <div>
+              <p className="text-xs font-bold text-black mb-1">Output:</p>
+              <pre className="text-xs text-black bg-[#FFF8DC] p-2 border-2 border-black overflow-auto max-h-48 whitespace-pre-wrap">
+                {typeof execution.output === 'string' ? execution.output : JSON.stringify(execution.output, null, 2)}
+              </pre>
+            </div>
+          )}
+
+          <p className="text-xs font-bold text-black">Events ({execution.events.length}):</p>
+          {execution.events.length === 0 ? (
+            <p className="text-xs font-semibold text-black">No events received for this step yet.</p>
+          ) : (
+            execution.events.map((event, idx) => (
+              <div key={idx} className="border-2 border-black p-2 bg-[#F5F5F5]">
+                <div className="flex justify-between items-start">
+                  <p className="font-bold text-black text-xs uppercase">
+                    {event.eventType.replace(/_/g, ' ')}
+                  </p>
+                  <span className="text-xs text-black opacity-75">
+                    {new Date(event.timestamp).toLocaleTimeString()}
+                  </span>
+                </div>
+                {event.data.content && (
+                  <p className="text-xs text-black font-semibold mt-1 whitespace-pre-wrap break-words">
+                    {typeof event.data.content === 'string' ? event.data.content : JSON.stringify(event.data.content)}
+                  </p>
+                )}
+                {event.data.error && (
+                  <p className="text-xs text-red-600 font-semibold mt-1">Error: {event.data.error}</p>
+                )}
+                {event.data.percentage !== undefined && (
+                  <p className="text-xs text-black font-semibold mt-1">Progress: {event.data.percentage}%</p>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+'use client';
+
+import { useState, useRef } from 'react';
+
+// Text typed after an unclosed "{{" just before the caret
+const OPEN_PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]*)$/;
+
+/**
+ * Textarea that autocompletes `{{...}}` placeholders
+ * @param {Object} props
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {Array<{value: string, label: string}>} props.suggestions - Placeholder expressions to offer
+ * @param {string} props.placeholder - Textarea placeholder
+ * @param {number} props.rows - Textarea rows
+ * @param {string} props.className - Textarea classes
+ */
+export default function TemplateTextarea({
+  value,
+  onChange,
+  suggestions = [],
+  placeholder,
+  rows = 3,
+  className = '',
+}) {
+  const textareaRef = useRef(null);
+  const [query, setQuery] = useState(null); // null while the menu is closed
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const matches = query === null
+    ? []
+    : suggestions.filter(suggestion => (
+      suggestion.value.toLowerCase().includes(query.toLowerCase())
+      || suggestion.label.toLowerCase().includes(query.toLowerCase())
+    ));
+
+  const updateQuery = (text, caret) => {
+    const match = OPEN_PLACEHOLDER_PATTERN.exec(text.slice(0, caret));
+    setQuery(match ? match[1] : null);
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateQuery(e.target.value, e.target.selectionStart);
+  };
+
+  const insertSuggestion = (suggestion) => {
+    const textarea = textareaRef.current;
+    const caret = textarea ? textarea.selectionStart : value.length;
+    const before = value.slice(0, caret).replace(OPEN_PLACEHOLDER_PATTERN, '');
+    // Drop a closing "}}" that was already typed after the caret
+    const after = value.slice(caret).replace(/^\s*\}\}/, '');
+    const inserted = `{{${suggestion.value}}}`;
+
+    onChange(`${before}${inserted}${after}`);
+    setQuery(null);
+
+    if (textarea) {
+      const nextCaret = before.length + inserted.length;
+      requestAnimationFrame(() => {
+        textarea.focus();
+        textarea.setSelectionRange(nextCaret, nextCaret);
+      });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (matches.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % matches.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + matches.length) % matches.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertSuggestion(matches[Math.min(activeIndex, matches.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setQuery(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setQuery(null)}
+        placeholder={placeholder}
+        className={className}
+        rows={rows}
+      />
+      {matches.length > 0 && (
+        <ul className="nodrag nowheel absolute left-0 right-0 z-20 mt-1 max-h-40 overflow-y-auto border-4 border-black bg-white shadow-[4px_4px_0px_0px_#000000]">
+          {matches.map((suggestion, idx) => (
+            <li key={suggestion.value}>
+              <button
+                type="button"
+                // Keep focus in the textarea so the caret position is preserved
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  insertSuggestion(suggestion);
+                }}
+                className={`block w-full text-left px-2 py-1 border-b-2 border-black last:border-b-0 ${
+                  idx === activeIndex ? 'bg-[#90EE90]' : 'hover:bg-[#FFF8DC]'
+                }`}
+              >
+                <span className="block text-xs font-bold text-black">{suggestion.label}</span>
+                <span className="block text-xs font-mono text-black opacity-75">{`{{${suggestion.value}}}`}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
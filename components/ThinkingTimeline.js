@@ -0,0 +1,175 @@
+'use client';
+
+import { useState } from 'react';
+import { formatElapsed } from '@/lib/executionOverlay';
+import {
+  TIMELINE_ENTRY_KINDS,
+  TIMELINE_FILTERS,
+  buildThinkingTimeline,
+  formatToolValue,
+  timelineToJSON,
+} from '@/lib/thinkingTimeline';
+
+function ToolValue({ label, value }) {
+  const text = formatToolValue(value);
+  if (!text) return null;
+  return (
+    <div className="mt-1">
+      <p className="text-xs font-bold text-black">{label}:</p>
+      <pre className="text-xs text-black bg-white p-2 border border-black overflow-auto max-h-48 whitespace-pre-wrap break-words">
+        {text}
+      </pre>
+    </div>
+  );
+}
+
+/**
+ * Collapsible timeline of an agent's thinking logs, pairing each action with
+ * its input and observation
+ * @param {Object} props
+ * @param {Array<Object>} props.logs - ChatBot thinking logs
+ * @param {boolean} props.live - Whether logs are still streaming in
+ */
+export default function ThinkingTimeline({ logs, live = false }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [hiddenKinds, setHiddenKinds] = useState([]);
+  const [expandedCalls, setExpandedCalls] = useState([]); // Indexes of opened tool calls
+  const [copied, setCopied] = useState(false);
+
+  const entries = buildThinkingTimeline(logs);
+  const visibleEntries = entries.filter(entry => !hiddenKinds.includes(entry.kind));
+  const stepCount = entries.filter(entry => entry.kind !== TIMELINE_ENTRY_KINDS.FINAL_ANSWER).length;
+
+  const toggleKind = (kind) => {
+    setHiddenKinds(prev => (prev.includes(kind) ? prev.filter(k => k !== kind) : [...prev, kind]));
+  };
+
+  const toggleCall = (index) => {
+    setExpandedCalls(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(timelineToJSON(visibleEntries));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy timeline:', err);
+    }
+  };
+
+  return (
+    <div className="mb-3 p-3 bg-gradient-to-r from-black/5 to-black/10 border-2 border-black/30 rounded-md shadow-sm">
+      <div className="flex items-center gap-2 pb-2 border-b-2 border-black/20 flex-wrap">
+        <button
+          type="button"
+          onClick={() => setCollapsed(!collapsed)}
+          className="text-xs font-black text-black flex items-center gap-1"
+          aria-expanded={!collapsed}
+        >
+          <span>{collapsed ? '▸' : '▾'}</span>
+          <span className="text-base">🧠</span>
+          Thinking Process
+        </button>
+        {live && (
+          <span className="animate-pulse text-xs text-black/60">●</span>
+        )}
+        <span className="text-xs text-black/60">
+          {stepCount} step{stepCount !== 1 ? 's' : ''}
+        </span>
+        {!collapsed && (
+          <div className="flex gap-1 ml-auto flex-wrap">
+            {TIMELINE_FILTERS.map(filter => (
+              <button
+                key={filter.value}
+                type="button"
+                onClick={() => toggleKind(filter.value)}
+                className={`px-1.5 py-0.5 border border-black text-xs font-bold text-black ${
+                  hiddenKinds.includes(filter.value) ? 'bg-white opacity-50' : 'bg-[#87CEEB]'
+                }`}
+                aria-pressed={!hiddenKinds.includes(filter.value)}
+              >
+                {filter.label}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="px-1.5 py-0.5 border border-black text-xs font-bold text-black bg-[#FFF8DC]"
+            >
+              {copied ? '✅ Copied' : '📋 Copy as JSON'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!collapsed && (
+        <ol className="mt-2 space-y-2 font-mono text-xs max-h-[300px] overflow-y-auto pr-1 border-l-4 border-black/30 pl-3">
+          {visibleEntries.map(entry => (
+            <li key={entry.index} className="relative text-black animate-fade-in bg-white/50 p-2 rounded border border-black/10">
+              <span className="absolute -left-[1.15rem] top-3 w-2.5 h-2.5 rounded-full border-2 border-black bg-[#FFD700]" />
+              {entry.sincePrevious !== null && (
+                <span className="float-right text-[10px] font-bold text-black/60" title="Time since the previous step">
+                  +{formatElapsed(entry.sincePrevious)}
+                </span>
+              )}
+
+              {entry.kind === TIMELINE_ENTRY_KINDS.THOUGHT && (
+                <div className="flex items-start gap-2">
+                  <span className="font-bold text-green-700 flex-shrink-0 text-base">💭</span>
+                  <div className="flex-1 min-w-0">
+                    <span className="font-bold text-green-700">Thought:</span>{' '}
+                    <span className="font-semibold break-words">{entry.content}</span>
+                  </div>
+                </div>
+              )}
+
+              {entry.kind === TIMELINE_ENTRY_KINDS.TOOL_CALL && (
+                <div>
+                  <button
+                    type="button"
+                    onClick={() => toggleCall(entry.index)}
+                    className="flex items-start gap-2 w-full text-left"
+                    aria-expanded={expandedCalls.includes(entry.index)}
+                  >
+                    <span className="font-bold text-blue-700 flex-shrink-0 text-base">⚡</span>
+                    <div className="flex-1 min-w-0">
+                      <span className="font-bold text-blue-700">
+                        {expandedCalls.includes(entry.index) ? '▾' : '▸'} Tool call:
+                      </span>{' '}
+                      <span className="text-xs bg-blue-100 px-1.5 py-0.5 rounded border border-blue-300 font-bold">
+                        {entry.tool || 'unknown tool'}
+                      </span>
+                      {entry.action && entry.action !== entry.tool && (
+                        <span className="font-semibold break-words ml-2">{entry.action}</span>
+                      )}
+                      {entry.output === undefined && live && (
+                        <span className="ml-2 animate-pulse text-black/60">waiting for result…</span>
+                      )}
+                    </div>
+                  </button>
+                  {expandedCalls.includes(entry.index) && (
+                    <div className="mt-1 pl-7">
+                      <ToolValue label="📥 Input" value={entry.input} />
+                      <ToolValue label="👁️ Output" value={entry.output} />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {entry.kind === TIMELINE_ENTRY_KINDS.FINAL_ANSWER && (
+                <div className="flex items-start gap-2">
+                  <span className="font-bold text-black flex-shrink-0 text-base">✅</span>
+                  <span className="font-bold text-black">Final answer</span>
+                </div>
+              )}
+            </li>
+          ))}
+          {visibleEntries.length === 0 && (
+            <li className="text-black/60 font-semibold">No steps match the selected filters.</li>
+          )}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -28,11 +28,10 @@
  */
 
 import { useState, useEffect } from 'react';
-import NeoInput from '@/components/NeoInput';
-import NeoTextarea from '@/components/NeoTextarea';
-import NeoSelect from '@/components/NeoSelect';
 import NeoButton from '@/components/NeoButton';
+import SchemaField from '@/components/SchemaField';
 import { getToolSchemas } from '@/lib/api';
+import { validateFieldValues, coerceFieldValue } from '@/lib/schemaFields';
 
 /**
  * Dynamic form component for configuring tools based on their schemas
@@ -122,277 +121,23 @@ export default function ToolSchemaForm({
   // Validate and notify parent when config changes
   useEffect(() => {
     if (schema && onConfigChange) {
-      const errors = validateConfig(config, schema);
+      const errors = validateFieldValues(config, schema.config_fields);
       setValidationErrors(errors);
       const isValid = Object.keys(errors).length === 0;
       onConfigChange(config, isValid);
     }
   }, [config, schema, onConfigChange]);
 
-  /**
-   * Validate configuration against schema
-   */
-  const validateConfig = (configToValidate, schemaToValidate) => {
-    const errors = {};
-
-    if (!schemaToValidate?.config_fields) {
-      return errors;
-    }
-
-    Object.entries(schemaToValidate.config_fields).forEach(([fieldName, field]) => {
-      const value = configToValidate[fieldName];
-
-      // Check required fields
-      if (field.required && (value === undefined || value === null || value === '')) {
-        errors[fieldName] = 'This field is required';
-        return;
-      }
-
-      // Skip validation if field is empty and not required
-      if (value === undefined || value === null || value === '') {
-        return;
-      }
-
-      // Validate type
-      switch (field.type) {
-        case 'integer':
-          if (!Number.isInteger(Number(value)) && value !== '') {
-            errors[fieldName] = 'Must be an integer';
-          }
-          break;
-        case 'number':
-          if (isNaN(Number(value)) && value !== '') {
-            errors[fieldName] = 'Must be a number';
-          }
-          break;
-        case 'boolean':
-          if (typeof value !== 'boolean' && value !== 'true' && value !== 'false') {
-            errors[fieldName] = 'Must be a boolean';
-          }
-          break;
-        case 'object':
-          try {
-            if (typeof value === 'string') {
-              JSON.parse(value);
-            }
-          } catch (e) {
-            errors[fieldName] = 'Must be valid JSON';
-          }
-          break;
-        case 'array':
-          try {
-            if (typeof value === 'string') {
-              JSON.parse(value);
-            }
-          } catch (e) {
-            errors[fieldName] = 'Must be valid JSON array';
-          }
-          break;
-      }
-
-      // Validate enum
-      if (field.enum && field.enum.length > 0) {
-        if (!field.enum.includes(value)) {
-          errors[fieldName] = `Must be one of: ${field.enum.join(', ')}`;
-        }
-      }
-    });
-
-    return errors;
-  };
-
   /**
    * Handle field value change
    */
   const handleFieldChange = (fieldName, field, value) => {
-    let processedValue = value;
-
-    // Process value based on type
-    switch (field.type) {
-      case 'integer':
-        processedValue = value === '' ? '' : parseInt(value, 10);
-        if (isNaN(processedValue)) processedValue = value; // Keep string if invalid
-        break;
-      case 'number':
-        processedValue = value === '' ? '' : parseFloat(value);
-        if (isNaN(processedValue)) processedValue = value; // Keep string if invalid
-        break;
-      case 'boolean':
-        processedValue = value === 'true' || value === true;
-        break;
-      case 'object':
-      case 'array':
-        // Keep as string for JSON editor
-        processedValue = value;
-        break;
-      default:
-        processedValue = value;
-    }
-
     setConfig((prev) => ({
       ...prev,
-      [fieldName]: processedValue,
+      [fieldName]: coerceFieldValue(field, value),
     }));
   };
 
-  /**
-   * Build label content for a field
-   */
-  const buildFieldLabel = (fieldName, field) => {
-    return (
-      <>
-        {fieldName}
-        {field.required && <span className="text-[#FFB6C1]"> *</span>}
-        {field.env_var && (
-          <span className="text-xs text-gray-600 ml-2">
-            (env: {field.env_var})
-          </span>
-        )}
-      </>
-    );
-  };
-
-  /**
-   * Render a form field based on schema
-   */
-  const renderField = (fieldName, field) => {
-    const value = config[fieldName] ?? '';
-    const hasError = validationErrors[fieldName];
-    const fieldId = `tool-${toolName}-${fieldName}`;
-
-    // Render enum as dropdown
-    if (field.enum && field.enum.length > 0) {
-      return (
-        <div key={fieldName} className="mb-4">
-          <NeoSelect
-            label={buildFieldLabel(fieldName, field)}
-            value={value}
-            onChange={(e) => handleFieldChange(fieldName, field, e.target.value)}
-            options={field.enum.map((val) => ({ value: val, label: String(val) }))}
-            required={field.required}
-            className={hasError ? 'border-[#FFB6C1]' : ''}
-          />
-          {field.description && (
-            <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
-          )}
-          {hasError && (
-            <p className="text-sm text-[#FFB6C1] font-bold mt-1">{hasError}</p>
-          )}
-        </div>
-      );
-    }
-
-    // Render boolean as checkbox
-    if (field.type === 'boolean') {
-      return (
-        <div key={fieldName} className="mb-4">
-          <label className="block font-bold text-black mb-2">
-            {fieldName}
-            {field.required && <span className="text-[#FFB6C1]"> *</span>}
-            {field.env_var && (
-              <span className="text-xs text-gray-600 ml-2">
-                (env: {field.env_var})
-              </span>
-            )}
-          </label>
-          <label className="flex items-center border-4 border-black p-2 bg-white cursor-pointer hover:bg-[#90EE90] w-fit">
-            <input
-              type="checkbox"
-              checked={value === true || value === 'true'}
-              onChange={(e) => handleFieldChange(fieldName, field, e.target.checked)}
-              className="mr-2 w-4 h-4 border-2 border-black"
-            />
-            <span className="font-semibold text-black text-sm">
-              {value === true || value === 'true' ? 'Enabled' : 'Disabled'}
-            </span>
-          </label>
-          {field.description && (
-            <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
-          )}
-          {hasError && (
-            <p className="text-sm text-[#FFB6C1] font-bold mt-1">{hasError}</p>
-          )}
-        </div>
-      );
-    }
-
-    // Render object/array as textarea (JSON editor)
-    if (field.type === 'object' || field.type === 'array') {
-      let displayValue = value;
-      if (typeof value === 'object' && value !== null) {
-        try {
-          displayValue = JSON.stringify(value, null, 2);
-        } catch (e) {
-          displayValue = String(value);
-        }
-      }
-
-      return (
-        <div key={fieldName} className="mb-4">
-          <NeoTextarea
-            label={buildFieldLabel(fieldName, field)}
-            value={displayValue}
-            onChange={(e) => handleFieldChange(fieldName, field, e.target.value)}
-            placeholder={`Enter valid JSON ${field.type === 'array' ? 'array' : 'object'}`}
-            required={field.required}
-            rows={6}
-            className={hasError ? 'border-[#FFB6C1]' : ''}
-          />
-          {field.description && (
-            <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
-          )}
-          {hasError && (
-            <p className="text-sm text-[#FFB6C1] font-bold mt-1">{hasError}</p>
-          )}
-        </div>
-      );
-    }
-
-    // Render number/integer as number input
-    if (field.type === 'integer' || field.type === 'number') {
-      return (
-        <div key={fieldName} className="mb-4">
-          <NeoInput
-            label={buildFieldLabel(fieldName, field)}
-            type="number"
-            value={value}
-            onChange={(e) => handleFieldChange(fieldName, field, e.target.value)}
-            placeholder={field.default !== undefined ? String(field.default) : ''}
-            required={field.required}
-            className={hasError ? 'border-[#FFB6C1]' : ''}
-          />
-          {field.description && (
-            <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
-          )}
-          {hasError && (
-            <p className="text-sm text-[#FFB6C1] font-bold mt-1">{hasError}</p>
-          )}
-        </div>
-      );
-    }
-
-    // Default: render as text input
-    return (
-      <div key={fieldName} className="mb-4">
-        <NeoInput
-          label={buildFieldLabel(fieldName, field)}
-          type="text"
-          value={value}
-          onChange={(e) => handleFieldChange(fieldName, field, e.target.value)}
-          placeholder={field.default !== undefined ? String(field.default) : ''}
-          required={field.required}
-          className={hasError ? 'border-[#FFB6C1]' : ''}
-        />
-        {field.description && (
-          <p className="text-sm text-gray-700 mt-1 mb-2">{field.description}</p>
-        )}
-        {hasError && (
-          <p className="text-sm text-[#FFB6C1] font-bold mt-1">{hasError}</p>
-        )}
-      </div>
-    );
-  };
-
   if (!toolName) {
     return (
       <div className="neo-card p-4">
@@ -458,7 +203,16 @@ export default function ToolSchemaForm({
         </p>
       ) : (
         <div className="space-y-4">
-          {fieldNames.map((fieldName) => renderField(fieldName, configFields[fieldName]))}
+          {fieldNames.map((fieldName) => (
+            <SchemaField
+              key={fieldName}
+              fieldName={fieldName}
+              field={configFields[fieldName]}
+              value={config[fieldName] ?? ''}
+              error={validationErrors[fieldName]}
+              onChange={(value) => handleFieldChange(fieldName, configFields[fieldName], value)}
+            />
+          ))}
         </div>
       )}
     </div>
@@ -0,0 +1,194 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+import { WORKFLOW_INPUT_TYPES } from '@/lib/constants';
+import {
+  createEmptyInput,
+  parseEnumText,
+  formatEnumText,
+  validateInputSchema,
+  normalizeInputSchema,
+} from '@/lib/workflowInputs';
+
+const fieldClassName = 'w-full px-2 py-1 border-2 border-black bg-[#FFF8DC] text-black text-sm font-semibold focus:outline-none';
+
+// Editor rows keep defaults and allowed values as typed text until saved
+const toDraft = (input) => ({
+  ...input,
+  default: input.default === null || input.default === undefined
+    ? ''
+    : typeof input.default === 'object' ? JSON.stringify(input.default) : String(input.default),
+  enumText: formatEnumText(input.enum),
+});
+
+/**
+ * Modal editor for the inputs a workflow expects when it is executed
+ * @param {Object} props
+ * @param {Array<Object>} props.inputs - Current input schema (see lib/workflowInputs)
+ * @param {Function} props.onSave - Called with the new input schema
+ * @param {Function} props.onClose - Called when the editor is dismissed
+ */
+export default function WorkflowInputsEditor({ inputs, onSave, onClose }) {
+  const [drafts, setDrafts] = useState(() => inputs.map(toDraft));
+  const [error, setError] = useState(null);
+
+  const updateDraft = (index, field, value) => {
+    setDrafts(prev => prev.map((draft, idx) => (idx === index ? { ...draft, [field]: value } : draft)));
+    setError(null);
+  };
+
+  const handleAdd = () => {
+    setDrafts(prev => [...prev, toDraft(createEmptyInput())]);
+  };
+
+  const handleRemove = (index) => {
+    setDrafts(prev => prev.filter((_, idx) => idx !== index));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const schema = drafts.map(({ enumText, ...draft }) => ({
+      ...draft,
+      enum: parseEnumText(enumText, draft.type),
+    }));
+    const validationError = validateInputSchema(schema);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSave(normalizeInputSchema(schema));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="neo-card-colored bg-[#87CEEB] max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4 border-b-4 border-black pb-2">
+          <h2 className="text-2xl font-black text-black">Workflow Inputs</h2>
+          <NeoButton type="button" variant="danger" onClick={onClose} className="text-sm">
+            ✕ Close
+          </NeoButton>
+        </div>
+
+        <p className="text-sm font-semibold text-black mb-4">
+          Values for these inputs are asked for on Execute and sent as the execution context.
+          Use them in tasks as <code>{'{{context.<name>}}'}</code>.
+        </p>
+
+        <form onSubmit={handleSubmit} className="flex flex-col min-h-0">
+          <div className="overflow-y-auto space-y-3 mb-4">
+            {drafts.length === 0 && (
+              <p className="text-sm font-semibold text-black">No inputs declared yet.</p>
+            )}
+            {drafts.map((draft, index) => (
+              <div key={index} className="border-4 border-black bg-white p-3">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-2">
+                  <label className="block">
+                    <span className="block text-xs font-bold text-black mb-1">Name *</span>
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => updateDraft(index, 'name', e.target.value)}
+                      placeholder="topic"
+                      className={fieldClassName}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs font-bold text-black mb-1">Type</span>
+                    <select
+                      value={draft.type}
+                      onChange={(e) => updateDraft(index, 'type', e.target.value)}
+                      className={fieldClassName}
+                    >
+                      {WORKFLOW_INPUT_TYPES.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs font-bold text-black mb-1">Default</span>
+                    {draft.type === 'boolean' ? (
+                      <select
+                        value={draft.default}
+                        onChange={(e) => updateDraft(index, 'default', e.target.value)}
+                        className={fieldClassName}
+                      >
+                        <option value="">(none)</option>
+                        <option value="true">true</option>
+                        <option value="false">false</option>
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        value={draft.default}
+                        onChange={(e) => updateDraft(index, 'default', e.target.value)}
+                        placeholder={draft.type === 'object' || draft.type === 'array' ? 'JSON' : ''}
+                        className={fieldClassName}
+                      />
+                    )}
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs font-bold text-black mb-1">Allowed values</span>
+                    <input
+                      type="text"
+                      value={draft.enumText}
+                      onChange={(e) => updateDraft(index, 'enumText', e.target.value)}
+                      placeholder="a, b, c"
+                      disabled={draft.type === 'boolean' || draft.type === 'object' || draft.type === 'array'}
+                      className={`${fieldClassName} disabled:opacity-50`}
+                    />
+                  </label>
+                </div>
+                <div className="flex gap-2 items-end">
+                  <label className="block flex-1">
+                    <span className="block text-xs font-bold text-black mb-1">Description</span>
+                    <input
+                      type="text"
+                      value={draft.description}
+                      onChange={(e) => updateDraft(index, 'description', e.target.value)}
+                      placeholder="Shown in the run dialog"
+                      className={fieldClassName}
+                    />
+                  </label>
+                  <label className="flex items-center border-2 border-black px-2 py-1 bg-[#FFF8DC] cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={draft.required}
+                      onChange={(e) => updateDraft(index, 'required', e.target.checked)}
+                      className="mr-2 w-4 h-4 border-2 border-black"
+                    />
+                    <span className="text-xs font-bold text-black">Required</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(index)}
+                    className="px-2 py-1 bg-[#FFB6C1] border-2 border-black font-bold text-black text-xs hover:bg-[#FF9CA8]"
+                    title="Remove input"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {error && (
+            <div className="border-4 border-black bg-[#FFB6C1] p-2 mb-4">
+              <p className="font-bold text-black text-sm">❌ {error}</p>
+            </div>
+          )}
+
+          <div className="flex justify-between gap-2">
+            <NeoButton type="button" variant="secondary" onClick={handleAdd}>
+              ➕ Add Input
+            </NeoButton>
+            <NeoButton type="submit" variant="success">
+              Save Inputs
+            </NeoButton>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+'use client';
+
+import { useState } from 'react';
+import NeoButton from './NeoButton';
+import SchemaField from './SchemaField';
+import { toSchemaFields } from '@/lib/workflowInputs';
+import { validateFieldValues, coerceFieldValue, getFieldDefaults, finalizeFieldValues } from '@/lib/schemaFields';
+
+/**
+ * Modal form collecting workflow input values before an execution starts
+ * @param {Object} props
+ * @param {string} props.workflowName - Name of the workflow to run
+ * @param {Array<Object>} props.inputs - Workflow input schema (see lib/workflowInputs)
+ * @param {Object} props.initialValues - Values to pre-fill, e.g. from a previous run
+ * @param {Function} props.onSubmit - Called with the input values for the execution context
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+export default function WorkflowRunDialog({ workflowName, inputs, initialValues = {}, onSubmit, onClose }) {
+  const fields = toSchemaFields(inputs);
+  const [values, setValues] = useState(() => ({ ...getFieldDefaults(fields), ...initialValues }));
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (fieldName, value) => {
+    setValues(prev => ({ ...prev, [fieldName]: coerceFieldValue(fields[fieldName], value) }));
+    setErrors(prev => ({ ...prev, [fieldName]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validateFieldValues(values, fields);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+    onSubmit(finalizeFieldValues(values, fields));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="neo-card-colored bg-[#90EE90] max-w-xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4 border-b-4 border-black pb-2">
+          <h2 className="text-2xl font-black text-black">▶️ Run {workflowName || 'Workflow'}</h2>
+          <NeoButton type="button" variant="danger" onClick={onClose} className="text-sm">
+            ✕ Close
+          </NeoButton>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col min-h-0">
+          <div className="overflow-y-auto bg-white border-4 border-black p-4 mb-4">
+            {Object.entries(fields).map(([fieldName, field]) => (
+              <SchemaField
+                key={fieldName}
+                fieldName={fieldName}
+                field={field}
+                value={values[fieldName] ?? ''}
+                error={errors[fieldName]}
+                onChange={(value) => handleChange(fieldName, value)}
+              />
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <NeoButton type="button" variant="secondary" onClick={onClose}>
+              Cancel
+            </NeoButton>
+            <NeoButton type="submit" variant="success">
+              ▶️ Execute
+            </NeoButton>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -2,8 +2,9 @@
 
 import { useState } from 'react';
 import NeoInput from './NeoInput';
+import { COMPONENT_NODE_COLORS } from '@/lib/workflowNodes';
 
-export default function WorkflowSidebar({ agents, onDragStart, searchTerm, onSearchChange }) {
+export default function WorkflowSidebar({ agents, components = [], onDragStart, searchTerm, onSearchChange }) {
   const [localSearch, setLocalSearch] = useState('');
 
   const handleSearch = (value) => {
@@ -13,9 +14,10 @@ export default function WorkflowSidebar({ agents, onDragStart, searchTerm, onSea
     }
   };
 
+  const search = (localSearch || searchTerm || '').toLowerCase();
+
   const filteredAgents = agents.filter(agent => {
-    if (!localSearch && !searchTerm) return true;
-    const search = (localSearch || searchTerm || '').toLowerCase();
+    if (!search) return true;
     return (
       agent.name?.toLowerCase().includes(search) ||
       agent.description?.toLowerCase().includes(search) ||
@@ -23,21 +25,30 @@ export default function WorkflowSidebar({ agents, onDragStart, searchTerm, onSea
     );
   });
 
+  const filteredComponents = components.filter(component => {
+    if (!search) return true;
+    return (
+      component.name?.toLowerCase().includes(search) ||
+      component.description?.toLowerCase().includes(search) ||
+      component.type?.toLowerCase().includes(search)
+    );
+  });
+
   return (
     <div className="w-64 h-full bg-[#FFF8DC] border-r-4 border-black p-4 overflow-y-auto">
-      <h2 className="text-2xl font-black text-black mb-4 border-b-4 border-black pb-2">
-        Agents
-      </h2>
-      
       <div className="mb-4">
         <NeoInput
-          label="Search Agents"
+          label="Search"
           value={localSearch}
           onChange={(e) => handleSearch(e.target.value)}
           placeholder="Type to search..."
         />
       </div>
 
+      <h2 className="text-2xl font-black text-black mb-4 border-b-4 border-black pb-2">
+        Agents
+      </h2>
+
       <div className="space-y-2">
         {filteredAgents.length === 0 ? (
           <div className="neo-card p-4">
@@ -50,7 +61,7 @@ export default function WorkflowSidebar({ agents, onDragStart, searchTerm, onSea
             <div
               key={agent.id}
               draggable
-              onDragStart={(e) => onDragStart(e, agent)}
+              onDragStart={(e) => onDragStart(e, agent, 'agent')}
               className="neo-card-colored bg-[#90EE90] p-3 cursor-move hover:bg-[#7FDD7F] transition-colors"
             >
               <h3 className="font-black text-black text-sm mb-1">{agent.name}</h3>
@@ -66,7 +77,40 @@ export default function WorkflowSidebar({ agents, onDragStart, searchTerm, onSea
           ))
         )}
       </div>
+
+      <h2 className="text-2xl font-black text-black mt-6 mb-4 border-b-4 border-black pb-2">
+        Components
+      </h2>
+
+      <div className="space-y-2">
+        {filteredComponents.length === 0 ? (
+          <div className="neo-card p-4">
+            <p className="text-black font-semibold text-sm text-center">
+              {components.length === 0 ? 'No components available' : 'No components found'}
+            </p>
+          </div>
+        ) : (
+          filteredComponents.map((component) => (
+            <div
+              key={component.id}
+              draggable
+              onDragStart={(e) => onDragStart(e, component, 'component')}
+              className="neo-card-colored p-3 cursor-move hover:opacity-80 transition-opacity"
+              style={{ backgroundColor: COMPONENT_NODE_COLORS[component.type] || '#90EE90' }}
+            >
+              <h3 className="font-black text-black text-sm mb-1">{component.name}</h3>
+              <p className="text-xs text-black font-semibold mb-1 uppercase">
+                {component.type}
+              </p>
+              {component.description && (
+                <p className="text-xs text-black opacity-75 line-clamp-2">
+                  {component.description}
+                </p>
+              )}
+            </div>
+          ))
+        )}
+      </div>
     </div>
   );
 }
-
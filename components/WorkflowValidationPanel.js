@@ -0,0 +1,47 @@
+'use client';
+
+/**
+ * Lists the graph problems that block saving or executing a workflow
+ * @param {Object} props
+ * @param {Array<Object>} props.issues - Validation issues (see lib/workflowValidation)
+ * @param {Function} props.onSelectIssue - Called with an issue to focus it on the canvas
+ * @param {Function} props.onClose - Called to hide the panel
+ */
+export default function WorkflowValidationPanel({ issues, onSelectIssue, onClose }) {
+  if (!issues || issues.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="neo-card-colored bg-[#FFB6C1] m-4 p-3">
+      <div className="flex justify-between items-center mb-2">
+        <p className="font-black text-black">
+          ⚠️ {issues.length} problem{issues.length !== 1 ? 's' : ''} must be fixed before Save/Execute
+        </p>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-2 py-1 bg-white border-2 border-black font-bold text-black text-xs"
+            title="Hide problems"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+      <ul className="space-y-1">
+        {issues.map((issue, idx) => (
+          <li key={`${issue.code}-${idx}`}>
+            <button
+              type="button"
+              onClick={() => onSelectIssue && onSelectIssue(issue)}
+              className="w-full text-left border-2 border-black bg-white p-2 text-xs font-semibold text-black hover:bg-[#FFF8DC]"
+            >
+              {issue.message}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
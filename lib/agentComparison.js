@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Results of running one prompt through several agent/framework combinations
+ *
+ * Each column of the compare playground is a ComparisonResult, folded from the
+ * SSE events of its executeAgentWithLogs stream.
+ *
+ * @module agentComparison
+ */
+
+export const MAX_COMPARISON_TARGETS = 4;
+
+export const COMPARISON_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  STOPPED: 'stopped',
+};
+
+/**
+ * @typedef {Object} ComparisonTarget
+ * @property {string} id
+ * @property {string} agentId
+ * @property {string} framework - Framework override, empty for the agent default
+ */
+
+/**
+ * @typedef {Object} ComparisonResult
+ * @property {string} targetId
+ * @property {string} status - One of COMPARISON_STATUS
+ * @property {string} answer
+ * @property {string|null} error
+ * @property {number} thinkingSteps - Thought events received
+ * @property {Array<string>} toolCalls - Tool of each action event
+ * @property {number} startedAt - ms timestamp
+ * @property {number|null} firstEventAt - ms timestamp of the first event
+ * @property {number|null} finishedAt - ms timestamp
+ */
+
+/**
+ * A new compare target
+ * @param {string} agentId
+ * @returns {ComparisonTarget}
+ */
+export function createComparisonTarget(agentId = '') {
+  return { id: `target-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`, agentId, framework: '' };
+}
+
+/**
+ * Result of a target that has just started
+ * @param {string} targetId
+ * @param {number} startedAt
+ * @returns {ComparisonResult}
+ */
+export function createComparisonResult(targetId, startedAt) {
+  return {
+    targetId,
+    status: COMPARISON_STATUS.RUNNING,
+    answer: '',
+    error: null,
+    thinkingSteps: 0,
+    toolCalls: [],
+    startedAt,
+    firstEventAt: null,
+    finishedAt: null,
+  };
+}
+
+/**
+ * Fold one stream event into a result
+ * @param {ComparisonResult} result
+ * @param {string} eventType
+ * @param {Object} data
+ * @param {number} receivedAt
+ * @returns {ComparisonResult}
+ */
+export function applyComparisonEvent(result, eventType, data, receivedAt) {
+  if (result.status !== COMPARISON_STATUS.RUNNING) return result;
+  const next = { ...result, firstEventAt: result.firstEventAt ?? receivedAt };
+
+  switch (eventType) {
+    case 'agent_thinking':
+    case 'thinking':
+      next.thinkingSteps += 1;
+      break;
+    case 'agent_action':
+    case 'action':
+      // action_input arrives on the action event; only the action itself is a call
+      if (data.type !== 'action_input') {
+        next.toolCalls = [...next.toolCalls, data.metadata?.tool || data.tool || data.content || 'tool'];
+      }
+      break;
+    case 'agent_final_answer':
+    case 'final_answer':
+      next.answer = data.content || data.answer || data.message || '';
+      break;
+    case 'complete':
+      if (data.error) {
+        next.error = data.error;
+      } else if (!next.answer && typeof data.result === 'string') {
+        next.answer = data.result;
+      }
+      break;
+    case 'error':
+      next.error = data.error || 'Unknown error';
+      break;
+    default:
+      break;
+  }
+  return next;
+}
+
+/**
+ * Mark a result as finished once its stream has ended
+ * @param {ComparisonResult} result
+ * @param {Object} outcome
+ * @param {string} outcome.error - Error that ended the stream
+ * @param {boolean} outcome.stopped - Whether the user stopped the run
+ * @param {number} finishedAt
+ * @returns {ComparisonResult}
+ */
+export function finishComparisonResult(result, { error = null, stopped = false } = {}, finishedAt) {
+  if (result.status !== COMPARISON_STATUS.RUNNING) return result;
+  const finalError = error || result.error;
+  let status = COMPARISON_STATUS.COMPLETED;
+  if (stopped) {
+    status = COMPARISON_STATUS.STOPPED;
+  } else if (finalError) {
+    status = COMPARISON_STATUS.FAILED;
+  }
+  return { ...result, status, error: finalError, finishedAt };
+}
+
+/**
+ * Total latency of a result in ms, up to `now` while it is running
+ * @param {ComparisonResult} result
+ * @param {number} now
+ * @returns {number}
+ */
+export function getComparisonLatency(result, now) {
+  return (result.finishedAt ?? now) - result.startedAt;
+}
@@ -1,4 +1,5 @@
 import { API_BASE_URL, getApiPrefix, API_GATEWAY_URL, CLIENT_ID, ENDPOINT } from './constants';
+import { streamSSE, isAbortError } from './sse';
 
 /**
  * Make API request to backend
@@ -138,6 +139,11 @@ export async function executeAgent(agentId, executeRequest) {
     framework: executeRequest.framework,
   };
   
+  // Include context (e.g. attachments) if provided
+  if (executeRequest.context && Object.keys(executeRequest.context).length > 0) {
+    requestBody.context = executeRequest.context;
+  }
+  
   // Include session_id if it exists in the request (even if null)
   if ('session_id' in executeRequest) {
     requestBody.session_id = executeRequest.session_id || null;
@@ -149,17 +155,72 @@ export async function executeAgent(agentId, executeRequest) {
   });
 }
 
+/**
+ * Open the gateway SSE channel for this client before a streamed execution.
+ * The gateway only needs the connection registered; events are read from the
+ * execution response itself.
+ */
+async function connectGatewaySSE(signal) {
+  const sseConnectUrl = `${API_GATEWAY_URL}${getApiPrefix()}/sse/connect?client_id=${CLIENT_ID}`;
+
+  console.log('[SSE] Connecting to gateway SSE endpoint:', sseConnectUrl);
+
+  const sseResponse = await fetch(sseConnectUrl, {
+    method: 'GET',
+    headers: {
+      'Accept': 'text/event-stream',
+    },
+    credentials: 'include', // Include cookies in the request
+    signal,
+  });
+
+  if (!sseResponse.ok) {
+    const errorData = await sseResponse.json().catch(() => ({ error: `HTTP ${sseResponse.status}` }));
+    throw new Error(errorData.detail || errorData.error || `Failed to connect to SSE endpoint: HTTP ${sseResponse.status}`);
+  }
+
+  // Close the SSE connect stream - we'll read from execution endpoint instead
+  sseResponse.body.getReader().cancel();
+}
+
+/**
+ * Stream an endpoint through the gateway or directly, depending on ENDPOINT.
+ * Unless `reportErrors` is off, failures are reported as an `error` event before
+ * rethrowing; aborts are rethrown silently.
+ */
+async function streamExecution(path, body, onEvent, { signal, lastEventId, method = 'POST', reportErrors = true } = {}) {
+  try {
+    const useGateway = ENDPOINT === 'apigateway' && API_GATEWAY_URL && CLIENT_ID;
+    if (useGateway) {
+      await connectGatewaySSE(signal);
+    }
+
+    const baseUrl = useGateway ? API_GATEWAY_URL : API_BASE_URL;
+    const url = `${baseUrl}${getApiPrefix()}${path}`;
+
+    console.log('[SSE] Streaming execution:', url);
+
+    await streamSSE({ url, method, body, onEvent, signal, lastEventId });
+    return { success: true };
+  } catch (error) {
+    if (reportErrors && !isAbortError(error) && onEvent) {
+      onEvent('error', { error: error.message });
+    }
+    throw error;
+  }
+}
+
 /**
  * Execute an agent with streaming thinking logs (SSE)
  * @param {string} agentId - Agent ID
  * @param {object} executeRequest - Execution request
  * @param {function} onEvent - Callback for each SSE event (event, data)
+ * @param {object} options - Stream options
+ * @param {AbortSignal} options.signal - Aborts the stream (rejects with an AbortError)
+ * @param {string} options.lastEventId - Resume a dropped stream after this event ID
  * @returns {Promise} Promise that resolves when stream completes
  */
-export async function executeAgentWithLogs(agentId, executeRequest, onEvent) {
-  const { API_BASE_URL, getApiPrefix, CLIENT_ID, ENDPOINT, API_GATEWAY_URL } = await import('./constants');
-  const apiPrefix = getApiPrefix();
-  
+export async function executeAgentWithLogs(agentId, executeRequest, onEvent, { signal, lastEventId } = {}) {
   // Framework is required - fetch agent if not provided
   let framework = executeRequest.framework;
   if (!framework) {
@@ -171,256 +232,29 @@ export async function executeAgentWithLogs(agentId, executeRequest, onEvent) {
       framework = 'langchain';
     }
   }
-  
-  // Helper function to parse SSE events
-  const parseSSEEvents = async (reader) => {
-    console.log('[SSE] Starting to parse SSE events, onEvent callback:', !!onEvent);
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let currentEventType = 'message';
-    let eventCount = 0;
-
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) {
-        console.log('[SSE] Stream ended, processed', eventCount, 'events');
-        break;
-      }
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.startsWith('event: ')) {
-          currentEventType = line.substring(7).trim();
-          console.log('[SSE] Event type line:', currentEventType);
-          continue;
-        }
-        
-        if (line.startsWith('data: ')) {
-          const dataStr = line.substring(6).trim();
-          if (dataStr) {
-            // Handle non-JSON data (like "Connected" connection messages)
-            if (!dataStr.startsWith('{') && !dataStr.startsWith('[')) {
-              // Not JSON - might be a plain text message
-              if (dataStr === 'Connected' || dataStr.toLowerCase().includes('connect')) {
-                console.log('[SSE] Connection established:', dataStr);
-                currentEventType = 'message';
-                continue;
-              }
-              // Skip non-JSON data that's not a connection message
-              console.warn('[SSE] Skipping non-JSON data:', dataStr);
-              currentEventType = 'message';
-              continue;
-            }
-            
-            try {
-              const data = JSON.parse(dataStr);
-              
-              // Determine event type:
-              // 1. Use event type from 'event:' line if available (standard SSE format)
-              // 2. Fall back to data.type if currentEventType is still 'message' (gateway format)
-              // 3. For 'action' events, check data.type to distinguish 'action' vs 'action_input'
-              let eventType = currentEventType;
-              
-              // If no event type from 'event:' line, try to get it from data.type
-              if (eventType === 'message' && data.type) {
-                // Map data.type to event type (thought -> thinking, etc.)
-                const typeMap = {
-                  'thought': 'thinking',
-                  'action': 'action',
-                  'action_input': 'action_input',
-                  'observation': 'observation',
-                  'final_answer': 'final_answer',
-                };
-                eventType = typeMap[data.type] || data.type;
-              }
-              
-              // If event type is 'action' and data.type is 'action_input', use 'action_input' as event type
-              if (eventType === 'action' && data.type === 'action_input') {
-                eventType = 'action_input';
-              }
-              
-              // Extract content from various possible fields
-              // Standard format: data.content
-              // Gateway format: data.answer (for final_answer), data.message, etc.
-              const content = data.content || data.answer || data.message || data.thought || data.action || data.observation || '';
-              
-              // Normalize the data structure - preserve all original fields
-              const normalizedData = {
-                ...data,
-                content: content || data.content,
-                // Preserve original fields for debugging and processing
-                agent_id: data.agent_id,
-                agent_name: data.agent_name,
-                timestamp: data.timestamp,
-                type: data.type, // Preserve the type field (thought, action, action_input, observation, final_answer)
-                metadata: data.metadata, // Preserve metadata (tool, input, step, source, etc.)
-              };
-              
-              eventCount++;
-              // Debug logging (can be removed in production)
-              console.log('[SSE Event]', {
-                eventCount,
-                eventType,
-                currentEventType,
-                dataType: data.type,
-                hasContent: !!normalizedData.content,
-                contentLength: normalizedData.content?.length || 0,
-                hasOnEvent: !!onEvent,
-              });
-              
-              if (onEvent) {
-                console.log('[SSE] Calling onEvent callback for:', eventType);
-                try {
-                  onEvent(eventType, normalizedData);
-                } catch (callbackError) {
-                  console.error('[SSE] Error in onEvent callback:', callbackError);
-                }
-              } else {
-                console.warn('[SSE] onEvent callback is not available!');
-              }
-            } catch (e) {
-              // Handle non-JSON data gracefully
-              if (dataStr === 'Connected' || dataStr.toLowerCase().includes('connect')) {
-                console.log('[SSE] Connection message:', dataStr);
-              } else {
-                console.warn('[SSE] Failed to parse as JSON, skipping:', dataStr, e);
-              }
-            }
-          }
-          // Reset event type after processing data (for next event)
-          currentEventType = 'message';
-        }
-      }
-    }
-    console.log('[SSE] Finished parsing, total events:', eventCount);
+  // Build request body
+  const requestBody = {
+    task: executeRequest.task || '',
+    framework: framework,
   };
-  
-  try {
-    if (ENDPOINT === 'apigateway' && API_GATEWAY_URL && CLIENT_ID) {
-      // Gateway mode: First connect to SSE endpoint, then trigger agent execution
-      const sseConnectUrl = `${API_GATEWAY_URL}${apiPrefix}/sse/connect?client_id=${CLIENT_ID}`;
-      
-      console.log('[SSE] Connecting to gateway SSE endpoint:', sseConnectUrl);
-      
-      // Connect to SSE endpoint
-      const sseResponse = await fetch(sseConnectUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'text/event-stream',
-        },
-      });
-      
-      if (!sseResponse.ok) {
-        const errorData = await sseResponse.json().catch(() => ({ error: `HTTP ${sseResponse.status}` }));
-        throw new Error(errorData.detail || errorData.error || `Failed to connect to SSE endpoint: HTTP ${sseResponse.status}`);
-      }
-      
-      // Close the SSE connect stream - we'll read from execution endpoint instead
-      sseResponse.body.getReader().cancel();
-      
-      // Trigger agent execution (which streams events directly)
-      const executeUrl = `${API_GATEWAY_URL}${apiPrefix}/agents/${agentId}/execute-with-logs`;
-      
-      console.log('[SSE] Triggering agent execution:', executeUrl);
-      
-      // Build request body
-      const requestBody = {
-        task: executeRequest.task || '',
-        framework: framework,
-      };
-      
-      // Add context if provided
-      if (executeRequest.context && Object.keys(executeRequest.context).length > 0) {
-        requestBody.context = executeRequest.context;
-      }
-      
-      // Add session_id if provided
-      if ('session_id' in executeRequest) {
-        requestBody.session_id = executeRequest.session_id || null;
-      }
-      
-      // Add response_format_html if provided
-      if ('response_format_html' in executeRequest) {
-        requestBody.response_format_html = executeRequest.response_format_html || false;
-      }
-      
-      // Execution endpoint streams events directly - use POST with body
-      const executeResponse = await fetch(executeUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'text/event-stream',
-        },
-        credentials: 'include', // Include cookies in the request
-        body: JSON.stringify(requestBody),
-      });
-      
-      if (!executeResponse.ok) {
-        const errorData = await executeResponse.json().catch(() => ({ error: `HTTP ${executeResponse.status}` }));
-        throw new Error(errorData.detail || errorData.error || `Failed to execute agent: HTTP ${executeResponse.status}`);
-      }
-      
-      // Read SSE stream from execution endpoint
-      const reader = executeResponse.body.getReader();
-      await parseSSEEvents(reader);
-      
-      return { success: true };
-    } else {
-      // Direct mode: Use direct SSE connection to agent execution endpoint
-      const url = `${API_BASE_URL}${apiPrefix}/agents/${agentId}/execute-with-logs`;
-      
-      // Build request body
-      const requestBody = {
-        task: executeRequest.task || '',
-        framework: framework,
-      };
-      
-      // Add context if provided
-      if (executeRequest.context && Object.keys(executeRequest.context).length > 0) {
-        requestBody.context = executeRequest.context;
-      }
-      
-      // Add session_id if provided
-      if ('session_id' in executeRequest) {
-        requestBody.session_id = executeRequest.session_id || null;
-      }
-      
-      // Add response_format_html if provided
-      if ('response_format_html' in executeRequest) {
-        requestBody.response_format_html = executeRequest.response_format_html || false;
-      }
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'text/event-stream',
-        },
-        credentials: 'include', // Include cookies in the request
-        body: JSON.stringify(requestBody),
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
-        throw new Error(errorData.detail || errorData.error || `HTTP ${response.status}`);
-      }
 
-      // Read SSE stream
-      const reader = response.body.getReader();
-      await parseSSEEvents(reader);
+  // Add context if provided
+  if (executeRequest.context && Object.keys(executeRequest.context).length > 0) {
+    requestBody.context = executeRequest.context;
+  }
 
-      return { success: true };
-    }
-  } catch (error) {
-    if (onEvent) {
-      onEvent('error', { error: error.message });
-    }
-    throw error;
+  // Add session_id if provided
+  if ('session_id' in executeRequest) {
+    requestBody.session_id = executeRequest.session_id || null;
+  }
+
+  // Add response_format_html if provided
+  if ('response_format_html' in executeRequest) {
+    requestBody.response_format_html = executeRequest.response_format_html || false;
   }
+
+  return streamExecution(`/agents/${agentId}/execute-with-logs`, requestBody, onEvent, { signal, lastEventId });
 }
 
 /**
@@ -510,13 +344,16 @@ export async function deleteWorkflow(workflowId) {
 
 /**
  * Create a new execution
+ * @param {Object} options - `stepResults` of steps already completed by an
+ *   earlier run, which the execution skips
  */
-export async function createExecution(workflowId, context = {}) {
+export async function createExecution(workflowId, context = {}, { stepResults = null } = {}) {
   return apiRequest('/api/executions', {
     method: 'POST',
     body: JSON.stringify({
       workflow_id: workflowId,
       context: context,
+      ...(stepResults ? { step_results: stepResults } : {}),
     }),
   });
 }
@@ -526,192 +363,32 @@ export async function createExecution(workflowId, context = {}) {
  * @param {string} workflowId - Workflow ID
  * @param {object} context - Execution context
  * @param {function} onEvent - Callback for each SSE event (event, data)
+ * @param {object} options - Stream options
+ * @param {AbortSignal} options.signal - Aborts the stream (rejects with an AbortError)
  * @returns {Promise} Promise that resolves when stream completes
  */
-export async function executeWorkflowWithSSE(workflowId, context = {}, onEvent) {
-  const { API_BASE_URL, getApiPrefix, CLIENT_ID, ENDPOINT, API_GATEWAY_URL } = await import('./constants');
-  const apiPrefix = getApiPrefix();
-  
-  // Helper function to parse SSE events
-  const parseSSEEvents = async (reader) => {
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let currentEventType = 'message';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) {
-        break;
-      }
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.startsWith('event: ')) {
-          currentEventType = line.substring(7).trim();
-          continue;
-        }
-        
-        if (line.startsWith('data: ')) {
-          const dataStr = line.substring(6).trim();
-          if (dataStr) {
-            // Handle non-JSON data (like "Connected" connection messages)
-            if (!dataStr.startsWith('{') && !dataStr.startsWith('[')) {
-              // Not JSON - might be a plain text message
-              if (dataStr === 'Connected' || dataStr.toLowerCase().includes('connect')) {
-                console.log('[SSE] Connection established:', dataStr);
-                currentEventType = 'message';
-                continue;
-              }
-              // Skip non-JSON data that's not a connection message
-              console.warn('[SSE] Skipping non-JSON data:', dataStr);
-              currentEventType = 'message';
-              continue;
-            }
-            
-            try {
-              const data = JSON.parse(dataStr);
-              
-              // Determine event type:
-              // 1. Use event type from 'event:' line if available (standard SSE format)
-              // 2. Fall back to data.type if currentEventType is still 'message' (gateway format)
-              let eventType = currentEventType;
-              
-              // If no event type from 'event:' line, try to get it from data.type
-              if (eventType === 'message' && data.type) {
-                // Map data.type to event type
-                const typeMap = {
-                  'thought': 'thinking',
-                  'action': 'action',
-                  'action_input': 'action_input',
-                  'observation': 'observation',
-                  'final_answer': 'final_answer',
-                };
-                eventType = typeMap[data.type] || data.type;
-              }
-              
-              // Extract content from various possible fields
-              const content = data.content || data.answer || data.message || data.thought || data.action || data.observation || '';
-              
-              // Normalize the data structure - preserve all original fields
-              const normalizedData = {
-                ...data,
-                content: content || data.content,
-                agent_id: data.agent_id,
-                agent_name: data.agent_name,
-                timestamp: data.timestamp,
-                type: data.type,
-                metadata: data.metadata,
-              };
-              
-              if (onEvent) {
-                onEvent(eventType, normalizedData);
-              }
-            } catch (e) {
-              // Handle non-JSON data gracefully
-              if (dataStr === 'Connected' || dataStr.toLowerCase().includes('connect')) {
-                console.log('[SSE] Connection message:', dataStr);
-              } else {
-                console.warn('[SSE] Failed to parse as JSON, skipping:', dataStr, e);
-              }
-            }
-          }
-          // Reset event type after processing data (for next event)
-          currentEventType = 'message';
-        }
-      }
-    }
-  };
-  
-  try {
-    if (ENDPOINT === 'apigateway' && API_GATEWAY_URL && CLIENT_ID) {
-      // Gateway mode: First connect to SSE endpoint, then trigger workflow execution
-      const sseConnectUrl = `${API_GATEWAY_URL}${apiPrefix}/sse/connect?client_id=${CLIENT_ID}`;
-      
-      console.log('[SSE] Connecting to gateway SSE endpoint:', sseConnectUrl);
-      
-      // Connect to SSE endpoint with GET
-      const sseResponse = await fetch(sseConnectUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'text/event-stream',
-        },
-        credentials: 'include', // Include cookies in the request
-      });
-      
-      if (!sseResponse.ok) {
-        const errorData = await sseResponse.json().catch(() => ({ error: `HTTP ${sseResponse.status}` }));
-        throw new Error(errorData.detail || errorData.error || `Failed to connect to SSE endpoint: HTTP ${sseResponse.status}`);
-      }
-      
-      // Close the SSE connect stream - we'll read from execution endpoint instead
-      sseResponse.body.getReader().cancel();
-      
-      // Trigger workflow execution (which streams events directly)
-      const executeUrl = `${API_GATEWAY_URL}${apiPrefix}/executions/sse`;
-      
-      console.log('[SSE] Triggering workflow execution:', executeUrl);
-      
-      // Execution endpoint streams events directly - use POST with body
-      const executeResponse = await fetch(executeUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'text/event-stream',
-        },
-        credentials: 'include', // Include cookies in the request
-        body: JSON.stringify({
-          workflow_id: workflowId,
-          context: context,
-        }),
-      });
-      
-      if (!executeResponse.ok) {
-        const errorData = await executeResponse.json().catch(() => ({ error: `HTTP ${executeResponse.status}` }));
-        throw new Error(errorData.detail || errorData.error || `Failed to execute workflow: HTTP ${executeResponse.status}`);
-      }
-      
-      // Read SSE stream from execution endpoint
-      const reader = executeResponse.body.getReader();
-      await parseSSEEvents(reader);
-      
-      return { success: true };
-    } else {
-      // Direct mode: Use direct SSE connection to workflow execution endpoint
-      const url = `${API_BASE_URL}${apiPrefix}/executions/sse`;
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include', // Include cookies in the request
-        body: JSON.stringify({
-          workflow_id: workflowId,
-          context: context,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
-        throw new Error(errorData.detail || errorData.error || `HTTP ${response.status}`);
-      }
-
-      // Read SSE stream
-      const reader = response.body.getReader();
-      await parseSSEEvents(reader);
+export async function executeWorkflowWithSSE(workflowId, context = {}, onEvent, { signal } = {}) {
+  return streamExecution('/executions/sse', {
+    workflow_id: workflowId,
+    context: context,
+  }, onEvent, { signal });
+}
 
-      return { success: true };
-    }
-  } catch (error) {
-    if (onEvent) {
-      onEvent('error', { error: error.message });
-    }
-    throw error;
-  }
+/**
+ * Follow the events of an execution that is already running (SSE).
+ * Failures are only thrown, not sent as `error` events, so callers can fall back to polling.
+ * @param {string} executionId - Execution ID
+ * @param {function} onEvent - Callback for each SSE event (event, data)
+ * @param {object} options - Stream options
+ * @param {AbortSignal} options.signal - Aborts the stream (rejects with an AbortError)
+ * @returns {Promise} Promise that resolves when the server ends the stream
+ */
+export async function streamExecutionEvents(executionId, onEvent, { signal } = {}) {
+  return streamExecution(`/executions/${executionId}/stream`, undefined, onEvent, {
+    signal,
+    method: 'GET',
+    reportErrors: false,
+  });
 }
 
 /**
@@ -731,12 +408,21 @@ export async function cancelExecution(executionId) {
 }
 
 /**
- * List all executions
+ * List executions, newest first
+ * @param {Object} filters - created_at range (ISO timestamps) and free-text
+ *   search over context, errors and step outputs
  */
-export async function listExecutions(skip = 0, limit = 100, workflowId = null, status = null) {
+export async function listExecutions(skip = 0, limit = 100, workflowId = null, status = null, {
+  createdAfter = null,
+  createdBefore = null,
+  search = null,
+} = {}) {
   const params = new URLSearchParams({ skip, limit });
   if (workflowId) params.append('workflow_id', workflowId);
   if (status) params.append('status', status);
+  if (createdAfter) params.append('created_after', createdAfter);
+  if (createdBefore) params.append('created_before', createdBefore);
+  if (search) params.append('search', search);
   
   return apiRequest(`/api/executions?${params}`);
 }
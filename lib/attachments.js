@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Chat attachments: which files an agent accepts and how they are sent
+ *
+ * Images need the `multi_modal` capability, documents need `document_analysis`.
+ * Files are read in the browser and sent base64-encoded in the execute request
+ * context under `attachments`; text documents also carry their decoded text.
+ *
+ * @module attachments
+ */
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // 5 MB per file
+
+// MIME types and extensions accepted as documents
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/json',
+  'application/xml',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+const DOCUMENT_EXTENSIONS = ['.pdf', '.txt', '.md', '.csv', '.json', '.xml', '.html', '.doc', '.docx'];
+
+/**
+ * @typedef {Object} AttachmentSupport
+ * @property {boolean} images - Agent accepts images (multi_modal)
+ * @property {boolean} documents - Agent accepts documents (document_analysis)
+ */
+
+/**
+ * Attachment kinds an agent accepts, from its capabilities
+ * @param {Array<string>} capabilities
+ * @returns {AttachmentSupport}
+ */
+export function getAttachmentSupport(capabilities = []) {
+  return {
+    images: capabilities.includes('multi_modal'),
+    documents: capabilities.includes('document_analysis'),
+  };
+}
+
+/**
+ * Whether any attachments are accepted
+ * @param {AttachmentSupport} support
+ * @returns {boolean}
+ */
+export function acceptsAttachments(support) {
+  return support.images || support.documents;
+}
+
+/**
+ * `accept` attribute for a file input
+ * @param {AttachmentSupport} support
+ * @returns {string}
+ */
+export function getAcceptAttribute(support) {
+  const accepted = [];
+  if (support.images) accepted.push('image/*');
+  if (support.documents) accepted.push('text/*', ...DOCUMENT_MIME_TYPES, ...DOCUMENT_EXTENSIONS);
+  return accepted.join(',');
+}
+
+const isTextFile = (file) => file.type.startsWith('text/')
+  || ['application/json', 'application/xml'].includes(file.type)
+  || /\.(txt|md|csv|json|xml|html)$/i.test(file.name);
+
+/**
+ * Kind of attachment a file would be, or null if it is neither an image nor a document
+ * @param {File} file
+ * @returns {'image'|'document'|null}
+ */
+export function getAttachmentKind(file) {
+  if (file.type.startsWith('image/')) return 'image';
+  const lowerName = file.name.toLowerCase();
+  if (
+    isTextFile(file)
+    || DOCUMENT_MIME_TYPES.includes(file.type)
+    || DOCUMENT_EXTENSIONS.some(extension => lowerName.endsWith(extension))
+  ) {
+    return 'document';
+  }
+  return null;
+}
+
+/**
+ * Check a file against what the agent accepts
+ * @param {File} file
+ * @param {AttachmentSupport} support
+ * @param {number} attachedCount - Files already attached
+ * @returns {string|null} Error message, or null when the file can be attached
+ */
+export function validateAttachment(file, support, attachedCount) {
+  if (attachedCount >= MAX_ATTACHMENTS) {
+    return `At most ${MAX_ATTACHMENTS} files can be attached to a message`;
+  }
+  const kind = getAttachmentKind(file);
+  if (kind === 'image' && !support.images) {
+    return `${file.name}: this agent does not accept images (needs the multi_modal capability)`;
+  }
+  if (kind === 'document' && !support.documents) {
+    return `${file.name}: this agent does not accept documents (needs the document_analysis capability)`;
+  }
+  if (!kind) {
+    return `${file.name}: unsupported file type`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name}: larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+  }
+  return null;
+}
+
+/**
+ * Human-readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const readAs = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+  reader[method](file);
+});
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mimeType
+ * @property {number} size
+ * @property {'image'|'document'} kind
+ * @property {string} dataUrl - Base64 data URL, also used for image previews
+ * @property {string} [text] - Decoded content of text documents
+ */
+
+/**
+ * Read a file into an attachment
+ * @param {File} file
+ * @returns {Promise<Attachment>}
+ */
+export async function readAttachment(file) {
+  const dataUrl = await readAs(file, 'readAsDataURL');
+  const attachment = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+    name: file.name,
+    mimeType: file.type || 'application/octet-stream',
+    size: file.size,
+    kind: getAttachmentKind(file),
+    dataUrl,
+  };
+  if (isTextFile(file)) {
+    attachment.text = await readAs(file, 'readAsText');
+  }
+  return attachment;
+}
+
+/**
+ * Attachments as sent in the execute request context
+ * @param {Array<Attachment>} attachments
+ * @returns {Array<Object>}
+ */
+export function toContextAttachments(attachments) {
+  return attachments.map(attachment => ({
+    name: attachment.name,
+    mime_type: attachment.mimeType,
+    size: attachment.size,
+    kind: attachment.kind,
+    data: attachment.dataUrl.slice(attachment.dataUrl.indexOf(',') + 1),
+    ...(attachment.text !== undefined ? { text: attachment.text } : {}),
+  }));
+}
+
+/**
+ * What a chat message keeps of its attachments: enough to list them, without
+ * the file contents (messages are persisted in localStorage)
+ * @param {Array<Attachment>} attachments
+ * @returns {Array<Object>}
+ */
+export function toAttachmentSummaries(attachments) {
+  return attachments.map(({ name, mimeType, size, kind }) => ({ name, mimeType, size, kind }));
+}
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Chat conversations persisted in localStorage
+ *
+ * Each conversation is keyed by agent ID and session ID and stored under its own
+ * key, so a large thinking log only rewrites its own entry. A separate index
+ * holds the summaries shown in the history sidebar.
+ *
+ * @module chatHistory
+ */
+
+import { downloadFile, toFileSlug } from './download';
+
+const STORAGE_PREFIX = 'chatHistory';
+const INDEX_KEY = `${STORAGE_PREFIX}:index`;
+
+export const CHAT_EXPORT_KIND = 'dotagent-chat';
+export const CHAT_EXPORT_VERSION = 1;
+
+// Length of titles derived from the first user message
+const TITLE_MAX_LENGTH = 60;
+
+/**
+ * @typedef {Object} ConversationSummary
+ * @property {string} key - Conversation key (see getConversationKey)
+ * @property {string} agentId
+ * @property {string} sessionId - Empty for chats without a session
+ * @property {string} title
+ * @property {boolean} renamed - Whether the title was set by the user
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ * @property {number} messageCount
+ */
+
+const getStorage = () => (typeof window === 'undefined' ? null : window.localStorage);
+
+const readJSON = (storageKey, fallback) => {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(storageKey);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn('[chatHistory] Failed to read', storageKey, e);
+    return fallback;
+  }
+};
+
+const writeJSON = (storageKey, value) => {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(storageKey, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    // Usually the storage quota; the chat keeps working without persistence
+    console.warn('[chatHistory] Failed to write', storageKey, e);
+    return false;
+  }
+};
+
+const readIndex = () => readJSON(INDEX_KEY, {});
+
+const messagesKey = (key) => `${STORAGE_PREFIX}:messages:${key}`;
+
+/**
+ * Key of the conversation with an agent in a session
+ * @param {string} agentId
+ * @param {string} sessionId - Empty or null for chats without a session
+ * @returns {string}
+ */
+export function getConversationKey(agentId, sessionId) {
+  return `${agentId}:${sessionId || ''}`;
+}
+
+/**
+ * Title for a conversation: the start of its first user message
+ * @param {Array<Object>} messages
+ * @returns {string}
+ */
+export function getConversationTitle(messages) {
+  const firstUserMessage = messages.find(msg => msg.type === 'user' && msg.content);
+  if (!firstUserMessage) return 'New conversation';
+  const text = String(firstUserMessage.content).replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Stored conversations, most recently updated first
+ * @returns {Array<ConversationSummary>}
+ */
+export function listConversations() {
+  return Object.values(readIndex())
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Messages of a stored conversation. Answers that were still streaming when
+ * the page was left come back as interrupted, so they can be replayed.
+ * @param {string} agentId
+ * @param {string} sessionId
+ * @returns {Array<Object>}
+ */
+export function loadConversation(agentId, sessionId) {
+  const messages = readJSON(messagesKey(getConversationKey(agentId, sessionId)), []);
+  return messages.map(msg => (msg.loading ? {
+    ...msg,
+    loading: false,
+    interrupted: Boolean(msg.task),
+    lastEventId: null,
+  } : msg));
+}
+
+/**
+ * Store the messages of a conversation and update its summary.
+ * Saving an empty conversation removes it.
+ * @param {string} agentId
+ * @param {string} sessionId
+ * @param {Array<Object>} messages
+ * @returns {boolean} Whether the conversation was written
+ */
+export function saveConversation(agentId, sessionId, messages) {
+  const key = getConversationKey(agentId, sessionId);
+  if (messages.length === 0) {
+    deleteConversation(key);
+    return false;
+  }
+
+  const index = readIndex();
+  const existing = index[key];
+  const now = new Date().toISOString();
+
+  if (!writeJSON(messagesKey(key), messages)) {
+    return false;
+  }
+
+  index[key] = {
+    key,
+    agentId,
+    sessionId: sessionId || '',
+    title: existing?.renamed ? existing.title : getConversationTitle(messages),
+    renamed: Boolean(existing?.renamed),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    messageCount: messages.length,
+  };
+  return writeJSON(INDEX_KEY, index);
+}
+
+/**
+ * Give a conversation a custom title. An empty title restores the derived one.
+ * @param {string} key - Conversation key
+ * @param {string} title
+ */
+export function renameConversation(key, title) {
+  const index = readIndex();
+  if (!index[key]) return;
+  const trimmed = title.trim();
+  index[key] = {
+    ...index[key],
+    title: trimmed || getConversationTitle(readJSON(messagesKey(key), [])),
+    renamed: Boolean(trimmed),
+  };
+  writeJSON(INDEX_KEY, index);
+}
+
+/**
+ * Remove a conversation and its messages
+ * @param {string} key - Conversation key
+ */
+export function deleteConversation(key) {
+  const storage = getStorage();
+  if (!storage) return;
+  const index = readIndex();
+  if (index[key]) {
+    delete index[key];
+    writeJSON(INDEX_KEY, index);
+  }
+  storage.removeItem(messagesKey(key));
+}
+
+/**
+ * Download a conversation, including thinking logs, as a JSON document
+ * @param {ConversationSummary} conversation
+ * @param {string} agentName - Included in the document and the file name
+ */
+export function exportConversation(conversation, agentName) {
+  const exportDocument = {
+    kind: CHAT_EXPORT_KIND,
+    version: CHAT_EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    conversation: {
+      title: conversation.title,
+      agent_id: conversation.agentId,
+      agent_name: agentName || null,
+      session_id: conversation.sessionId || null,
+      created_at: conversation.createdAt,
+      updated_at: conversation.updatedAt,
+      messages: readJSON(messagesKey(conversation.key), []),
+    },
+  };
+  downloadFile(
+    `chat-${toFileSlug(agentName || conversation.agentId)}-${toFileSlug(conversation.title)}.json`,
+    JSON.stringify(exportDocument, null, 2),
+    'application/json',
+  );
+}
@@ -67,3 +67,24 @@ export const WORKFLOW_PATTERNS = [
   { value: 'conditional', label: 'Conditional' },
 ];
 
+
+// Edge condition types for conditional workflows
+export const CONDITION_TYPES = [
+  { value: 'output_contains', label: 'Previous output contains' },
+  { value: 'output_not_contains', label: 'Previous output does not contain' },
+  { value: 'output_equals', label: 'Previous output equals' },
+  { value: 'jsonpath', label: 'JSONPath comparison' },
+];
+
+// Comparison operators for JSONPath conditions
+export const CONDITION_OPERATORS = ['==', '!=', '>', '>=', '<', '<=', 'contains'];
+
+// Value types for workflow inputs (same as tool config field types)
+export const WORKFLOW_INPUT_TYPES = [
+  { value: 'string', label: 'Text' },
+  { value: 'integer', label: 'Integer' },
+  { value: 'number', label: 'Number' },
+  { value: 'boolean', label: 'Boolean' },
+  { value: 'object', label: 'JSON object' },
+  { value: 'array', label: 'JSON array' },
+];
@@ -0,0 +1,31 @@
+/**
+ * Trigger a browser download for in-memory content
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type used when content is not already a Blob
+ */
+export function downloadFile(filename, content, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn arbitrary text into a safe file name fragment
+ * @param {string} value
+ * @returns {string}
+ */
+export function toFileSlug(value) {
+  const slug = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'untitled';
+}
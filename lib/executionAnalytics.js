@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Aggregate statistics over workflow executions
+ *
+ * Everything is computed client-side from listExecutions records: success
+ * rates and duration percentiles per workflow, error messages grouped by
+ * similarity, and step failures per agent.
+ *
+ * @module executionAnalytics
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ANALYTICS_WINDOWS = [
+  { value: '24h', label: 'Last 24 hours', ms: 24 * HOUR_MS },
+  { value: '7d', label: 'Last 7 days', ms: 7 * 24 * HOUR_MS },
+  { value: '30d', label: 'Last 30 days', ms: 30 * 24 * HOUR_MS },
+  { value: '90d', label: 'Last 90 days', ms: 90 * 24 * HOUR_MS },
+];
+
+// Upper bound on the executions fetched for one window, to keep the page responsive
+export const MAX_ANALYZED_EXECUTIONS = 1000;
+
+const MAX_ERROR_SIGNATURE_LENGTH = 160;
+
+/**
+ * Start of a time window as an ISO timestamp
+ * @param {string} windowValue - ANALYTICS_WINDOWS value
+ * @param {number} now - Epoch ms
+ * @returns {string}
+ */
+export function getWindowStart(windowValue, now) {
+  const window = ANALYTICS_WINDOWS.find(w => w.value === windowValue) || ANALYTICS_WINDOWS[1];
+  return new Date(now - window.ms).toISOString();
+}
+
+/**
+ * Whether an execution was created at or after the start of a time window
+ * @param {Object} execution
+ * @param {string} windowStart - ISO timestamp from getWindowStart
+ * @returns {boolean}
+ */
+export function isInWindow(execution, windowStart) {
+  const created = Date.parse(execution.created_at);
+  return Number.isFinite(created) && created >= Date.parse(windowStart);
+}
+
+/**
+ * Run time of a finished execution in ms
+ * @param {Object} execution
+ * @returns {number|null}
+ */
+export function getExecutionDuration(execution) {
+  const started = Date.parse(execution.started_at || execution.created_at);
+  const completed = Date.parse(execution.completed_at);
+  if (!Number.isFinite(started) || !Number.isFinite(completed) || completed < started) return null;
+  return completed - started;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values
+ * @param {number} p - Between 0 and 100
+ * @returns {number|null}
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Similarity key of an error message: IDs, numbers and quoted values are
+ * replaced by placeholders so messages differing only in them group together
+ * @param {string} message
+ * @returns {string}
+ */
+export function getErrorSignature(message) {
+  return String(message || 'Unknown error')
+    .toLowerCase()
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<id>')
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/(["'`])(?:(?!\1).)*\1/g, '<value>')
+    .replace(/\b0x[0-9a-f]+\b/g, '<n>')
+    .replace(/\d+(\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_ERROR_SIGNATURE_LENGTH);
+}
+
+/**
+ * Success rate and duration percentiles of each workflow
+ * @param {Array<Object>} executions
+ * @param {Array<Object>} workflows - To name the workflows
+ * @returns {Array<Object>} Sorted by number of executions
+ */
+export function summarizeWorkflows(executions, workflows = []) {
+  const byWorkflow = new Map();
+  executions.forEach((execution) => {
+    const list = byWorkflow.get(execution.workflow_id) || [];
+    list.push(execution);
+    byWorkflow.set(execution.workflow_id, list);
+  });
+
+  return [...byWorkflow.entries()].map(([workflowId, runs]) => {
+    const count = (status) => runs.filter(run => run.status === status).length;
+    const completed = count('completed');
+    const failed = count('failed');
+    const finished = completed + failed;
+    const durations = runs.filter(run => run.status === 'completed').map(getExecutionDuration).filter(d => d !== null);
+    return {
+      workflowId,
+      name: workflows.find(w => w.id === workflowId)?.name || workflowId,
+      total: runs.length,
+      completed,
+      failed,
+      cancelled: count('cancelled'),
+      successRate: finished > 0 ? completed / finished : null,
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95),
+    };
+  }).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Most frequent error messages, from execution errors and failed steps
+ * @param {Array<Object>} executions
+ * @param {number} limit
+ * @returns {Array<{signature: string, example: string, count: number, workflowIds: Array<string>}>}
+ */
+export function groupErrors(executions, limit = 10) {
+  const groups = new Map();
+  const add = (message, workflowId) => {
+    const signature = getErrorSignature(message);
+    const group = groups.get(signature) || { signature, example: String(message), count: 0, workflowIds: [] };
+    group.count += 1;
+    if (!group.workflowIds.includes(workflowId)) group.workflowIds.push(workflowId);
+    groups.set(signature, group);
+  };
+
+  executions.forEach((execution) => {
+    const errors = execution.errors || [];
+    errors.forEach(error => add(error, execution.workflow_id));
+    // Step errors usually repeat in `errors`; count them only when the execution has none
+    if (errors.length === 0) {
+      (execution.step_results || []).filter(step => step.error).forEach(step => add(step.error, execution.workflow_id));
+    }
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+/**
+ * Step runs and failures of each agent
+ * @param {Array<Object>} executions
+ * @returns {Array<{agent: string, steps: number, failed: number, failureRate: number}>} Sorted by failures
+ */
+export function summarizeAgentFailures(executions) {
+  const byAgent = new Map();
+  executions.forEach((execution) => {
+    (execution.step_results || []).forEach((step) => {
+      const agent = step.agent || 'Unknown Agent';
+      const entry = byAgent.get(agent) || { agent, steps: 0, failed: 0 };
+      entry.steps += 1;
+      // Steps without a success flag are still running or were never reported
+      if (step.success === false || step.error) entry.failed += 1;
+      byAgent.set(agent, entry);
+    });
+  });
+  return [...byAgent.values()]
+    .map(entry => ({ ...entry, failureRate: entry.failed / entry.steps }))
+    .sort((a, b) => b.failed - a.failed || b.steps - a.steps);
+}
+
+/**
+ * All statistics shown on the analytics page
+ * @param {Array<Object>} executions
+ * @param {Array<Object>} workflows
+ * @returns {Object}
+ */
+export function buildExecutionAnalytics(executions, workflows) {
+  const completed = executions.filter(e => e.status === 'completed').length;
+  const failed = executions.filter(e => e.status === 'failed').length;
+  const durations = executions.filter(e => e.status === 'completed').map(getExecutionDuration).filter(d => d !== null);
+  return {
+    totals: {
+      executions: executions.length,
+      completed,
+      failed,
+      successRate: completed + failed > 0 ? completed / (completed + failed) : null,
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95),
+    },
+    workflows: summarizeWorkflows(executions, workflows),
+    errors: groupErrors(executions),
+    agents: summarizeAgentFailures(executions),
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Progress of an action applied to several executions
+ *
+ * Items run one after another so the backend is not flooded and the progress
+ * list fills in order. The progress object is immutable so it can live in
+ * React state.
+ *
+ * @module executionBulkActions
+ */
+
+export const BULK_ACTIONS = {
+  CANCEL: 'cancel',
+  RERUN: 'rerun',
+  EXPORT: 'export',
+};
+
+export const BULK_ACTION_LABELS = {
+  [BULK_ACTIONS.CANCEL]: 'Cancel',
+  [BULK_ACTIONS.RERUN]: 'Re-run',
+  [BULK_ACTIONS.EXPORT]: 'Export',
+};
+
+export const BULK_ITEM_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * @typedef {Object} BulkProgress
+ * @property {string} action - One of BULK_ACTIONS
+ * @property {boolean} finished
+ * @property {string|null} error - Failure of the action as a whole once its items ran, e.g. the export download
+ * @property {Array<{id: string, status: string, error: string|null, result: *}>} items
+ */
+
+/**
+ * Progress of an action that has not started yet
+ * @param {string} action
+ * @param {Array<string>} ids - Execution IDs
+ * @returns {BulkProgress}
+ */
+export function createBulkProgress(action, ids) {
+  return {
+    action,
+    finished: false,
+    error: null,
+    items: ids.map(id => ({ id, status: BULK_ITEM_STATUS.PENDING, error: null, result: null })),
+  };
+}
+
+/**
+ * Progress with one item updated
+ * @param {BulkProgress} progress
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {BulkProgress}
+ */
+export function updateBulkItem(progress, id, changes) {
+  return {
+    ...progress,
+    items: progress.items.map(item => (item.id === id ? { ...item, ...changes } : item)),
+  };
+}
+
+/**
+ * Counts of items per status
+ * @param {BulkProgress} progress
+ * @returns {{total: number, done: number, failed: number, remaining: number}}
+ */
+export function getBulkSummary(progress) {
+  const count = (status) => progress.items.filter(item => item.status === status).length;
+  const done = count(BULK_ITEM_STATUS.DONE);
+  const failed = count(BULK_ITEM_STATUS.FAILED);
+  return { total: progress.items.length, done, failed, remaining: progress.items.length - done - failed };
+}
+
+/**
+ * Run an action on each execution in turn
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Array<string>} ids - Execution IDs
+ * @param {Function} runItem - Called with an ID; resolves to `{data, error}` like the API helpers
+ * @param {Function} onProgress - Called with every new BulkProgress
+ * @returns {Promise<BulkProgress>} Final progress
+ */
+export async function runBulkAction(action, ids, runItem, onProgress) {
+  let progress = createBulkProgress(action, ids);
+  onProgress(progress);
+
+  for (const id of ids) {
+    progress = updateBulkItem(progress, id, { status: BULK_ITEM_STATUS.RUNNING });
+    onProgress(progress);
+    let outcome;
+    try {
+      outcome = await runItem(id);
+    } catch (err) {
+      outcome = { error: err.message || 'Unexpected error' };
+    }
+    progress = updateBulkItem(progress, id, outcome?.error
+      ? { status: BULK_ITEM_STATUS.FAILED, error: outcome.error }
+      : { status: BULK_ITEM_STATUS.DONE, result: outcome?.data ?? null });
+    onProgress(progress);
+  }
+
+  progress = { ...progress, finished: true };
+  onProgress(progress);
+  return progress;
+}
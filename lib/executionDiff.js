@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Differences between two executions of the same workflow
+ *
+ * Text values (step outputs, errors) get a line-level diff; objects (context,
+ * results, JSON step outputs) get a structural diff listing the paths that
+ * were added, removed or changed.
+ *
+ * @module executionDiff
+ */
+
+export const DIFF_TYPES = {
+  SAME: 'same',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+};
+
+// Above this many line pairs the LCS table gets too large; both sides are shown whole instead
+const MAX_LINE_DIFF_CELLS = 1000000;
+
+/**
+ * @typedef {Object} LineDiff
+ * @property {string} type - DIFF_TYPES.SAME, ADDED or REMOVED
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} JSONDiff
+ * @property {string} path - Dotted path, e.g. `items[2].name`; empty for the root
+ * @property {string} type - DIFF_TYPES.ADDED, REMOVED or CHANGED
+ * @property {*} before
+ * @property {*} after
+ */
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Line-level diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<LineDiff>}
+ */
+export function diffLines(before, after) {
+  const a = toText(before) === '' ? [] : toText(before).split('\n');
+  const b = toText(after) === '' ? [] : toText(after).split('\n');
+
+  if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: DIFF_TYPES.REMOVED, text })),
+      ...b.map(text => ({ type: DIFF_TYPES.ADDED, text })),
+    ];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: DIFF_TYPES.SAME, text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: DIFF_TYPES.REMOVED, text: a[i] });
+      i += 1;
+    } else {
+      lines.push({ type: DIFF_TYPES.ADDED, text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach(text => lines.push({ type: DIFF_TYPES.REMOVED, text }));
+  b.slice(j).forEach(text => lines.push({ type: DIFF_TYPES.ADDED, text }));
+  return lines;
+}
+
+const joinPath = (path, key, isIndex) => {
+  if (isIndex) return `${path}[${key}]`;
+  return path ? `${path}.${key}` : String(key);
+};
+
+/**
+ * Structural diff of two JSON values
+ * @param {*} before
+ * @param {*} after
+ * @param {string} path - Path of the compared values
+ * @returns {Array<JSONDiff>}
+ */
+export function diffJSON(before, after, path = '') {
+  if (before === undefined && after === undefined) return [];
+  if (before === undefined) return [{ path, type: DIFF_TYPES.ADDED, before, after }];
+  if (after === undefined) return [{ path, type: DIFF_TYPES.REMOVED, before, after }];
+
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects = isPlainObject(before) && isPlainObject(after)
+    && !Array.isArray(before) && !Array.isArray(after);
+
+  if (bothArrays) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, index) => diffJSON(before[index], after[index], joinPath(path, index, true))).flat();
+  }
+  if (bothObjects) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffJSON(before[key], after[key], joinPath(path, key, false)));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, type: DIFF_TYPES.CHANGED, before, after }];
+}
+
+/**
+ * A value as JSON when it is an object or a string holding a JSON object or array
+ * @returns {*} Parsed value, or undefined when the value is plain text
+ */
+const asJSON = (value) => {
+  if (isPlainObject(value)) return value;
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Diff of one value: structural when both sides are JSON, line-level otherwise
+ * @param {*} before
+ * @param {*} after
+ * @returns {{kind: 'json', changes: Array<JSONDiff>, changed: boolean}|{kind: 'text', lines: Array<LineDiff>, changed: boolean}}
+ */
+export function diffValues(before, after) {
+  const beforeJSON = asJSON(before);
+  const afterJSON = asJSON(after);
+  if (beforeJSON !== undefined && afterJSON !== undefined) {
+    const changes = diffJSON(beforeJSON, afterJSON);
+    return { kind: 'json', changes, changed: changes.length > 0 };
+  }
+  const lines = diffLines(before, after);
+  return { kind: 'text', lines, changed: lines.some(line => line.type !== DIFF_TYPES.SAME) };
+}
+
+const getStepNumber = (result, index) => result.step || index + 1;
+
+/**
+ * Differences between two execution records, step by step
+ * @param {Object} left - Execution record from getExecution
+ * @param {Object} right - Execution record from getExecution
+ * @returns {{context: Array<JSONDiff>, steps: Array<Object>, results: Object}}
+ */
+export function diffExecutions(left, right) {
+  const leftSteps = new Map((left.step_results || []).map((r, i) => [getStepNumber(r, i), r]));
+  const rightSteps = new Map((right.step_results || []).map((r, i) => [getStepNumber(r, i), r]));
+  const stepNumbers = [...new Set([...leftSteps.keys(), ...rightSteps.keys()])].sort((a, b) => a - b);
+
+  const steps = stepNumbers.map((step) => {
+    const before = leftSteps.get(step);
+    const after = rightSteps.get(step);
+    const output = diffValues(before?.output, after?.output);
+    const error = diffLines(before?.error, after?.error);
+    const errorChanged = error.some(line => line.type !== DIFF_TYPES.SAME);
+    return {
+      step,
+      agent: after?.agent || before?.agent || 'Unknown Agent',
+      status: [before, after].map(result => (result ? (result.success ? 'success' : 'failed') : 'missing')),
+      output,
+      error,
+      changed: !before || !after || before.success !== after.success || output.changed || errorChanged,
+    };
+  });
+
+  return {
+    context: diffJSON(left.context || {}, right.context || {}),
+    steps,
+    results: diffValues(left.results, right.results),
+  };
+}
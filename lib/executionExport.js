@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Shareable export bundle of a workflow execution
+ *
+ * The bundle is a ZIP archive holding:
+ * - manifest.json: what the bundle contains and when it was made
+ * - execution.json: the full execution record
+ * - step_results.json: the step results
+ * - logs.ndjson: one log entry per line
+ * - workflow.json: the workflow definition (the snapshot stored on the
+ *   execution when there is one, otherwise the definition at export time)
+ * - report.html: a static report that opens offline, without scripts
+ *
+ * Several executions can be exported together: each bundle then goes into a
+ * folder named after its execution ID.
+ *
+ * @module executionExport
+ */
+
+import { createZip } from './zip';
+import { downloadFile, toFileSlug } from './download';
+
+export const EXECUTION_EXPORT_KIND = 'dotagent-execution-bundle';
+export const EXECUTION_EXPORT_VERSION = 1;
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toDisplayText = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+const REPORT_STYLES = `
+  body { font-family: system-ui, sans-serif; background: #FFF8DC; color: #000; margin: 0; padding: 24px; }
+  h1, h2 { font-weight: 900; margin: 0 0 12px; }
+  section { background: #fff; border: 4px solid #000; box-shadow: 4px 4px 0 #000; padding: 16px; margin-bottom: 20px; }
+  pre { background: #FFF8DC; border: 2px solid #000; padding: 8px; overflow: auto; white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 2px solid #000; padding: 4px 8px; text-align: left; vertical-align: top; }
+  .badge { display: inline-block; border: 2px solid #000; padding: 2px 8px; font-weight: 700; text-transform: uppercase; }
+  .completed, .success, .info { background: #90EE90; }
+  .failed, .error { background: #FFB6C1; }
+  .running, .warning { background: #87CEEB; }
+  .pending { background: #FFD700; }
+  .step { border: 2px solid #000; padding: 8px; margin-bottom: 12px; }
+`;
+
+const renderJSONSection = (title, value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && Object.keys(value).length === 0) return '';
+  return `<section><h2>${escapeHTML(title)}</h2><pre>${escapeHTML(toDisplayText(value))}</pre></section>`;
+};
+
+/**
+ * Static HTML report of an execution
+ * @param {Object} execution - Execution record from getExecution
+ * @param {Object|null} workflow - Workflow definition
+ * @param {string} exportedAt - ISO timestamp
+ * @returns {string}
+ */
+export function buildExecutionReport(execution, workflow, exportedAt) {
+  const workflowName = workflow?.name || execution.workflow_id;
+  const info = [
+    ['Execution', execution.id],
+    ['Workflow', `${workflowName}${workflow?.pattern ? ` (${workflow.pattern})` : ''}`],
+    ['Created', execution.created_at],
+    ['Started', execution.started_at],
+    ['Completed', execution.completed_at],
+    ['Exported', exportedAt],
+  ].filter(([, value]) => value);
+
+  const steps = (execution.step_results || []).map((step, index) => `
+    <div class="step">
+      <strong>Step ${escapeHTML(step.step || index + 1)}: ${escapeHTML(step.agent || 'Unknown Agent')}</strong>
+      <span class="badge ${step.success ? 'success' : 'failed'}">${step.success ? 'success' : 'failed'}</span>
+      ${step.task ? `<p>Task: ${escapeHTML(step.task)}</p>` : ''}
+      ${step.output !== undefined && step.output !== null ? `<p><strong>Output</strong></p><pre>${escapeHTML(toDisplayText(step.output))}</pre>` : ''}
+      ${step.error ? `<p><strong>Error</strong></p><pre>${escapeHTML(step.error)}</pre>` : ''}
+    </div>`).join('');
+
+  const logs = (execution.logs || []).map(log => `
+    <tr>
+      <td>${escapeHTML(log.timestamp || '')}</td>
+      <td><span class="badge ${escapeHTML(log.level || 'info')}">${escapeHTML(log.level || 'info')}</span></td>
+      <td>${escapeHTML(log.message)}${log.metadata && Object.keys(log.metadata).length > 0 ? `<pre>${escapeHTML(JSON.stringify(log.metadata, null, 2))}</pre>` : ''}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Execution ${escapeHTML(execution.id)} · ${escapeHTML(workflowName)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(workflowName)} <span class="badge ${escapeHTML(execution.status)}">${escapeHTML(execution.status)}</span></h1>
+<section><table>${info.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHTML(value)}</td></tr>`).join('')}</table></section>
+${(execution.errors || []).length > 0 ? `<section><h2>Errors</h2>${execution.errors.map(error => `<pre>${escapeHTML(error)}</pre>`).join('')}</section>` : ''}
+${renderJSONSection('Context', execution.context)}
+${steps ? `<section><h2>Step Results</h2>${steps}</section>` : ''}
+${renderJSONSection('Results', execution.results)}
+${logs ? `<section><h2>Logs</h2><table><tr><th>Time</th><th>Level</th><th>Message</th></tr>${logs}</table></section>` : ''}
+${renderJSONSection('Metadata', execution.metadata)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Files of the export bundle
+ * @param {Object} execution - Execution record from getExecution
+ * @param {Object|null} currentWorkflow - Workflow as returned by getWorkflow, used
+ *   when the execution carries no snapshot of its workflow
+ * @param {string} exportedAt - ISO timestamp
+ * @returns {Array<{name: string, content: string}>}
+ */
+export function buildExecutionBundle(execution, currentWorkflow, exportedAt = new Date().toISOString()) {
+  const snapshot = execution.workflow_snapshot || null;
+  const workflow = snapshot || currentWorkflow || null;
+  const manifest = {
+    kind: EXECUTION_EXPORT_KIND,
+    version: EXECUTION_EXPORT_VERSION,
+    exported_at: exportedAt,
+    execution_id: execution.id,
+    workflow_id: execution.workflow_id,
+    // 'snapshot': stored with the execution; 'current': fetched at export time
+    workflow_source: snapshot ? 'snapshot' : (currentWorkflow ? 'current' : 'missing'),
+    files: ['execution.json', 'step_results.json', 'logs.ndjson', 'workflow.json', 'report.html'],
+  };
+
+  return [
+    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+    { name: 'execution.json', content: JSON.stringify(execution, null, 2) },
+    { name: 'step_results.json', content: JSON.stringify(execution.step_results || [], null, 2) },
+    { name: 'logs.ndjson', content: (execution.logs || []).map(log => JSON.stringify(log)).join('\n') },
+    { name: 'workflow.json', content: JSON.stringify(workflow, null, 2) },
+    { name: 'report.html', content: buildExecutionReport(execution, workflow, exportedAt) },
+  ];
+}
+
+/**
+ * Download the export bundle of an execution as a ZIP file
+ * @param {Object} execution - Execution record from getExecution
+ * @param {Object|null} currentWorkflow - Workflow as returned by getWorkflow
+ */
+export function downloadExecutionBundle(execution, currentWorkflow) {
+  const exportedAt = new Date();
+  const files = buildExecutionBundle(execution, currentWorkflow, exportedAt.toISOString());
+  const slug = toFileSlug(currentWorkflow?.name || 'workflow');
+  downloadFile(
+    `execution-${slug}-${String(execution.id).substring(0, 8)}.zip`,
+    createZip(files, exportedAt),
+    'application/zip',
+  );
+}
+
+/**
+ * Download the export bundles of several executions as one ZIP file
+ * @param {Array<{execution: Object, workflow: Object|null}>} entries - Execution
+ *   records with the workflow as returned by getWorkflow
+ */
+export function downloadExecutionBundles(entries) {
+  const exportedAt = new Date();
+  const files = entries.flatMap(({ execution, workflow }) => (
+    buildExecutionBundle(execution, workflow, exportedAt.toISOString())
+      .map(file => ({ ...file, name: `${execution.id}/${file.name}` }))
+  ));
+  downloadFile(
+    `executions-${exportedAt.toISOString().slice(0, 10)}.zip`,
+    createZip(files, exportedAt),
+    'application/zip',
+  );
+}
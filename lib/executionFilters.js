@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Filters and pagination of the execution log
+ *
+ * The filters live in the URL query of /workflows/executions so a filtered
+ * view can be bookmarked. Dates are kept as YYYY-MM-DD in the URL and turned
+ * into a created_at range for the API.
+ *
+ * @module executionFilters
+ */
+
+export const EXECUTION_PAGE_SIZES = [25, 50, 100];
+
+export const DEFAULT_EXECUTION_FILTERS = {
+  workflow: '',
+  status: '',
+  from: '', // YYYY-MM-DD
+  to: '', // YYYY-MM-DD
+  q: '',
+  page: 1,
+  pageSize: EXECUTION_PAGE_SIZES[0],
+};
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+/**
+ * Filters from a URL query
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters shaped like DEFAULT_EXECUTION_FILTERS
+ */
+export function parseExecutionFilters(searchParams) {
+  const get = (key) => searchParams.get(key) || '';
+  const pageSize = toPositiveInt(get('pageSize'), DEFAULT_EXECUTION_FILTERS.pageSize);
+  return {
+    workflow: get('workflow'),
+    status: get('status'),
+    from: isDateString(get('from')) ? get('from') : '',
+    to: isDateString(get('to')) ? get('to') : '',
+    q: get('q'),
+    page: toPositiveInt(get('page'), 1),
+    pageSize: EXECUTION_PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_EXECUTION_FILTERS.pageSize,
+  };
+}
+
+/**
+ * URL query of a set of filters; defaults are left out to keep links short
+ * @param {Object} filters
+ * @returns {string} Query string without the leading '?'
+ */
+export function toExecutionFilterQuery(filters) {
+  const params = new URLSearchParams();
+  Object.entries(DEFAULT_EXECUTION_FILTERS).forEach(([key, defaultValue]) => {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '' && value !== defaultValue) {
+      params.set(key, String(value));
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * Arguments for listExecutions: the date range covers whole local days
+ * @param {Object} filters
+ * @returns {{skip: number, limit: number, workflowId: string|null, status: string|null, options: Object}}
+ */
+export function getExecutionListRequest(filters) {
+  return {
+    skip: (filters.page - 1) * filters.pageSize,
+    limit: filters.pageSize,
+    workflowId: filters.workflow || null,
+    status: filters.status || null,
+    options: {
+      createdAfter: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : null,
+      createdBefore: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : null,
+      search: filters.q.trim() || null,
+    },
+  };
+}
+
+/**
+ * Number of pages for a total count, at least 1
+ * @param {number} total
+ * @param {number} pageSize
+ * @returns {number}
+ */
+export function getPageCount(total, pageSize) {
+  return Math.max(1, Math.ceil((total || 0) / pageSize));
+}
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Live execution state of workflow steps, for the canvas overlay
+ *
+ * Maps the events of an SSE workflow run (agent_starting, agent_completed,
+ * agent_failed, step_progress and the agent log events) back onto the canvas
+ * nodes that produced them. Step `i` of the workflow is node `stepNodeIds[i]`,
+ * taken from the saved workflow that runs (see getStepNodeIds): the canvas may
+ * have been edited since it was saved. Steps without a node on the canvas are
+ * not shown.
+ *
+ * The overlay is immutable: every update returns a new object so it can live in
+ * React state.
+ *
+ * @module executionOverlay
+ */
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+export const STEP_STATUS_COLORS = {
+  pending: '#FFFFFF',
+  running: '#FFD700',
+  succeeded: '#90EE90',
+  failed: '#FFB6C1',
+};
+
+// Events about the whole run rather than a single step
+const WORKFLOW_EVENTS = ['workflow_started', 'workflow_completed', 'workflow_failed', 'error'];
+
+/**
+ * @typedef {Object} StepRunState
+ * @property {string} status - One of STEP_STATUS
+ * @property {number|null} startedAt - Epoch ms when the step started running
+ * @property {number|null} finishedAt - Epoch ms when the step finished
+ * @property {*} output - Step output, once known
+ * @property {string|null} error - Step error, once known
+ * @property {Array<{eventType: string, data: Object, timestamp: string}>} events - Events of the step
+ */
+
+/**
+ * Canvas node of each step of a saved workflow. The saved visual data lists
+ * nodes in step order; without it the canvas order is assumed.
+ * @param {Object} workflow - Workflow as returned by getWorkflow
+ * @param {Array<Object>} nodes - Canvas nodes
+ * @returns {Array<string|null>} Node ID per step, null when the node is no longer on the canvas
+ */
+export function getStepNodeIds(workflow, nodes) {
+  const savedNodes = workflow?.visual_data?.nodes || [];
+  const stepCount = workflow?.steps?.length ?? nodes.length;
+  const orderedIds = savedNodes.length > 0 ? savedNodes.map(node => node.id) : nodes.map(node => node.id);
+  const canvasIds = new Set(nodes.map(node => node.id));
+  return Array.from({ length: stepCount }, (_, index) => (
+    canvasIds.has(orderedIds[index]) ? orderedIds[index] : null
+  ));
+}
+
+/**
+ * Start an overlay where every step is pending
+ * @param {Array<string|null>} stepNodeIds - Node ID of each step, in step order (see getStepNodeIds)
+ * @returns {{ stepNodeIds: Array<string|null>, steps: Object<string, StepRunState> }}
+ */
+export function createExecutionOverlay(stepNodeIds) {
+  return {
+    stepNodeIds,
+    steps: Object.fromEntries(stepNodeIds.filter(Boolean).map(nodeId => [nodeId, {
+      status: STEP_STATUS.PENDING,
+      startedAt: null,
+      finishedAt: null,
+      output: null,
+      error: null,
+      events: [],
+    }])),
+  };
+}
+
+const isFinished = (step) => step.status === STEP_STATUS.SUCCEEDED || step.status === STEP_STATUS.FAILED;
+
+const hasStepNumber = (data) => Number.isInteger(data.step_index) || Number(data.step) > 0;
+
+/**
+ * Node ID for a step number: `step_index` is 0-based, `step` is 1-based
+ */
+function nodeIdFromStepNumber(overlay, data) {
+  if (Number.isInteger(data.step_index)) {
+    return overlay.stepNodeIds[data.step_index] || null;
+  }
+  const step = Number(data.step);
+  if (Number.isInteger(step) && step > 0) {
+    return overlay.stepNodeIds[step - 1] || null;
+  }
+  return null;
+}
+
+/**
+ * Find the node an event belongs to: by step number, then by agent, then the
+ * only running step (agent log events usually carry nothing else)
+ * @param {Object} overlay
+ * @param {Array<Object>} nodes - Canvas nodes, to match agents
+ * @param {string} eventType
+ * @param {Object} data
+ * @returns {string|null}
+ */
+function resolveEventNodeId(overlay, nodes, eventType, data) {
+  // A step without a node on the canvas is skipped rather than guessed
+  if (hasStepNumber(data)) return nodeIdFromStepNumber(overlay, data);
+
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const stepEntries = overlay.stepNodeIds.filter(Boolean).map(nodeId => ({
+    nodeId,
+    node: nodesById.get(nodeId),
+    step: overlay.steps[nodeId],
+  }));
+
+  const agentName = data.agent_name || data.agent;
+  const matchesAgent = ({ node }) => node && (
+    (data.agent_id && node.data.agentId === data.agent_id)
+    || (!data.agent_id && agentName && node.data.agentName === agentName)
+  );
+
+  const candidates = stepEntries.filter(matchesAgent);
+  const running = stepEntries.filter(({ step }) => step.status === STEP_STATUS.RUNNING);
+
+  if (eventType === 'agent_starting') {
+    return candidates.find(({ step }) => step.status === STEP_STATUS.PENDING)?.nodeId
+      || candidates[0]?.nodeId
+      || null;
+  }
+
+  if (candidates.length > 0) {
+    return (candidates.find(({ step }) => step.status === STEP_STATUS.RUNNING) || candidates[0]).nodeId;
+  }
+
+  return running.length === 1 ? running[0].nodeId : null;
+}
+
+/**
+ * Shorten a step output for display on a node
+ * @param {*} output
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function getOutputPreview(output, maxLength = 120) {
+  if (output === null || output === undefined) return '';
+  const text = typeof output === 'string' ? output : JSON.stringify(output);
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Format a duration in milliseconds as "12.3s" or "2m 05s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatElapsed(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
+
+/**
+ * Apply one SSE event to the overlay
+ * @param {Object} overlay - Current overlay
+ * @param {Array<Object>} nodes - Canvas nodes, to match agents
+ * @param {string} eventType - SSE event type
+ * @param {Object} data - Event data
+ * @param {number} receivedAt - Epoch ms the event was received
+ * @returns {Object} New overlay
+ */
+export function applyExecutionEvent(overlay, nodes, eventType, data, receivedAt) {
+  if (WORKFLOW_EVENTS.includes(eventType)) {
+    if (eventType !== 'workflow_completed' && eventType !== 'workflow_failed') {
+      return overlay;
+    }
+    // Steps still running when the run ends finish with it
+    const finalStatus = eventType === 'workflow_completed' ? STEP_STATUS.SUCCEEDED : STEP_STATUS.FAILED;
+    const steps = Object.fromEntries(Object.entries(overlay.steps).map(([nodeId, step]) => [
+      nodeId,
+      step.status === STEP_STATUS.RUNNING ? { ...step, status: finalStatus, finishedAt: receivedAt } : step,
+    ]));
+    return { ...overlay, steps };
+  }
+
+  const nodeId = resolveEventNodeId(overlay, nodes, eventType, data);
+  if (!nodeId) return overlay;
+
+  const current = overlay.steps[nodeId];
+  const step = {
+    ...current,
+    events: [...current.events, { eventType, data, timestamp: new Date(receivedAt).toISOString() }],
+  };
+
+  const markRunning = () => {
+    if (!isFinished(step) && step.status !== STEP_STATUS.RUNNING) {
+      step.status = STEP_STATUS.RUNNING;
+      step.startedAt = step.startedAt ?? receivedAt;
+    }
+  };
+
+  switch (eventType) {
+    case 'agent_completed':
+      step.status = STEP_STATUS.SUCCEEDED;
+      step.startedAt = step.startedAt ?? receivedAt;
+      step.finishedAt = receivedAt;
+      step.output = data.output ?? data.result ?? data.content ?? step.output;
+      break;
+    case 'agent_failed':
+      step.status = STEP_STATUS.FAILED;
+      step.startedAt = step.startedAt ?? receivedAt;
+      step.finishedAt = receivedAt;
+      step.error = data.error || 'Step failed';
+      break;
+    case 'agent_final_answer':
+    case 'final_answer':
+      markRunning();
+      step.output = step.output ?? data.content;
+      break;
+    default:
+      // agent_starting, step_progress and agent log events all mean the step is running
+      markRunning();
+  }
+
+  return { ...overlay, steps: { ...overlay.steps, [nodeId]: step } };
+}
+
+/**
+ * Reconcile the overlay with the step results of a finished or polled execution
+ * @param {Object} overlay - Current overlay
+ * @param {Array<Object>|null} stepResults - `step_results` of the execution, null while it is pending
+ * @returns {Object} New overlay
+ */
+export function applyStepResults(overlay, stepResults) {
+  const steps = { ...overlay.steps };
+  (stepResults || []).forEach((result, index) => {
+    const nodeId = hasStepNumber(result) ? nodeIdFromStepNumber(overlay, result) : overlay.stepNodeIds[index];
+    if (!nodeId || !steps[nodeId]) return;
+    steps[nodeId] = {
+      ...steps[nodeId],
+      status: result.success ? STEP_STATUS.SUCCEEDED : STEP_STATUS.FAILED,
+      output: result.output ?? steps[nodeId].output,
+      error: result.error || steps[nodeId].error,
+    };
+  });
+  return { ...overlay, steps };
+}
+
+/**
+ * Whether data is flowing through an edge: its source has finished and its
+ * target is running
+ * @param {Object} overlay
+ * @param {Object} edge
+ * @returns {boolean}
+ */
+export function isEdgeFlowing(overlay, edge) {
+  const source = overlay.steps[edge.source];
+  const target = overlay.steps[edge.target];
+  return Boolean(source && target
+    && source.status === STEP_STATUS.SUCCEEDED
+    && target.status === STEP_STATUS.RUNNING);
+}
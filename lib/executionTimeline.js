@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Gantt-style timeline of the steps of a workflow execution
+ *
+ * Each step gets a queued, started and finished time, taken from its step
+ * result (`queued_at`, `started_at`, `completed_at`, `duration_ms`) or, when
+ * missing there, from the step events in the execution logs
+ * (agent_queued / agent_starting / agent_completed / agent_failed).
+ *
+ * The critical path is derived from the observed timing: starting from the
+ * step that finished last, each step is preceded by the step that finished
+ * last before it was queued (or started).
+ *
+ * @module executionTimeline
+ */
+
+const QUEUED_EVENTS = ['agent_queued', 'step_queued'];
+const STARTED_EVENTS = ['agent_starting', 'agent_started', 'step_started'];
+const FINISHED_EVENTS = ['agent_completed', 'agent_failed', 'step_completed', 'step_failed'];
+
+// Steps finishing this close to another step's start still count as its predecessor
+const CRITICAL_PATH_TOLERANCE_MS = 50;
+
+/**
+ * @typedef {Object} TimelineStep
+ * @property {number} step - 1-based step number
+ * @property {string} agent
+ * @property {boolean|null} success - null while the step has not finished
+ * @property {number} offset - ms from the start of the timeline to the start of the bar
+ * @property {number} queueMs - Time between being queued and starting, 0 when unknown
+ * @property {number} runMs - Time between starting and finishing (or the latest known time)
+ * @property {boolean} running - Whether the step has started but not finished
+ * @property {boolean} critical - Whether the step is on the critical path
+ */
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * 1-based step number of a log entry, if it carries one
+ */
+const getLogStepNumber = (log) => {
+  const metadata = log.metadata || {};
+  if (Number.isInteger(metadata.step_index)) return metadata.step_index + 1;
+  const step = Number(metadata.step);
+  return Number.isInteger(step) && step > 0 ? step : null;
+};
+
+/**
+ * Queued, started and finished times of each step found in the logs
+ * @returns {Map<number, {queuedAt: number|null, startedAt: number|null, finishedAt: number|null, failed: boolean, agent: string|null}>}
+ */
+function collectLogTimes(logs = []) {
+  const times = new Map();
+  logs.forEach((log) => {
+    const step = getLogStepNumber(log);
+    const time = toTime(log.timestamp);
+    const event = log.metadata?.event;
+    if (step === null || time === null || !event) return;
+
+    const entry = times.get(step) || { queuedAt: null, startedAt: null, finishedAt: null, failed: false, agent: null };
+    if (QUEUED_EVENTS.includes(event)) entry.queuedAt = entry.queuedAt ?? time;
+    if (STARTED_EVENTS.includes(event)) entry.startedAt = entry.startedAt ?? time;
+    if (FINISHED_EVENTS.includes(event)) {
+      entry.finishedAt = time;
+      entry.failed = event.endsWith('_failed');
+    }
+    entry.agent = entry.agent || log.metadata.agent || null;
+    times.set(step, entry);
+  });
+  return times;
+}
+
+/**
+ * Mark the steps on the critical path of a list of timed steps
+ */
+function markCriticalPath(steps) {
+  const finished = steps.filter(step => step.finishedAt !== null);
+  if (finished.length === 0) return;
+
+  let current = finished.reduce((last, step) => (step.finishedAt > last.finishedAt ? step : last));
+  while (current) {
+    current.critical = true;
+    const readyAt = current.queuedAt ?? current.startedAt;
+    current = finished
+      .filter(step => !step.critical && step.finishedAt <= readyAt + CRITICAL_PATH_TOLERANCE_MS)
+      .reduce((last, step) => (!last || step.finishedAt > last.finishedAt ? step : last), null);
+  }
+}
+
+/**
+ * Timeline of an execution's steps; steps without a known start are left out.
+ * Steps still running end at the completion of the execution or, while it
+ * runs, at its latest log entry.
+ * @param {Object} execution - Execution record from getExecution
+ * @returns {{steps: Array<TimelineStep>, total: number}|null} null when no step has timing
+ */
+export function buildExecutionTimeline(execution) {
+  const logTimes = collectLogTimes(execution?.logs);
+  const stepNumbers = new Set([
+    ...(execution?.step_results || []).map((result, index) => result.step || index + 1),
+    ...logTimes.keys(),
+  ]);
+
+  const steps = [...stepNumbers].sort((a, b) => a - b).map((stepNumber) => {
+    const result = (execution.step_results || []).find((r, index) => (r.step || index + 1) === stepNumber) || {};
+    const fromLogs = logTimes.get(stepNumber) || {};
+    const finishedAt = toTime(result.completed_at ?? result.finished_at) ?? fromLogs.finishedAt ?? null;
+    let startedAt = toTime(result.started_at) ?? fromLogs.startedAt ?? null;
+    if (startedAt === null && finishedAt !== null && Number.isFinite(result.duration_ms)) {
+      startedAt = finishedAt - result.duration_ms;
+    }
+    const queuedAt = toTime(result.queued_at) ?? fromLogs.queuedAt ?? null;
+
+    return {
+      step: stepNumber,
+      agent: result.agent || fromLogs.agent || 'Unknown Agent',
+      success: result.success ?? (fromLogs.finishedAt ? !fromLogs.failed : null),
+      queuedAt: queuedAt !== null && startedAt !== null && queuedAt <= startedAt ? queuedAt : null,
+      startedAt,
+      finishedAt,
+      critical: false,
+    };
+  }).filter(step => step.startedAt !== null);
+
+  if (steps.length === 0) return null;
+
+  const start = Math.min(...steps.map(step => step.queuedAt ?? step.startedAt));
+  const latestKnown = toTime(execution.completed_at)
+    ?? Math.max(0, ...(execution.logs || []).map(log => toTime(log.timestamp) ?? 0));
+  const end = Math.max(...steps.map(step => step.finishedAt ?? Math.max(step.startedAt, latestKnown)));
+
+  markCriticalPath(steps);
+
+  return {
+    total: Math.max(end - start, 1),
+    steps: steps.map(({ queuedAt, startedAt, finishedAt, ...step }) => ({
+      ...step,
+      offset: (queuedAt ?? startedAt) - start,
+      queueMs: queuedAt !== null ? startedAt - queuedAt : 0,
+      runMs: (finishedAt ?? end) - startedAt,
+      running: finishedAt === null,
+    })),
+  };
+}
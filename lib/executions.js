@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Shared helpers for workflow execution records
+ *
+ * @module executions
+ */
+
+// Statuses of an execution that has not finished yet
+export const ACTIVE_EXECUTION_STATUSES = ['pending', 'running'];
+
+/**
+ * Whether an execution can still change (and can be cancelled)
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isExecutionActive(status) {
+  return ACTIVE_EXECUTION_STATUSES.includes(status);
+}
+
+/**
+ * Background color class for an execution status
+ * @param {string} status
+ * @returns {string}
+ */
+export function getExecutionStatusColor(status) {
+  switch (status) {
+    case 'completed':
+      return 'bg-[#90EE90]';
+    case 'running':
+      return 'bg-[#87CEEB]';
+    case 'failed':
+      return 'bg-[#FFB6C1]';
+    case 'cancelled':
+      return 'bg-[#D3D3D3]';
+    case 'pending':
+      return 'bg-[#FFD700]';
+    default:
+      return 'bg-[#FFF8DC]';
+  }
+}
+
+/**
+ * Local date and time, or 'N/A' when missing
+ * @param {string} dateString
+ * @returns {string}
+ */
+export function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleString();
+}
+
+/**
+ * Path of the page showing a single execution
+ * @param {string} executionId
+ * @returns {string}
+ */
+export function getExecutionPath(executionId) {
+  return `/workflows/executions/${executionId}`;
+}
+
+// Final status of an execution for each event that ends its stream
+const TERMINAL_EVENT_STATUSES = {
+  workflow_completed: 'completed',
+  workflow_failed: 'failed',
+  workflow_cancelled: 'cancelled',
+};
+
+/**
+ * Execution status an event moves the execution to
+ * @param {string} eventType
+ * @returns {string|null} null for events that do not change the status
+ */
+export function getExecutionEventStatus(eventType) {
+  if (eventType === 'workflow_started') return 'running';
+  return TERMINAL_EVENT_STATUSES[eventType] || null;
+}
+
+const getEventLogLevel = (eventType) => {
+  if (eventType === 'error' || eventType.endsWith('_failed')) return 'error';
+  if (eventType === 'reconnecting') return 'warning';
+  return 'info';
+};
+
+/**
+ * 1-based step number of a step event, if it carries one
+ */
+const getEventStepNumber = (data) => {
+  if (Number.isInteger(data.step_index)) return data.step_index + 1;
+  const step = Number(data.step);
+  return Number.isInteger(step) && step > 0 ? step : null;
+};
+
+/**
+ * Insert or replace the result of the step an event reports on
+ */
+function upsertStepResult(stepResults, eventType, data) {
+  const step = getEventStepNumber(data) ?? stepResults.length + 1;
+  const existing = stepResults.find(result => result.step === step) || {};
+  const result = {
+    ...existing,
+    step,
+    agent: data.agent_name || data.agent || existing.agent,
+    task: data.task ?? existing.task,
+    success: eventType === 'agent_completed',
+    output: data.output ?? data.result ?? data.content ?? existing.output,
+    error: eventType === 'agent_failed' ? data.error || 'Step failed' : existing.error,
+  };
+  return [...stepResults.filter(r => r.step !== step), result].sort((a, b) => a.step - b.step);
+}
+
+/**
+ * Fold one streamed event into an execution record: every event is appended
+ * to `logs`, finished steps update `step_results` and workflow events update
+ * the status
+ * @param {Object} execution - Execution record from getExecution
+ * @param {string} eventType - SSE event type
+ * @param {Object} data - Event data
+ * @param {number} receivedAt - Epoch ms the event was received
+ * @returns {Object} New execution record
+ */
+export function applyExecutionStreamEvent(execution, eventType, data, receivedAt) {
+  const timestamp = data.timestamp || new Date(receivedAt).toISOString();
+  const step = getEventStepNumber(data);
+  const next = {
+    ...execution,
+    logs: [...(execution.logs || []), {
+      timestamp,
+      level: getEventLogLevel(eventType),
+      message: data.error || data.message || data.content || eventType,
+      metadata: {
+        event: eventType,
+        ...(step !== null ? { step } : {}),
+        ...(data.agent_name ? { agent: data.agent_name } : {}),
+      },
+    }],
+  };
+
+  switch (eventType) {
+    case 'workflow_started':
+      next.status = getExecutionEventStatus(eventType);
+      next.started_at = next.started_at || timestamp;
+      break;
+    case 'agent_completed':
+    case 'agent_failed':
+      next.step_results = upsertStepResult(next.step_results || [], eventType, data);
+      break;
+    default:
+      if (isTerminalExecutionEvent(eventType)) {
+        next.status = getExecutionEventStatus(eventType);
+        next.completed_at = next.completed_at || timestamp;
+        if (data.results !== undefined) {
+          next.results = data.results;
+        }
+        if (data.error) {
+          next.errors = [...(next.errors || []), data.error];
+        }
+      }
+  }
+  return next;
+}
+
+/**
+ * Whether an event ends the execution
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+export function isTerminalExecutionEvent(eventType) {
+  return Boolean(TERMINAL_EVENT_STATUSES[eventType]);
+}
+
+// Patterns that run every step in a fixed order, so a failed run can skip the
+// steps it completed. Graph workflows are left out: conditional edges may skip
+// steps, so a completed prefix can belong to a branch the next run would not take.
+export const RESUMABLE_PATTERNS = ['sequential'];
+
+/**
+ * Results of the steps 1, 2, 3... that succeeded, up to the first failed or missing step
+ * @param {Object} execution - Execution record from getExecution
+ * @returns {Array<Object>}
+ */
+export function getCompletedStepResults(execution) {
+  const stepResults = [...(execution?.step_results || [])]
+    .sort((a, b) => (a.step ?? 0) - (b.step ?? 0));
+  const completed = [];
+  for (const result of stepResults) {
+    if (!result.success || Number(result.step) !== completed.length + 1) break;
+    completed.push(result);
+  }
+  return completed;
+}
+
+/**
+ * Whether a failed execution can be resumed from its failed step
+ * @param {Object} execution - Execution record from getExecution
+ * @param {string} pattern - Pattern of the executed workflow
+ * @returns {boolean}
+ */
+export function canResumeExecution(execution, pattern) {
+  return execution?.status === 'failed'
+    && RESUMABLE_PATTERNS.includes(pattern)
+    && getCompletedStepResults(execution).length > 0;
+}
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Validation and value handling for schema-driven form fields
+ *
+ * Shared by the tool configuration form and the workflow run dialog. Fields
+ * follow the ToolConfigField shape (see lib/toolSchemaTypes): type, required,
+ * default, enum, description.
+ *
+ * @module schemaFields
+ */
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate values against their field definitions
+ * @param {Object} values - Field values by name
+ * @param {Object<string, Object>} fields - Field definitions by name
+ * @returns {Object<string, string>} Error message by field name
+ */
+export function validateFieldValues(values, fields) {
+  const errors = {};
+
+  if (!fields) {
+    return errors;
+  }
+
+  Object.entries(fields).forEach(([fieldName, field]) => {
+    const value = values[fieldName];
+
+    // Check required fields
+    if (field.required && isEmpty(value)) {
+      errors[fieldName] = 'This field is required';
+      return;
+    }
+
+    // Skip validation if field is empty and not required
+    if (isEmpty(value)) {
+      return;
+    }
+
+    // Validate type
+    switch (field.type) {
+      case 'integer':
+        if (!Number.isInteger(Number(value)) && value !== '') {
+          errors[fieldName] = 'Must be an integer';
+        }
+        break;
+      case 'number':
+        if (isNaN(Number(value)) && value !== '') {
+          errors[fieldName] = 'Must be a number';
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean' && value !== 'true' && value !== 'false') {
+          errors[fieldName] = 'Must be a boolean';
+        }
+        break;
+      case 'object':
+        try {
+          if (typeof value === 'string') {
+            JSON.parse(value);
+          }
+        } catch (e) {
+          errors[fieldName] = 'Must be valid JSON';
+        }
+        break;
+      case 'array':
+        try {
+          if (typeof value === 'string') {
+            JSON.parse(value);
+          }
+        } catch (e) {
+          errors[fieldName] = 'Must be valid JSON array';
+        }
+        break;
+    }
+
+    // Validate enum
+    if (field.enum && field.enum.length > 0) {
+      if (!field.enum.includes(value)) {
+        errors[fieldName] = `Must be one of: ${field.enum.join(', ')}`;
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Convert a raw input value to the field's type. Invalid numbers stay strings
+ * so validation can report them; JSON fields stay strings for the editor.
+ * @param {Object} field - Field definition
+ * @param {*} value - Raw value from the input
+ * @returns {*}
+ */
+export function coerceFieldValue(field, value) {
+  let processedValue = value;
+
+  switch (field.type) {
+    case 'integer':
+      processedValue = value === '' ? '' : parseInt(value, 10);
+      if (isNaN(processedValue)) processedValue = value; // Keep string if invalid
+      break;
+    case 'number':
+      processedValue = value === '' ? '' : parseFloat(value);
+      if (isNaN(processedValue)) processedValue = value; // Keep string if invalid
+      break;
+    case 'boolean':
+      processedValue = value === 'true' || value === true;
+      break;
+    default:
+      processedValue = value;
+  }
+
+  // Enum options come from a <select> as strings; map back to the declared value
+  if (field.enum && field.enum.length > 0) {
+    const match = field.enum.find(option => String(option) === String(value));
+    if (match !== undefined) {
+      processedValue = match;
+    }
+  }
+
+  return processedValue;
+}
+
+/**
+ * Initial values: the field default when set, otherwise nothing
+ * @param {Object<string, Object>} fields - Field definitions by name
+ * @returns {Object}
+ */
+export function getFieldDefaults(fields) {
+  const defaults = {};
+  Object.entries(fields || {}).forEach(([fieldName, field]) => {
+    if (field.default !== undefined && field.default !== null) {
+      defaults[fieldName] = field.default;
+    }
+  });
+  return defaults;
+}
+
+/**
+ * Final values to submit: empty optional fields dropped and JSON fields parsed.
+ * Call after validateFieldValues has passed.
+ * @param {Object} values - Field values by name
+ * @param {Object<string, Object>} fields - Field definitions by name
+ * @returns {Object}
+ */
+export function finalizeFieldValues(values, fields) {
+  const result = {};
+  Object.entries(fields || {}).forEach(([fieldName, field]) => {
+    const value = values[fieldName];
+    if (isEmpty(value)) return;
+    if ((field.type === 'object' || field.type === 'array') && typeof value === 'string') {
+      result[fieldName] = JSON.parse(value);
+    } else if (field.type === 'boolean') {
+      result[fieldName] = value === true || value === 'true';
+    } else {
+      result[fieldName] = value;
+    }
+  });
+  return result;
+}
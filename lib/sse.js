@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Streaming client for Server-Sent Events over fetch
+ *
+ * The backend streams agent and workflow runs from POST endpoints, which the
+ * browser EventSource cannot call. This module reads those streams with fetch:
+ * - a parser following the SSE spec: `event:`, multi-line `data:`, `id:`,
+ *   `retry:` and comment lines, with lines and fields split across chunks
+ * - normalization of event payloads into `(eventType, data)` pairs
+ * - cancel through an AbortController signal
+ * - reconnect with `Last-Event-ID` when the network drops mid-stream
+ *
+ * @module sse
+ */
+
+// Default reconnection delay until the server sends `retry:`
+const DEFAULT_RETRY_MS = 1000;
+
+// Reconnect attempts after a dropped stream before giving up
+const DEFAULT_MAX_RECONNECTS = 3;
+
+// data.type values used by the gateway format instead of `event:` lines
+const DATA_TYPE_EVENTS = {
+  thought: 'thinking',
+  action: 'action',
+  action_input: 'action_input',
+  observation: 'observation',
+  final_answer: 'final_answer',
+};
+
+/**
+ * @typedef {Object} SSEMessage
+ * @property {string} event - Event type (`message` when no `event:` field was sent)
+ * @property {string} data - Data lines joined with "\n"
+ * @property {string} lastEventId - Last event ID seen on the stream
+ */
+
+/**
+ * Incremental SSE parser. Feed it decoded text as it arrives; it calls
+ * `onMessage` for every complete event and `onRetry` for `retry:` fields.
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - Called with each SSEMessage
+ * @param {Function} handlers.onRetry - Called with the reconnection delay in ms
+ * @returns {{ feed: Function, flush: Function, getLastEventId: Function }}
+ */
+export function createSSEParser({ onMessage, onRetry }) {
+  let buffer = '';
+  let eventType = '';
+  let dataLines = [];
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onMessage({ event: eventType || 'message', data: dataLines.join('\n'), lastEventId });
+    }
+    eventType = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return; // Comment / keep-alive
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value) && onRetry) {
+          onRetry(Number(value));
+        }
+        break;
+      default:
+        // Unknown fields are ignored
+    }
+  };
+
+  const feed = (text) => {
+    buffer += text;
+    let lineStart = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char !== '\n' && char !== '\r') continue;
+      // A trailing "\r" may be the first half of "\r\n" split across chunks
+      if (char === '\r' && i === buffer.length - 1) break;
+      processLine(buffer.slice(lineStart, i));
+      if (char === '\r' && buffer[i + 1] === '\n') i++;
+      lineStart = i + 1;
+    }
+    buffer = buffer.slice(lineStart);
+  };
+
+  // End of stream: complete a pending line and event the server did not terminate
+  const flush = () => {
+    if (buffer.length > 0) {
+      processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+    }
+    dispatch();
+  };
+
+  return { feed, flush, getLastEventId: () => lastEventId };
+}
+
+/**
+ * Turn a raw SSE message into the `(eventType, data)` pair used by the UI.
+ * The event type comes from `event:`, or from `data.type` in the gateway
+ * format; the text of the event is copied to `data.content`.
+ * @param {SSEMessage} message
+ * @returns {{ eventType: string, data: Object } | null} null for connection and non-JSON messages
+ */
+export function normalizeSSEMessage(message) {
+  const dataStr = message.data.trim();
+  if (!dataStr) return null;
+
+  // Handle non-JSON data (like "Connected" connection messages)
+  if (!dataStr.startsWith('{') && !dataStr.startsWith('[')) {
+    if (dataStr === 'Connected' || dataStr.toLowerCase().includes('connect')) {
+      console.log('[SSE] Connection established:', dataStr);
+    } else {
+      console.warn('[SSE] Skipping non-JSON data:', dataStr);
+    }
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(dataStr);
+  } catch (e) {
+    console.warn('[SSE] Failed to parse as JSON, skipping:', dataStr, e);
+    return null;
+  }
+
+  let eventType = message.event;
+  if (eventType === 'message' && data.type) {
+    eventType = DATA_TYPE_EVENTS[data.type] || data.type;
+  }
+  // action_input arrives as event:action with data.type="action_input"
+  if (eventType === 'action' && data.type === 'action_input') {
+    eventType = 'action_input';
+  }
+
+  const content = data.content || data.answer || data.message || data.thought || data.action || data.observation || '';
+
+  return {
+    eventType,
+    data: {
+      ...data,
+      content: content || data.content,
+      agent_id: data.agent_id,
+      agent_name: data.agent_name,
+      timestamp: data.timestamp,
+      type: data.type,
+      metadata: data.metadata,
+    },
+  };
+}
+
+/**
+ * Whether an error comes from aborting the stream
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+const createAbortError = () => {
+  const error = new Error('The stream was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// The abort listener is removed when the delay ends, so reconnects don't pile listeners on the signal
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Whether the stream failed because the connection was lost (as opposed to
+ * an HTTP error or an abort). Such errors carry the `lastEventId` to resume from.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isConnectionLostError(error) {
+  return error?.connectionLost === true;
+}
+
+const toConnectionLostError = (error, lastEventId) => {
+  error.connectionLost = true;
+  error.lastEventId = lastEventId || null;
+  return error;
+};
+
+/**
+ * Read an HTTP error body into an Error
+ */
+async function toResponseError(response) {
+  const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+  return new Error(errorData.detail || errorData.error || `HTTP ${response.status}`);
+}
+
+/**
+ * Stream an SSE endpoint and call `onEvent(eventType, data)` for each event.
+ *
+ * If the connection drops mid-stream after the server has sent event IDs, the
+ * request is repeated with a `Last-Event-ID` header so the server can resume.
+ * A `reconnecting` event is emitted before each attempt.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Endpoint URL
+ * @param {string} options.method - HTTP method (default POST)
+ * @param {Object} options.body - JSON request body
+ * @param {Object} options.headers - Extra request headers
+ * @param {AbortSignal} options.signal - Aborts the stream and any pending reconnect
+ * @param {Function} options.onEvent - Called with (eventType, data)
+ * @param {string} options.lastEventId - Event ID to resume after, sent as `Last-Event-ID`
+ * @param {number} options.maxReconnects - Reconnect attempts before failing
+ * @returns {Promise<{ lastEventId: string }>} Resolves when the server ends the stream;
+ *   rejects with an AbortError when aborted and a connection-lost error (see
+ *   isConnectionLostError) when reconnecting fails
+ */
+export async function streamSSE({
+  url,
+  method = 'POST',
+  body,
+  headers = {},
+  signal,
+  onEvent,
+  lastEventId: resumeFromId = '',
+  maxReconnects = DEFAULT_MAX_RECONNECTS,
+}) {
+  let retryMs = DEFAULT_RETRY_MS;
+  let lastEventId = resumeFromId;
+  let reconnects = 0;
+
+  while (true) {
+    if (signal?.aborted) throw createAbortError();
+
+    const parser = createSSEParser({
+      onMessage: (message) => {
+        const normalized = normalizeSSEMessage(message);
+        if (normalized && onEvent) {
+          try {
+            onEvent(normalized.eventType, normalized.data);
+          } catch (callbackError) {
+            console.error('[SSE] Error in onEvent callback:', callbackError);
+          }
+        }
+      },
+      onRetry: (ms) => {
+        retryMs = ms;
+      },
+    });
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          'Accept': 'text/event-stream',
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          ...headers,
+        },
+        credentials: 'include', // Include cookies in the request
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal,
+      });
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw createAbortError();
+      // A failed reconnect counts as an attempt; a failed first request is final
+      if (!lastEventId || reconnects >= maxReconnects) throw toConnectionLostError(error, lastEventId);
+      reconnects++;
+      onEvent?.('reconnecting', { attempt: reconnects, last_event_id: lastEventId });
+      await wait(retryMs, signal);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw await toResponseError(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.feed(decoder.decode(value, { stream: true }));
+        if (parser.getLastEventId()) {
+          lastEventId = parser.getLastEventId();
+          reconnects = 0;
+        }
+      }
+      parser.feed(decoder.decode());
+      parser.flush();
+      return { lastEventId: parser.getLastEventId() || lastEventId };
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw createAbortError();
+      // Without event IDs the server cannot resume, so a retry would restart the run
+      if (!lastEventId || reconnects >= maxReconnects) throw toConnectionLostError(error, lastEventId);
+      reconnects++;
+      onEvent?.('reconnecting', { attempt: reconnects, last_event_id: lastEventId });
+      await wait(retryMs, signal);
+    }
+  }
+}
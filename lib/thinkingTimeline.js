@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Timeline view of an agent's thinking logs
+ *
+ * ChatBot collects flat log entries (thought, action, action_input, observation,
+ * final_answer). The timeline groups each action with the action_input and
+ * observation that follow it into one tool call, and records the time between
+ * entries.
+ *
+ * @module thinkingTimeline
+ */
+
+export const TIMELINE_ENTRY_KINDS = {
+  THOUGHT: 'thought',
+  TOOL_CALL: 'tool_call',
+  FINAL_ANSWER: 'final_answer',
+};
+
+export const TIMELINE_FILTERS = [
+  { value: TIMELINE_ENTRY_KINDS.THOUGHT, label: '💭 Thoughts' },
+  { value: TIMELINE_ENTRY_KINDS.TOOL_CALL, label: '⚡ Tool calls' },
+  { value: TIMELINE_ENTRY_KINDS.FINAL_ANSWER, label: '✅ Final answer' },
+];
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} index - Position in the timeline
+ * @property {string} kind - One of TIMELINE_ENTRY_KINDS
+ * @property {string|null} timestamp - Timestamp of the first log of the entry
+ * @property {number|null} sincePrevious - ms since the previous timestamped entry
+ * @property {string} [content] - Thought or final answer text
+ * @property {string|null} [tool] - Tool name of a tool call
+ * @property {string} [action] - Action text of a tool call
+ * @property {*} [input] - Tool input
+ * @property {*} [output] - Tool observation
+ */
+
+const toTime = (timestamp) => {
+  if (timestamp === undefined || timestamp === null || timestamp === '') return null;
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Group thinking logs into timeline entries
+ * @param {Array<Object>} logs - ChatBot thinking logs
+ * @returns {Array<TimelineEntry>}
+ */
+export function buildThinkingTimeline(logs = []) {
+  const entries = [];
+  let openCall = null; // Tool call still waiting for its input or observation
+
+  const pushEntry = (entry, log) => {
+    entries.push({ ...entry, timestamp: log.timestamp ?? null });
+    return entries[entries.length - 1];
+  };
+
+  logs.forEach((log) => {
+    switch (log.type) {
+      case 'action':
+        openCall = pushEntry({
+          kind: TIMELINE_ENTRY_KINDS.TOOL_CALL,
+          tool: log.tool || null,
+          action: log.content || '',
+          input: undefined,
+          output: undefined,
+        }, log);
+        break;
+      case 'action_input': {
+        const input = log.input ?? log.content;
+        if (openCall && openCall.input === undefined && openCall.output === undefined) {
+          openCall.input = input;
+          openCall.tool = openCall.tool || log.tool || null;
+        } else {
+          openCall = pushEntry({
+            kind: TIMELINE_ENTRY_KINDS.TOOL_CALL,
+            tool: log.tool || null,
+            action: '',
+            input,
+            output: undefined,
+          }, log);
+        }
+        break;
+      }
+      case 'observation':
+        if (openCall && openCall.output === undefined) {
+          openCall.output = log.content;
+        } else {
+          pushEntry({
+            kind: TIMELINE_ENTRY_KINDS.TOOL_CALL,
+            tool: null,
+            action: '',
+            input: undefined,
+            output: log.content,
+          }, log);
+        }
+        openCall = null;
+        break;
+      case 'final_answer':
+        openCall = null;
+        pushEntry({ kind: TIMELINE_ENTRY_KINDS.FINAL_ANSWER, content: log.content || '' }, log);
+        break;
+      default:
+        openCall = null;
+        pushEntry({ kind: TIMELINE_ENTRY_KINDS.THOUGHT, content: log.content || '' }, log);
+        break;
+    }
+  });
+
+  // Gaps are measured from the last entry that had a timestamp
+  let previousTime = null;
+  return entries.map((entry, index) => {
+    const time = toTime(entry.timestamp);
+    const sincePrevious = previousTime !== null && time !== null ? time - previousTime : null;
+    if (time !== null) previousTime = time;
+    return { ...entry, index, sincePrevious };
+  });
+}
+
+/**
+ * Tool input or output as display text: JSON (also JSON inside strings) is
+ * pretty-printed, anything else is shown as is
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatToolValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return JSON.stringify(JSON.parse(trimmed), null, 2);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Timeline as a JSON document for copying
+ * @param {Array<TimelineEntry>} entries
+ * @returns {string}
+ */
+export function timelineToJSON(entries) {
+  return JSON.stringify(entries.map(({ index, ...entry }) => entry), null, 2);
+}
@@ -0,0 +1,80 @@
+'use client';
+
+/**
+ * @fileoverview Live updates for a running execution
+ *
+ * Subscribes to the execution's event stream while it is active. If the stream
+ * cannot be opened or ends before the execution does, the hook falls back to
+ * polling the stored record.
+ *
+ * @module useExecutionStream
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { streamExecutionEvents } from './api';
+import { isAbortError } from './sse';
+
+export const STREAM_MODE = {
+  IDLE: 'idle',
+  STREAMING: 'streaming',
+  POLLING: 'polling',
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Follow an execution while it is active
+ * @param {string} executionId - Execution to follow
+ * @param {boolean} active - Whether the execution can still change
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with (eventType, data, receivedAt) for streamed events
+ * @param {Function} handlers.refresh - Reloads the stored record; used for polling and after the stream ends
+ * @param {number} handlers.pollInterval - Polling interval in ms for the fallback
+ * @returns {string} Current STREAM_MODE
+ */
+export function useExecutionStream(executionId, active, { onEvent, refresh, pollInterval = DEFAULT_POLL_INTERVAL_MS }) {
+  const [fallbackFor, setFallbackFor] = useState(null); // Execution ID being polled instead
+  const handlersRef = useRef({ onEvent, refresh });
+
+  useEffect(() => {
+    handlersRef.current = { onEvent, refresh };
+  }, [onEvent, refresh]);
+
+  let mode = STREAM_MODE.IDLE;
+  if (executionId && active) {
+    mode = fallbackFor === executionId ? STREAM_MODE.POLLING : STREAM_MODE.STREAMING;
+  }
+
+  useEffect(() => {
+    if (!executionId || !active) return undefined;
+
+    const controller = new AbortController();
+
+    streamExecutionEvents(executionId, (eventType, data) => {
+      handlersRef.current.onEvent(eventType, data, Date.now());
+    }, { signal: controller.signal })
+      .then(() => {
+        // Reconcile with the stored record; keep polling in case the stream ended early
+        handlersRef.current.refresh();
+        setFallbackFor(executionId);
+      })
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.warn('[Executions] Event stream unavailable, polling instead:', error.message);
+        setFallbackFor(executionId);
+      });
+
+    return () => {
+      controller.abort();
+      setFallbackFor(null);
+    };
+  }, [executionId, active]);
+
+  useEffect(() => {
+    if (mode !== STREAM_MODE.POLLING) return undefined;
+    const interval = setInterval(() => handlersRef.current.refresh(), pollInterval);
+    return () => clearInterval(interval);
+  }, [mode, pollInterval]);
+
+  return mode;
+}
@@ -0,0 +1,136 @@
+'use client';
+
+/**
+ * @fileoverview Undo/redo history for the workflow canvas
+ *
+ * Keeps snapshots of the canvas nodes and edges. Callers take a snapshot right
+ * before mutating the canvas; undo/redo hand back the snapshot to restore.
+ * Node callbacks (onTaskChange, onDelete, ...) are stripped from snapshots, so
+ * the caller must re-attach them when restoring.
+ *
+ * @module useUndoRedo
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const DEFAULT_MAX_HISTORY = 100;
+
+// Snapshots with the same key taken within this window are merged into one
+// history entry, so typing a task or a multi-element delete is a single undo step
+const COALESCE_WINDOW_MS = 1000;
+
+/**
+ * Copy a node without its function-valued data fields
+ */
+function stripNodeHandlers(node) {
+  const data = {};
+  Object.entries(node.data || {}).forEach(([key, value]) => {
+    if (typeof value !== 'function') {
+      data[key] = value;
+    }
+  });
+  return { ...node, data, selected: false, dragging: false };
+}
+
+/**
+ * Snapshot of the canvas held in a ref
+ */
+function captureSnapshot(currentRef) {
+  return {
+    nodes: currentRef.current.nodes.map(stripNodeHandlers),
+    edges: currentRef.current.edges,
+  };
+}
+
+/**
+ * @typedef {Object} CanvasSnapshot
+ * @property {Array<Object>} nodes - Nodes without callbacks
+ * @property {Array<Object>} edges - Edges
+ */
+
+/**
+ * Undo/redo history hook for the workflow canvas
+ * @param {Array<Object>} nodes - Current canvas nodes
+ * @param {Array<Object>} edges - Current canvas edges
+ * @param {Object} [options]
+ * @param {number} [options.maxHistory] - Maximum number of undo steps kept
+ * @returns {{
+ *   takeSnapshot: function(string=): void,
+ *   undo: function(): (CanvasSnapshot|null),
+ *   redo: function(): (CanvasSnapshot|null),
+ *   resetHistory: function(): void,
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ * }}
+ */
+export default function useUndoRedo(nodes, edges, { maxHistory = DEFAULT_MAX_HISTORY } = {}) {
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const currentRef = useRef({ nodes, edges });
+  const lastSnapshotRef = useRef({ key: null, time: 0 });
+  const [historySize, setHistorySize] = useState({ past: 0, future: 0 });
+
+  useEffect(() => {
+    currentRef.current = { nodes, edges };
+  }, [nodes, edges]);
+
+  const syncHistorySize = useCallback(() => {
+    setHistorySize({ past: pastRef.current.length, future: futureRef.current.length });
+  }, []);
+
+  /**
+   * Record the current canvas before a mutation
+   * @param {string} [coalesceKey] - Merge with the previous snapshot if it used the same key recently
+   */
+  const takeSnapshot = useCallback((coalesceKey) => {
+    const now = Date.now();
+    const last = lastSnapshotRef.current;
+    lastSnapshotRef.current = { key: coalesceKey || null, time: now };
+
+    if (coalesceKey && last.key === coalesceKey && now - last.time < COALESCE_WINDOW_MS) {
+      return;
+    }
+
+    pastRef.current = [...pastRef.current, captureSnapshot(currentRef)].slice(-maxHistory);
+    futureRef.current = [];
+    syncHistorySize();
+  }, [maxHistory, syncHistorySize]);
+
+  const undo = useCallback(() => {
+    if (pastRef.current.length === 0) return null;
+
+    const previous = pastRef.current[pastRef.current.length - 1];
+    pastRef.current = pastRef.current.slice(0, -1);
+    futureRef.current = [...futureRef.current, captureSnapshot(currentRef)];
+    lastSnapshotRef.current = { key: null, time: 0 };
+    syncHistorySize();
+    return previous;
+  }, [syncHistorySize]);
+
+  const redo = useCallback(() => {
+    if (futureRef.current.length === 0) return null;
+
+    const next = futureRef.current[futureRef.current.length - 1];
+    futureRef.current = futureRef.current.slice(0, -1);
+    pastRef.current = [...pastRef.current, captureSnapshot(currentRef)];
+    lastSnapshotRef.current = { key: null, time: 0 };
+    syncHistorySize();
+    return next;
+  }, [syncHistorySize]);
+
+  const resetHistory = useCallback(() => {
+    pastRef.current = [];
+    futureRef.current = [];
+    lastSnapshotRef.current = { key: null, time: 0 };
+    syncHistorySize();
+  }, [syncHistorySize]);
+
+  return {
+    takeSnapshot,
+    undo,
+    redo,
+    resetHistory,
+    canUndo: historySize.past > 0,
+    canRedo: historySize.future > 0,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Helpers for conditional edges in the workflow builder
+ *
+ * A condition is attached to an edge (source -> target) and decides whether the
+ * target step runs based on the source step's output. Conditions live in
+ * `edge.data.condition` on the canvas and are serialized into `steps[].condition`
+ * of the target step when the workflow is saved.
+ *
+ * @module workflowConditions
+ */
+
+/**
+ * @typedef {Object} EdgeCondition
+ * @property {string} type - One of CONDITION_TYPES values
+ * @property {string} value - Value to compare the output against
+ * @property {string} [path] - JSONPath into the output (jsonpath only), e.g. `$.status`
+ * @property {string} [operator] - Comparison operator (jsonpath only)
+ */
+
+const EDGE_LABEL_STYLE = { fontWeight: 700, fontSize: 11, fill: '#000000' };
+const EDGE_LABEL_BG_STYLE = { fill: '#FFD700', stroke: '#000000', strokeWidth: 2 };
+
+/**
+ * Build an empty condition for the editor
+ * @returns {EdgeCondition}
+ */
+export function createEmptyCondition() {
+  return {
+    type: 'output_contains',
+    value: '',
+    path: '$.',
+    operator: '==',
+  };
+}
+
+/**
+ * Validate a condition before it is attached to an edge
+ * @param {EdgeCondition} condition
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCondition(condition) {
+  if (!condition || !condition.type) {
+    return 'Condition type is required';
+  }
+
+  if (condition.type === 'jsonpath') {
+    if (!condition.path || !condition.path.startsWith('$') || condition.path.trim() === '$.') {
+      return 'JSONPath must start with "$", e.g. $.status';
+    }
+    if (!condition.operator) {
+      return 'Comparison operator is required';
+    }
+  }
+
+  if (condition.value === undefined || condition.value === null || String(condition.value).trim() === '') {
+    return 'Comparison value is required';
+  }
+
+  return null;
+}
+
+/**
+ * Keep only the fields that are relevant for the condition type
+ * @param {EdgeCondition} condition
+ * @returns {EdgeCondition}
+ */
+export function normalizeCondition(condition) {
+  if (condition.type === 'jsonpath') {
+    return {
+      type: condition.type,
+      path: condition.path.trim(),
+      operator: condition.operator,
+      value: condition.value,
+    };
+  }
+
+  return {
+    type: condition.type,
+    value: condition.value,
+  };
+}
+
+/**
+ * Human-readable form of a condition, used as the edge label
+ * @param {EdgeCondition} condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+  if (!condition) return '';
+
+  switch (condition.type) {
+    case 'output_contains':
+      return `contains "${condition.value}"`;
+    case 'output_not_contains':
+      return `not contains "${condition.value}"`;
+    case 'output_equals':
+      return `== "${condition.value}"`;
+    case 'jsonpath':
+      return `${condition.path} ${condition.operator} "${condition.value}"`;
+    default:
+      return condition.type;
+  }
+}
+
+/**
+ * Attach (or remove, when condition is null) a condition to an edge,
+ * including the label shown on the canvas
+ * @param {Object} edge - React Flow edge
+ * @param {EdgeCondition|null} condition
+ * @returns {Object} Updated edge
+ */
+export function applyEdgeCondition(edge, condition) {
+  const data = { ...(edge.data || {}) };
+
+  if (!condition) {
+    const plainEdge = { ...edge, data };
+    delete data.condition;
+    delete plainEdge.label;
+    delete plainEdge.labelStyle;
+    delete plainEdge.labelBgStyle;
+    delete plainEdge.labelBgPadding;
+    delete plainEdge.labelShowBg;
+    return plainEdge;
+  }
+
+  return {
+    ...edge,
+    data: { ...data, condition },
+    label: describeCondition(condition),
+    labelShowBg: true,
+    labelStyle: EDGE_LABEL_STYLE,
+    labelBgStyle: EDGE_LABEL_BG_STYLE,
+    labelBgPadding: [6, 4],
+  };
+}
+
+/**
+ * Build the `condition` of a step from its incoming conditional edges.
+ * A single conditional edge maps to its condition; several conditional edges
+ * (branches converging on the same step) map to an `any` group.
+ * @param {Array<Object>} incomingEdges - Edges targeting the step
+ * @param {Object<string, number>} nodeIdToStepIndex - Map of node IDs to step indices
+ * @returns {Object|null}
+ */
+export function buildStepCondition(incomingEdges, nodeIdToStepIndex) {
+  const conditions = incomingEdges
+    .filter(edge => edge.data?.condition && nodeIdToStepIndex[edge.source] !== undefined)
+    .map(edge => ({
+      ...edge.data.condition,
+      source: String(nodeIdToStepIndex[edge.source]),
+      expression: describeCondition(edge.data.condition),
+    }));
+
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  if (conditions.length === 1) {
+    return conditions[0];
+  }
+
+  return {
+    type: 'any',
+    conditions,
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Workflow-level input schema
+ *
+ * Workflow authors declare typed inputs (name, type, required, default, enum).
+ * The schema is saved in `visual_data.input_schema`; on execute the run dialog
+ * collects a value for each input and sends them as the execution `context`,
+ * where tasks can use them as `{{context.<name>}}`.
+ *
+ * @module workflowInputs
+ */
+
+import { coerceFieldValue, validateFieldValues } from './schemaFields';
+import { DEFAULT_CONTEXT_KEYS } from './workflowTemplates';
+
+const INPUT_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * @typedef {Object} WorkflowInput
+ * @property {string} name - Context key
+ * @property {string} type - One of WORKFLOW_INPUT_TYPES
+ * @property {boolean} required - Whether a value must be given
+ * @property {*} default - Default value, or null
+ * @property {Array<*>|null} enum - Allowed values, or null
+ * @property {string} description - Help text shown in the run dialog
+ */
+
+/**
+ * A new, blank input
+ * @returns {WorkflowInput}
+ */
+export function createEmptyInput() {
+  return {
+    name: '',
+    type: 'string',
+    required: false,
+    default: null,
+    enum: null,
+    description: '',
+  };
+}
+
+/**
+ * Input schema stored with a workflow
+ * @param {Object} workflow - Workflow as returned by the API
+ * @returns {Array<WorkflowInput>}
+ */
+export function getWorkflowInputs(workflow) {
+  const inputs = workflow?.visual_data?.input_schema;
+  return Array.isArray(inputs) ? inputs : [];
+}
+
+/**
+ * Parse the comma-separated allowed values typed in the editor
+ * @param {string} text
+ * @param {string} type - Input type, used to convert each value
+ * @returns {Array<*>|null}
+ */
+export function parseEnumText(text, type) {
+  const values = (text || '').split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) return null;
+  return values.map(value => coerceFieldValue({ type }, value));
+}
+
+/**
+ * Editable text for allowed values
+ * @param {Array<*>|null} values
+ * @returns {string}
+ */
+export function formatEnumText(values) {
+  return (values || []).map(String).join(', ');
+}
+
+/**
+ * Inputs as field definitions for SchemaField and lib/schemaFields
+ * @param {Array<WorkflowInput>} inputs
+ * @returns {Object<string, Object>}
+ */
+export function toSchemaFields(inputs) {
+  return Object.fromEntries(inputs.map(input => [input.name, {
+    type: input.type,
+    required: Boolean(input.required),
+    default: input.default ?? null,
+    enum: input.enum && input.enum.length > 0 ? input.enum : null,
+    description: input.description || '',
+  }]));
+}
+
+/**
+ * Check the schema an author has declared
+ * @param {Array<WorkflowInput>} inputs
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateInputSchema(inputs) {
+  const seen = new Set();
+  for (const input of inputs) {
+    const name = (input.name || '').trim();
+    if (!name) {
+      return 'Every input needs a name';
+    }
+    if (!INPUT_NAME_PATTERN.test(name)) {
+      return `Input "${name}" must start with a letter or underscore and contain only letters, digits, "_" or "-"`;
+    }
+    if (DEFAULT_CONTEXT_KEYS.includes(name)) {
+      return `"${name}" is set by the builder and cannot be used as an input name`;
+    }
+    if (seen.has(name)) {
+      return `Input "${name}" is declared more than once`;
+    }
+    seen.add(name);
+
+    if (input.default !== null && input.default !== undefined && input.default !== '') {
+      const field = { ...toSchemaFields([input])[input.name], required: false };
+      const errors = validateFieldValues({ [name]: coerceFieldValue(field, input.default) }, { [name]: field });
+      if (errors[name]) {
+        return `Default value of "${name}": ${errors[name]}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Schema to save: trimmed names and defaults converted to the input type
+ * @param {Array<WorkflowInput>} inputs
+ * @returns {Array<WorkflowInput>}
+ */
+export function normalizeInputSchema(inputs) {
+  return inputs.map((input) => {
+    const hasDefault = input.default !== null && input.default !== undefined && input.default !== '';
+    let defaultValue = hasDefault ? coerceFieldValue(toSchemaFields([input])[input.name], input.default) : null;
+    if (hasDefault && (input.type === 'object' || input.type === 'array') && typeof defaultValue === 'string') {
+      defaultValue = JSON.parse(defaultValue);
+    }
+    return {
+      name: input.name.trim(),
+      type: input.type,
+      required: Boolean(input.required),
+      default: defaultValue,
+      enum: input.enum && input.enum.length > 0 ? input.enum : null,
+      description: (input.description || '').trim(),
+    };
+  });
+}
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Automatic layout for the workflow canvas
+ *
+ * Positions nodes from the graph formed by the edges, depending on the pattern:
+ * - sequential, graph, conditional: top-down layers (longest path from a root)
+ * - parallel: one lane per connected branch, lanes side by side
+ * - hierarchical: a tree below the supervisor, parents centered over children
+ *
+ * Also rebuilds canvas nodes/edges from `steps[].depends_on` for workflows that
+ * were saved without `visual_data`.
+ *
+ * @module workflowLayout
+ */
+
+import { getComponentNodeType } from './workflowNodes';
+import { rewriteStepReferences } from './workflowTemplates';
+
+// Approximate rendered size of a node, plus spacing between nodes
+const NODE_WIDTH = 300;
+const NODE_HEIGHT = 220;
+const HORIZONTAL_GAP = 60;
+const VERTICAL_GAP = 80;
+
+const COLUMN_WIDTH = NODE_WIDTH + HORIZONTAL_GAP;
+const ROW_HEIGHT = NODE_HEIGHT + VERTICAL_GAP;
+
+/**
+ * Build predecessor/successor lists for the nodes on the canvas
+ */
+function buildAdjacency(nodes, edges) {
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const successors = new Map(nodes.map(node => [node.id, []]));
+  const predecessors = new Map(nodes.map(node => [node.id, []]));
+
+  edges.forEach((edge) => {
+    if (nodeIds.has(edge.source) && nodeIds.has(edge.target) && edge.source !== edge.target) {
+      successors.get(edge.source).push(edge.target);
+      predecessors.get(edge.target).push(edge.source);
+    }
+  });
+
+  return { successors, predecessors };
+}
+
+/**
+ * Assign each node a layer: the length of the longest path from a root.
+ * Nodes caught in cycles are placed one layer below their deepest placed predecessor.
+ * @returns {Map<string, number>}
+ */
+function assignLayers(nodes, edges) {
+  const { successors, predecessors } = buildAdjacency(nodes, edges);
+  const inDegree = new Map(nodes.map(node => [node.id, predecessors.get(node.id).length]));
+  const layers = new Map();
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+
+  queue.forEach(nodeId => layers.set(nodeId, 0));
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    successors.get(current).forEach((targetId) => {
+      layers.set(targetId, Math.max(layers.get(targetId) ?? 0, layers.get(current) + 1));
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) {
+        queue.push(targetId);
+      }
+    });
+  }
+
+  // Cycles never reach in-degree 0; place them after what is already laid out
+  nodes.forEach((node) => {
+    if (!layers.has(node.id) || inDegree.get(node.id) > 0) {
+      const placedLayers = predecessors.get(node.id)
+        .filter(sourceId => layers.has(sourceId) && inDegree.get(sourceId) === 0)
+        .map(sourceId => layers.get(sourceId));
+      layers.set(node.id, placedLayers.length > 0 ? Math.max(...placedLayers) + 1 : (layers.get(node.id) ?? 0));
+      inDegree.set(node.id, 0);
+    }
+  });
+
+  return layers;
+}
+
+/**
+ * Group node IDs by layer, ordering each layer by the average position of the
+ * node's predecessors in the layer above to limit edge crossings
+ * @returns {Array<Array<string>>}
+ */
+function groupByLayer(nodes, edges, layers) {
+  const { predecessors } = buildAdjacency(nodes, edges);
+  const rows = [];
+  nodes.forEach((node) => {
+    const layer = layers.get(node.id);
+    rows[layer] = [...(rows[layer] || []), node.id];
+  });
+
+  const order = new Map();
+  return rows.filter(Boolean).map((row) => {
+    const sorted = row
+      .map((nodeId, index) => {
+        const placed = predecessors.get(nodeId).filter(sourceId => order.has(sourceId));
+        const barycenter = placed.length > 0
+          ? placed.reduce((sum, sourceId) => sum + order.get(sourceId), 0) / placed.length
+          : index;
+        return { nodeId, barycenter, index };
+      })
+      .sort((a, b) => a.barycenter - b.barycenter || a.index - b.index)
+      .map(item => item.nodeId);
+    sorted.forEach((nodeId, index) => order.set(nodeId, index));
+    return sorted;
+  });
+}
+
+/**
+ * Top-down layered layout, each layer centered on x = 0
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function layoutLayered(nodes, edges) {
+  const positions = new Map();
+  const rows = groupByLayer(nodes, edges, assignLayers(nodes, edges));
+
+  rows.forEach((row, rowIndex) => {
+    row.forEach((nodeId, columnIndex) => {
+      positions.set(nodeId, {
+        x: (columnIndex - (row.length - 1) / 2) * COLUMN_WIDTH,
+        y: rowIndex * ROW_HEIGHT,
+      });
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Connected components of the graph, ignoring edge direction
+ * @returns {Array<Array<Object>>} Nodes of each component, in canvas order
+ */
+function findBranches(nodes, edges) {
+  const neighbours = new Map(nodes.map(node => [node.id, new Set()]));
+  edges.forEach((edge) => {
+    if (neighbours.has(edge.source) && neighbours.has(edge.target)) {
+      neighbours.get(edge.source).add(edge.target);
+      neighbours.get(edge.target).add(edge.source);
+    }
+  });
+
+  const seen = new Set();
+  const branches = [];
+  nodes.forEach((node) => {
+    if (seen.has(node.id)) return;
+    const memberIds = new Set([node.id]);
+    const queue = [node.id];
+    seen.add(node.id);
+    while (queue.length > 0) {
+      neighbours.get(queue.shift()).forEach((neighbourId) => {
+        if (!seen.has(neighbourId)) {
+          seen.add(neighbourId);
+          memberIds.add(neighbourId);
+          queue.push(neighbourId);
+        }
+      });
+    }
+    branches.push(nodes.filter(member => memberIds.has(member.id)));
+  });
+
+  return branches;
+}
+
+/**
+ * Side-by-side lanes, one per connected branch, each laid out top-down
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function layoutLanes(nodes, edges) {
+  const positions = new Map();
+  let laneX = 0;
+
+  findBranches(nodes, edges).forEach((branch) => {
+    const rows = groupByLayer(branch, edges, assignLayers(branch, edges));
+    const laneColumns = Math.max(...rows.map(row => row.length));
+
+    rows.forEach((row, rowIndex) => {
+      row.forEach((nodeId, columnIndex) => {
+        positions.set(nodeId, {
+          x: laneX + columnIndex * COLUMN_WIDTH,
+          y: rowIndex * ROW_HEIGHT,
+        });
+      });
+    });
+
+    laneX += laneColumns * COLUMN_WIDTH + HORIZONTAL_GAP;
+  });
+
+  return positions;
+}
+
+/**
+ * Tree layout below the root(s). Each node keeps its first parent; a parent is
+ * centered above its children and leaves take one column each.
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function layoutTree(nodes, edges) {
+  const { successors, predecessors } = buildAdjacency(nodes, edges);
+  const children = new Map(nodes.map(node => [node.id, []]));
+  const visited = new Set();
+  const roots = [];
+
+  const attachSubtree = (rootId) => {
+    roots.push(rootId);
+    visited.add(rootId);
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      successors.get(current).forEach((childId) => {
+        if (!visited.has(childId)) {
+          visited.add(childId);
+          children.get(current).push(childId);
+          queue.push(childId);
+        }
+      });
+    }
+  };
+
+  nodes.filter(node => predecessors.get(node.id).length === 0).forEach(node => attachSubtree(node.id));
+  // Nodes only reachable through a cycle start their own tree
+  nodes.filter(node => !visited.has(node.id)).forEach(node => attachSubtree(node.id));
+
+  const positions = new Map();
+  let nextColumn = 0;
+
+  const place = (nodeId, depth) => {
+    const nodeChildren = children.get(nodeId);
+    let column;
+    if (nodeChildren.length === 0) {
+      column = nextColumn;
+      nextColumn += 1;
+    } else {
+      const childColumns = nodeChildren.map(childId => place(childId, depth + 1));
+      column = (childColumns[0] + childColumns[childColumns.length - 1]) / 2;
+    }
+    positions.set(nodeId, { x: column * COLUMN_WIDTH, y: depth * ROW_HEIGHT });
+    return column;
+  };
+
+  roots.forEach(rootId => place(rootId, 0));
+  return positions;
+}
+
+/**
+ * Compute new positions for all nodes on the canvas
+ * @param {Array<Object>} nodes - Canvas nodes
+ * @param {Array<Object>} edges - Canvas edges
+ * @param {string} pattern - Workflow pattern
+ * @returns {Array<Object>} Nodes with updated positions
+ */
+export function layoutWorkflow(nodes, edges, pattern) {
+  if (nodes.length === 0) return nodes;
+
+  let positions;
+  switch (pattern) {
+    case 'parallel':
+      positions = layoutLanes(nodes, edges);
+      break;
+    case 'hierarchical':
+      positions = layoutTree(nodes, edges);
+      break;
+    default:
+      positions = layoutLayered(nodes, edges);
+  }
+
+  return nodes.map(node => ({
+    ...node,
+    position: positions.get(node.id) || node.position,
+  }));
+}
+
+/**
+ * Rebuild canvas nodes and edges from saved steps, for workflows without visual_data.
+ * Step `i` becomes node `node_i`; `depends_on` entries become edges, step
+ * conditions are put back on the edge from their source step and
+ * `{{steps.i.output}}` references point at `node_i` again.
+ * @param {Array<Object>} steps - Workflow steps
+ * @param {Object} lookups
+ * @param {Array<Object>} lookups.agents - Known agents, for node names
+ * @param {Array<Object>} lookups.components - Known components, for node names
+ * @returns {{ nodes: Array<Object>, edges: Array<Object> }}
+ */
+export function buildCanvasFromSteps(steps, { agents = [], components = [] } = {}) {
+  const nodes = steps.map((step, index) => {
+    const nodeId = `node_${index}`;
+    const task = rewriteStepReferences(step.task || '', stepRef => (steps[stepRef] ? `node_${stepRef}` : undefined));
+
+    if (step.component) {
+      const component = components.find(c => c.id === step.component);
+      const componentType = step.component_type || component?.type || 'api';
+      return {
+        id: nodeId,
+        type: getComponentNodeType(componentType),
+        position: { x: 0, y: 0 },
+        data: {
+          componentId: step.component,
+          componentName: component?.name || step.component,
+          componentType,
+          task,
+        },
+      };
+    }
+
+    const agent = agents.find(a => a.id === step.agent);
+    return {
+      id: nodeId,
+      type: 'agent',
+      position: { x: 0, y: 0 },
+      data: {
+        agentId: step.agent,
+        agentName: agent?.name || step.agent,
+        framework: agent?.framework || '',
+        task,
+      },
+    };
+  });
+
+  const edges = [];
+  steps.forEach((step, index) => {
+    const stepConditions = step.condition?.type === 'any'
+      ? step.condition.conditions || []
+      : step.condition ? [step.condition] : [];
+
+    (step.depends_on || []).forEach((dependency) => {
+      const sourceIndex = Number(dependency);
+      if (!Number.isInteger(sourceIndex) || !nodes[sourceIndex]) return;
+
+      const edge = {
+        id: `edge_${sourceIndex}_${index}`,
+        source: `node_${sourceIndex}`,
+        target: `node_${index}`,
+      };
+      const condition = stepConditions.find(c => String(c.source) === String(sourceIndex));
+      if (condition) {
+        const { source, expression, ...edgeCondition } = condition;
+        edge.data = { condition: edgeCondition };
+      }
+      edges.push(edge);
+    });
+  });
+
+  return { nodes, edges };
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Node type helpers for the workflow builder canvas
+ *
+ * The canvas mixes agent nodes (type `agent`) with component nodes, one node
+ * type per COMPONENT_TYPES entry (`component_init`, `component_api`, ...).
+ *
+ * @module workflowNodes
+ */
+
+import { COMPONENT_TYPES } from './constants';
+
+const COMPONENT_NODE_PREFIX = 'component_';
+
+// Canvas colors per component type
+export const COMPONENT_NODE_COLORS = {
+  init: '#90EE90',
+  api: '#FFD700',
+  llm: '#FFC0CB',
+  agent: '#FFB6C1',
+};
+
+export const AGENT_NODE_COLOR = '#87CEEB';
+
+/**
+ * React Flow node type for a component type
+ * @param {string} componentType - One of COMPONENT_TYPES
+ * @returns {string}
+ */
+export function getComponentNodeType(componentType) {
+  return `${COMPONENT_NODE_PREFIX}${componentType}`;
+}
+
+/**
+ * All component node types, in COMPONENT_TYPES order
+ * @returns {Array<string>}
+ */
+export function getComponentNodeTypes() {
+  return COMPONENT_TYPES.map(getComponentNodeType);
+}
+
+/**
+ * Whether a canvas node references a component rather than an agent
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export function isComponentNode(node) {
+  return typeof node?.type === 'string' && node.type.startsWith(COMPONENT_NODE_PREFIX);
+}
+
+/**
+ * Name shown for a node in messages and panels
+ * @param {Object} node
+ * @returns {string}
+ */
+export function getNodeDisplayName(node) {
+  if (!node) return '';
+  return node.data?.agentName || node.data?.componentName || node.id;
+}
+
+/**
+ * Fill color of a node on the minimap
+ * @param {Object} node
+ * @returns {string}
+ */
+export function getNodeColor(node) {
+  if (isComponentNode(node)) {
+    return COMPONENT_NODE_COLORS[node.data?.componentType] || '#90EE90';
+  }
+  return AGENT_NODE_COLOR;
+}
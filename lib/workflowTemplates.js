@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Data mapping between workflow steps through task templates
+ *
+ * Node tasks can reference data with `{{...}}` placeholders:
+ * - `{{steps.<node>.output}}` - output of an upstream node
+ * - `{{context.<key>}}` - value from the execution context
+ *
+ * On the canvas `<node>` is the node ID (e.g. `node_3`). Saved steps use the
+ * step index instead (`{{steps.2.output}}`), matching `depends_on`.
+ *
+ * @module workflowTemplates
+ */
+
+import { getNodeDisplayName } from './workflowNodes';
+
+// Fields of a step that can be referenced
+export const STEP_TEMPLATE_FIELDS = ['output'];
+
+// Context keys the builder always sends when executing
+export const DEFAULT_CONTEXT_KEYS = ['session_id'];
+
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const STEP_REFERENCE_PATTERN = /^steps\.([^.\s]+)\.([^.\s]+)$/;
+const CONTEXT_REFERENCE_PATTERN = /^context\.([A-Za-z_][\w-]*)$/;
+
+/**
+ * @typedef {Object} TemplateReference
+ * @property {string} raw - Placeholder as written, including braces
+ * @property {string} kind - 'steps', 'context' or 'invalid'
+ * @property {string} [node] - Referenced node (steps)
+ * @property {string} [field] - Referenced step field (steps)
+ * @property {string} [key] - Referenced context key (context)
+ */
+
+/**
+ * Parse one placeholder expression (without braces)
+ * @param {string} expression
+ * @returns {Omit<TemplateReference, 'raw'>}
+ */
+function parseExpression(expression) {
+  const stepMatch = STEP_REFERENCE_PATTERN.exec(expression);
+  if (stepMatch) {
+    return { kind: 'steps', node: stepMatch[1], field: stepMatch[2] };
+  }
+  const contextMatch = CONTEXT_REFERENCE_PATTERN.exec(expression);
+  if (contextMatch) {
+    return { kind: 'context', key: contextMatch[1] };
+  }
+  return { kind: 'invalid' };
+}
+
+/**
+ * All placeholders in a task
+ * @param {string} text
+ * @returns {Array<TemplateReference>}
+ */
+export function parseTemplateReferences(text) {
+  if (!text || typeof text !== 'string') return [];
+  return [...text.matchAll(TEMPLATE_PATTERN)].map(match => ({
+    raw: match[0],
+    ...parseExpression(match[1]),
+  }));
+}
+
+/**
+ * Rewrite the node part of every `{{steps.<node>.<field>}}` placeholder.
+ * Placeholders whose node has no mapping are left untouched.
+ * @param {string} text
+ * @param {Function} mapNode - Called with the node part, returns the replacement or undefined
+ * @returns {string}
+ */
+export function rewriteStepReferences(text, mapNode) {
+  if (!text || typeof text !== 'string') return text;
+  return text.replace(TEMPLATE_PATTERN, (placeholder, expression) => {
+    const reference = parseExpression(expression);
+    if (reference.kind !== 'steps') return placeholder;
+    const mapped = mapNode(reference.node);
+    return mapped === undefined || mapped === null
+      ? placeholder
+      : `{{steps.${mapped}.${reference.field}}}`;
+  });
+}
+
+/**
+ * IDs of all nodes with a path to the given node
+ * @param {string} nodeId
+ * @param {Array<Object>} edges
+ * @returns {Set<string>}
+ */
+export function getUpstreamNodeIds(nodeId, edges) {
+  const upstream = new Set();
+  const queue = [nodeId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.forEach((edge) => {
+      if (edge.target === current && !upstream.has(edge.source) && edge.source !== nodeId) {
+        upstream.add(edge.source);
+        queue.push(edge.source);
+      }
+    });
+  }
+  return upstream;
+}
+
+/**
+ * Autocomplete entries for a node's task: outputs of its upstream nodes and context keys
+ * @param {string} nodeId
+ * @param {Array<Object>} nodes
+ * @param {Array<Object>} edges
+ * @param {Array<string>} contextKeys
+ * @returns {Array<{value: string, label: string}>} `value` is the expression without braces
+ */
+export function getTemplateSuggestions(nodeId, nodes, edges, contextKeys = DEFAULT_CONTEXT_KEYS) {
+  const upstream = getUpstreamNodeIds(nodeId, edges);
+  const stepSuggestions = nodes
+    .filter(node => upstream.has(node.id))
+    .flatMap(node => STEP_TEMPLATE_FIELDS.map(field => ({
+      value: `steps.${node.id}.${field}`,
+      label: `${getNodeDisplayName(node)} ${field}`,
+    })));
+  const contextSuggestions = contextKeys.map(key => ({
+    value: `context.${key}`,
+    label: `Context: ${key}`,
+  }));
+  return [...stepSuggestions, ...contextSuggestions];
+}
+
+/**
+ * Check every placeholder in the node tasks. Issues use the same shape as
+ * lib/workflowValidation so they are listed and highlighted the same way.
+ * @param {Array<Object>} nodes - Canvas nodes
+ * @param {Array<Object>} edges - Canvas edges
+ * @param {Array<string>} contextKeys - Context keys the workflow receives, as offered by getTemplateSuggestions
+ * @returns {Array<Object>}
+ */
+export function validateTemplateReferences(nodes, edges, contextKeys = DEFAULT_CONTEXT_KEYS) {
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const issues = [];
+
+  nodes.forEach((node) => {
+    const references = parseTemplateReferences(node.data?.task);
+    if (references.length === 0) return;
+
+    const name = getNodeDisplayName(node);
+    const upstream = getUpstreamNodeIds(node.id, edges);
+    const problems = [];
+
+    references.forEach((reference) => {
+      if (reference.kind === 'invalid') {
+        problems.push(`${reference.raw} is not a valid reference; use {{steps.<node>.output}} or {{context.<key>}}`);
+      } else if (reference.kind === 'steps') {
+        if (!nodesById.has(reference.node)) {
+          problems.push(`${reference.raw} refers to a node that does not exist`);
+        } else if (!upstream.has(reference.node)) {
+          problems.push(`${reference.raw} refers to ${getNodeDisplayName(nodesById.get(reference.node))}, which does not run before this step`);
+        } else if (!STEP_TEMPLATE_FIELDS.includes(reference.field)) {
+          problems.push(`${reference.raw} uses unknown field "${reference.field}" (available: ${STEP_TEMPLATE_FIELDS.join(', ')})`);
+        }
+      } else if (reference.kind === 'context' && !contextKeys.includes(reference.key)) {
+        problems.push(`${reference.raw} refers to unknown context key "${reference.key}" (available: ${contextKeys.join(', ')})`);
+      }
+    });
+
+    if (problems.length > 0) {
+      issues.push({
+        code: 'template_reference',
+        message: `${name}: ${problems.join('; ')}.`,
+        nodeIds: [node.id],
+        edgeIds: [],
+      });
+    }
+  });
+
+  return issues;
+}
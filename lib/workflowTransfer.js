@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Portable workflow import/export
+ *
+ * An export document wraps the `createWorkflow` payload together with a table of
+ * the agents it references (ID, name, framework). On import the agent IDs are
+ * remapped by name, so a workflow can move between backends whose agents have
+ * different IDs.
+ *
+ * @module workflowTransfer
+ */
+
+import YAML from 'yaml';
+import { downloadFile, toFileSlug } from './download';
+
+export const WORKFLOW_EXPORT_KIND = 'dotagent-workflow';
+export const WORKFLOW_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'yaml', label: 'YAML', extension: 'yaml', mimeType: 'application/x-yaml' },
+];
+
+// Fields accepted by createWorkflow / updateWorkflow
+const WORKFLOW_PAYLOAD_FIELDS = [
+  'name',
+  'description',
+  'pattern',
+  'agents',
+  'steps',
+  'visual_data',
+  'timeout',
+  'max_retries',
+  'error_handling',
+];
+
+/**
+ * @typedef {Object} ExportedAgentRef
+ * @property {string} id - Agent ID in the source backend
+ * @property {string} name - Agent name, used to resolve the agent on import
+ * @property {string|null} framework - Agent framework
+ */
+
+/**
+ * @typedef {Object} WorkflowExportDocument
+ * @property {string} kind - Always WORKFLOW_EXPORT_KIND
+ * @property {number} version - Document format version
+ * @property {string} exported_at - ISO timestamp
+ * @property {Object} workflow - createWorkflow payload
+ * @property {Array<ExportedAgentRef>} agents - Agents referenced by the workflow
+ */
+
+/**
+ * Strip a stored workflow record down to the createWorkflow payload
+ * @param {Object} workflow - Workflow as returned by getWorkflow
+ * @returns {Object}
+ */
+export function toWorkflowPayload(workflow) {
+  const payload = {};
+  WORKFLOW_PAYLOAD_FIELDS.forEach((field) => {
+    if (workflow[field] !== undefined) {
+      payload[field] = workflow[field];
+    }
+  });
+  return payload;
+}
+
+/**
+ * Collect the agent IDs referenced anywhere in a workflow payload
+ */
+function collectAgentIds(workflow) {
+  const ids = new Set(workflow.agents || []);
+  (workflow.steps || []).forEach(step => step.agent && ids.add(step.agent));
+  (workflow.visual_data?.nodes || []).forEach(node => node.data?.agentId && ids.add(node.data.agentId));
+  return [...ids];
+}
+
+/**
+ * Build an export document for a workflow payload
+ * @param {Object} workflow - createWorkflow payload
+ * @param {Array<Object>} agents - Known agents, used to name the referenced agent IDs
+ * @returns {WorkflowExportDocument}
+ */
+export function buildWorkflowExport(workflow, agents = []) {
+  const payload = toWorkflowPayload(workflow);
+  const visualNodes = payload.visual_data?.nodes || [];
+
+  const agentRefs = collectAgentIds(payload).map((agentId) => {
+    const agent = agents.find(a => a.id === agentId);
+    const node = visualNodes.find(n => n.data?.agentId === agentId);
+    return {
+      id: agentId,
+      name: agent?.name || node?.data?.agentName || null,
+      framework: agent?.framework || node?.data?.framework || null,
+    };
+  });
+
+  return {
+    kind: WORKFLOW_EXPORT_KIND,
+    version: WORKFLOW_EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    workflow: payload,
+    agents: agentRefs,
+  };
+}
+
+/**
+ * Serialize an export document
+ * @param {WorkflowExportDocument} exportDocument
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string}
+ */
+export function serializeWorkflowExport(exportDocument, format = 'json') {
+  if (format === 'yaml') {
+    return YAML.stringify(exportDocument);
+  }
+  return JSON.stringify(exportDocument, null, 2);
+}
+
+/**
+ * Download an export document as a file
+ * @param {WorkflowExportDocument} exportDocument
+ * @param {string} format - 'json' or 'yaml'
+ */
+export function downloadWorkflowExport(exportDocument, format = 'json') {
+  const exportFormat = EXPORT_FORMATS.find(f => f.value === format) || EXPORT_FORMATS[0];
+  downloadFile(
+    `${toFileSlug(exportDocument.workflow.name)}.workflow.${exportFormat.extension}`,
+    serializeWorkflowExport(exportDocument, exportFormat.value),
+    exportFormat.mimeType
+  );
+}
+
+/**
+ * Parse an export document from JSON or YAML text.
+ * A bare workflow payload (without the export envelope) is accepted as well.
+ * @param {string} text
+ * @returns {WorkflowExportDocument}
+ * @throws {Error} When the text is not a workflow export
+ */
+export function parseWorkflowExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    try {
+      parsed = YAML.parse(text);
+    } catch (yamlError) {
+      throw new Error(`File is neither valid JSON nor YAML: ${yamlError.message}`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('File does not contain a workflow');
+  }
+
+  if (parsed.kind === WORKFLOW_EXPORT_KIND) {
+    if (parsed.version > WORKFLOW_EXPORT_VERSION) {
+      throw new Error(`Unsupported export version ${parsed.version}`);
+    }
+    if (!parsed.workflow || typeof parsed.workflow !== 'object') {
+      throw new Error('Export file has no workflow definition');
+    }
+    return { ...parsed, agents: parsed.agents || [] };
+  }
+
+  if (Array.isArray(parsed.steps) || parsed.visual_data) {
+    return buildWorkflowExport(parsed);
+  }
+
+  throw new Error('File does not contain a workflow');
+}
+
+/**
+ * Remap the agent IDs of an imported workflow onto the target backend's agents.
+ * An ID is kept when it exists in the target; otherwise the agent is looked up by
+ * name (exact, then case-insensitive).
+ * @param {WorkflowExportDocument} exportDocument
+ * @param {Array<Object>} targetAgents - Agents available in the target backend
+ * @returns {{ workflow: Object, unresolved: Array<ExportedAgentRef> }}
+ */
+export function remapWorkflowAgents(exportDocument, targetAgents) {
+  const workflow = toWorkflowPayload(exportDocument.workflow);
+  const refsById = new Map((exportDocument.agents || []).map(ref => [ref.id, ref]));
+  const idMap = new Map();
+  const unresolved = [];
+
+  collectAgentIds(workflow).forEach((sourceId) => {
+    if (targetAgents.some(a => a.id === sourceId)) {
+      idMap.set(sourceId, sourceId);
+      return;
+    }
+
+    const ref = refsById.get(sourceId) || { id: sourceId, name: null, framework: null };
+    const name = ref.name || '';
+    const match = name ? (
+      targetAgents.find(a => a.name === name) ||
+      targetAgents.find(a => a.name?.toLowerCase() === name.toLowerCase())
+    ) : null;
+
+    if (match) {
+      idMap.set(sourceId, match.id);
+    } else {
+      unresolved.push(ref);
+    }
+  });
+
+  const mapId = (agentId) => (agentId && idMap.has(agentId) ? idMap.get(agentId) : agentId);
+
+  return {
+    workflow: {
+      ...workflow,
+      agents: [...new Set((workflow.agents || []).map(mapId))],
+      steps: (workflow.steps || []).map(step => ({ ...step, agent: mapId(step.agent) })),
+      visual_data: workflow.visual_data ? {
+        ...workflow.visual_data,
+        nodes: (workflow.visual_data.nodes || []).map(node => (
+          node.data?.agentId ? { ...node, data: { ...node.data, agentId: mapId(node.data.agentId) } } : node
+        )),
+      } : workflow.visual_data,
+    },
+    unresolved,
+  };
+}
+
+/**
+ * Read a File selected by the user
+ * @param {File} file
+ * @returns {Promise<WorkflowExportDocument>}
+ */
+export async function readWorkflowExportFile(file) {
+  const text = await file.text();
+  return parseWorkflowExport(text);
+}
+
+/**
+ * Describe unresolved agents for error messages
+ * @param {Array<ExportedAgentRef>} unresolved
+ * @returns {string}
+ */
+export function describeUnresolvedAgents(unresolved) {
+  return unresolved.map(ref => (ref.name ? `${ref.name} (${ref.id})` : ref.id)).join(', ');
+}
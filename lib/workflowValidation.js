@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Graph validation for the workflow builder
+ *
+ * Checks the canvas graph against the rules of the selected workflow pattern
+ * before a workflow is saved or executed. Every issue names the nodes and edges
+ * involved so the builder can highlight them on the canvas.
+ *
+ * Rules:
+ * - sequential, graph, hierarchical: no cycles
+ * - every pattern except parallel: no disconnected nodes
+ * - sequential: a single starting node
+ * - hierarchical: a single supervisor (root) that reaches every other node
+ *
+ * @module workflowValidation
+ */
+
+import { getNodeDisplayName } from './workflowNodes';
+
+// Patterns whose steps must form a DAG
+const ACYCLIC_PATTERNS = ['sequential', 'graph', 'hierarchical'];
+
+// Patterns where nodes without any edge are legitimate (independent branches)
+const ORPHAN_TOLERANT_PATTERNS = ['parallel'];
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} code - Machine-readable issue type
+ * @property {string} message - Human-readable description
+ * @property {Array<string>} nodeIds - Nodes involved in the issue
+ * @property {Array<string>} edgeIds - Edges involved in the issue
+ */
+
+/**
+ * Keep only edges whose endpoints exist on the canvas
+ */
+function getValidEdges(nodes, edges) {
+  const nodeIds = new Set(nodes.map(node => node.id));
+  return edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target));
+}
+
+/**
+ * Strongly connected components (Tarjan) that form cycles:
+ * components with more than one node, or a single node with a self-loop
+ * @returns {Array<Array<string>>} Node IDs of each cycle
+ */
+export function findCycles(nodes, edges) {
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => adjacency.get(edge.source)?.push(edge.target));
+
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const strongConnect = (nodeId) => {
+    indices.set(nodeId, index);
+    lowLinks.set(nodeId, index);
+    index++;
+    stack.push(nodeId);
+    onStack.add(nodeId);
+
+    adjacency.get(nodeId).forEach((targetId) => {
+      if (!indices.has(targetId)) {
+        strongConnect(targetId);
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), lowLinks.get(targetId)));
+      } else if (onStack.has(targetId)) {
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indices.get(targetId)));
+      }
+    });
+
+    if (lowLinks.get(nodeId) === indices.get(nodeId)) {
+      const component = [];
+      let memberId;
+      do {
+        memberId = stack.pop();
+        onStack.delete(memberId);
+        component.push(memberId);
+      } while (memberId !== nodeId);
+
+      const hasSelfLoop = adjacency.get(nodeId).includes(nodeId);
+      if (component.length > 1 || hasSelfLoop) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!indices.has(node.id)) {
+      strongConnect(node.id);
+    }
+  });
+
+  return cycles;
+}
+
+/**
+ * Nodes without incoming edges
+ * @returns {Array<string>}
+ */
+export function findRoots(nodes, edges) {
+  const targets = new Set(edges.map(edge => edge.target));
+  return nodes.filter(node => !targets.has(node.id)).map(node => node.id);
+}
+
+/**
+ * Node IDs reachable from a start node (including it)
+ * @returns {Set<string>}
+ */
+function findReachable(startId, edges) {
+  const reachable = new Set([startId]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.forEach((edge) => {
+      if (edge.source === current && !reachable.has(edge.target)) {
+        reachable.add(edge.target);
+        queue.push(edge.target);
+      }
+    });
+  }
+  return reachable;
+}
+
+/**
+ * Validate the canvas graph against the workflow pattern
+ * @param {Array<Object>} nodes - Canvas nodes
+ * @param {Array<Object>} edges - Canvas edges
+ * @param {string} pattern - Workflow pattern (WORKFLOW_PATTERNS value)
+ * @returns {Array<ValidationIssue>}
+ */
+export function validateWorkflowGraph(nodes, edges, pattern) {
+  const issues = [];
+  const validEdges = getValidEdges(nodes, edges);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const describeNodes = (nodeIds) => nodeIds.map(nodeId => getNodeDisplayName(nodesById.get(nodeId))).join(', ');
+
+  if (nodes.length === 0) {
+    return issues;
+  }
+
+  if (ACYCLIC_PATTERNS.includes(pattern)) {
+    findCycles(nodes, validEdges).forEach((cycleNodeIds) => {
+      const members = new Set(cycleNodeIds);
+      issues.push({
+        code: 'cycle',
+        message: `Cycle between ${describeNodes(cycleNodeIds)}. The ${pattern} pattern cannot loop back to an earlier step.`,
+        nodeIds: cycleNodeIds,
+        edgeIds: validEdges
+          .filter(edge => members.has(edge.source) && members.has(edge.target))
+          .map(edge => edge.id),
+      });
+    });
+  }
+
+  if (nodes.length > 1 && !ORPHAN_TOLERANT_PATTERNS.includes(pattern)) {
+    const connected = new Set();
+    validEdges.forEach((edge) => {
+      connected.add(edge.source);
+      connected.add(edge.target);
+    });
+    const orphanIds = nodes.filter(node => !connected.has(node.id)).map(node => node.id);
+    if (orphanIds.length > 0) {
+      issues.push({
+        code: 'disconnected',
+        message: `Not connected to the rest of the workflow: ${describeNodes(orphanIds)}.`,
+        nodeIds: orphanIds,
+        edgeIds: [],
+      });
+    }
+  }
+
+  const roots = findRoots(nodes, validEdges);
+
+  if (pattern === 'sequential' && roots.length > 1) {
+    issues.push({
+      code: 'multiple_roots',
+      message: `A sequential workflow needs a single starting step, found ${roots.length}: ${describeNodes(roots)}.`,
+      nodeIds: roots,
+      edgeIds: [],
+    });
+  }
+
+  if (pattern === 'hierarchical') {
+    if (roots.length !== 1) {
+      issues.push({
+        code: 'supervisor',
+        message: roots.length === 0
+          ? 'A hierarchical workflow needs one supervisor step with no incoming edges.'
+          : `A hierarchical workflow needs exactly one supervisor, found ${roots.length}: ${describeNodes(roots)}.`,
+        nodeIds: roots,
+        edgeIds: [],
+      });
+    } else {
+      const reachable = findReachable(roots[0], validEdges);
+      const unreachableIds = nodes.filter(node => !reachable.has(node.id)).map(node => node.id);
+      if (unreachableIds.length > 0) {
+        issues.push({
+          code: 'supervisor',
+          message: `Not reachable from supervisor ${describeNodes(roots)}: ${describeNodes(unreachableIds)}.`,
+          nodeIds: unreachableIds,
+          edgeIds: [],
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Index issues by node and edge for highlighting
+ * @param {Array<ValidationIssue>} issues
+ * @returns {{ nodes: Map<string, Array<string>>, edges: Set<string> }}
+ */
+export function indexValidationIssues(issues) {
+  const nodes = new Map();
+  const edges = new Set();
+  issues.forEach((issue) => {
+    issue.nodeIds.forEach((nodeId) => {
+      nodes.set(nodeId, [...(nodes.get(nodeId) || []), issue.message]);
+    });
+    issue.edgeIds.forEach(edgeId => edges.add(edgeId));
+  });
+  return { nodes, edges };
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Minimal ZIP archive writer
+ *
+ * Files are stored without compression, which keeps the writer small and is
+ * enough for bundling a handful of text files into one download.
+ *
+ * @module zip
+ */
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+const crc32 = (bytes) => {
+  const table = getCrcTable();
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * MS-DOS time and date fields of a Date
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - Text content is UTF-8 encoded
+ * @param {Date} modifiedAt - Modification time recorded for every file
+ * @returns {Uint8Array}
+ */
+export function createZip(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}